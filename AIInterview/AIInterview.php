@@ -3,20 +3,22 @@
  * AIInterview - LimeSurvey Plugin
  *
  * Adds a custom "AI Interview" question type to LimeSurvey 6.x.
- * Respondents engage in a conversational AI-driven interview powered by OpenAI.
- * The full conversation is saved as a plain-text transcript.
+ * Respondents engage in a conversational AI-driven interview powered by an LLM
+ * (OpenAI, Azure OpenAI, Anthropic or a self-hosted OpenAI-compatible server).
+ * The full conversation is saved as a versioned JSON transcript (see parseTranscript()).
  *
  * How it works (LimeSurvey 6.x):
  *   - The plugin registers a question theme that extends the Long Free Text (T) type.
  *   - On activation, the theme is copied to upload/themes/question/ and imported
  *     into the question_themes database table so it appears in the question type selector.
  *   - The afterRenderQuestion event replaces the standard textarea with the AI chat widget.
- *   - The plugin provides a server-side AJAX proxy for OpenAI (API key never exposed).
+ *   - The plugin provides a server-side AJAX proxy for the AI provider (API key never exposed).
+ *   - The interviewer prompt stays on the server: the widget only knows the question ID.
  *
  * Installation:
  *   1. Upload the AIInterview folder to <limesurvey>/plugins/
  *   2. Activate the plugin in Admin → Configuration → Plugin Manager
- *   3. Enter your OpenAI API key in the plugin settings
+ *   3. Choose the AI provider and enter its API key in the plugin settings
  *   4. Create a new question and select "AI Interview" as the question type
  *
  * @author      AI Interview Plugin
@@ -25,28 +27,164 @@
  * @since       LimeSurvey 6.0
  */
 
+require_once __DIR__ . '/src/AIInterviewHelpers.php';
+require_once __DIR__ . '/src/AIInterviewProviders.php';
+require_once __DIR__ . '/src/AIInterviewAnalysis.php';
+require_once __DIR__ . '/src/AIInterviewPilot.php';
+
 class AIInterview extends PluginBase
 {
+    use AIInterviewProviders;
+    use AIInterviewAnalysis;
+    use AIInterviewPilot;
+
     protected $storage = 'DbStorage';
 
-    static protected $description = 'Adds an AI Interview question type powered by OpenAI ChatGPT.';
+    static protected $description = 'Adds an AI Interview question type powered by OpenAI, Azure OpenAI, Anthropic or a self-hosted model.';
     static protected $name = 'AIInterview';
 
     /**
      * Plugin-level settings (stored in plugin settings table, NEVER exposed to frontend)
      */
     protected $settings = [
+        'provider' => [
+            'type'    => 'select',
+            'label'   => 'AI provider',
+            'options' => [
+                'openai'            => 'OpenAI',
+                'azure'             => 'Azure OpenAI',
+                'anthropic'         => 'Anthropic',
+                'openai_compatible' => 'OpenAI-compatible server (e.g. Ollama)',
+                'mock'              => 'Mock interviewer (offline testing)',
+            ],
+            'help'    => 'The service that runs the interviewer. Surveys can choose a different provider in their plugin settings. '
+                       . 'The mock interviewer answers from each question\'s mock script without calling any service.',
+            'default' => 'openai',
+        ],
         'openai_api_key' => [
             'type'    => 'string',
-            'label'   => 'OpenAI API Key',
-            'help'    => 'Your OpenAI API key. Stored securely on the server and never sent to survey respondents. Keep this confidential.',
+            'label'   => 'API Key',
+            'help'    => 'The provider\'s API key. Stored securely on the server and never sent to survey respondents. Keep this confidential. Not needed for a local server without authentication.',
             'default' => '',
         ],
         'openai_model' => [
             'type'    => 'string',
-            'label'   => 'OpenAI Model',
-            'help'    => 'The OpenAI model to use. Recommended: gpt-4o (best quality), gpt-4-turbo (fast), gpt-3.5-turbo (economical).',
-            'default' => 'gpt-4o',
+            'label'   => 'Model',
+            'help'    => 'The model to use, e.g. gpt-4o (OpenAI), claude-sonnet-4-5 (Anthropic) or llama3.1 (Ollama). For Azure OpenAI, enter the deployment name. Leave empty for the provider\'s default.',
+            'default' => '',
+        ],
+        'provider_base_url' => [
+            'type'    => 'string',
+            'label'   => 'Base URL',
+            'help'    => 'Required for Azure OpenAI (https://<resource>.openai.azure.com) and OpenAI-compatible servers (e.g. http://localhost:11434/v1 for Ollama). Leave empty for OpenAI and Anthropic.',
+            'default' => '',
+        ],
+        'provider_auth_scheme' => [
+            'type'    => 'select',
+            'label'   => 'Authentication',
+            'options' => [
+                ''          => 'Provider default',
+                'bearer'    => 'Authorization: Bearer <key>',
+                'api-key'   => 'api-key: <key> (Azure)',
+                'x-api-key' => 'x-api-key: <key> (Anthropic)',
+                'none'      => 'No authentication',
+            ],
+            'help'    => 'How the API key is sent. Only change this for gateways or self-hosted servers that expect a different header.',
+            'default' => '',
+        ],
+        'azure_api_version' => [
+            'type'    => 'string',
+            'label'   => 'Azure API version',
+            'help'    => 'Azure OpenAI only. Leave empty for ' . self::AZURE_DEFAULT_API_VERSION . '.',
+            'default' => '',
+        ],
+        'fallback_models' => [
+            'type'    => 'string',
+            'label'   => 'Fallback models',
+            'help'    => 'Optional comma-separated list of models of the same provider to try, in order, when the main model keeps failing or is unavailable (e.g. gpt-4o-mini).',
+            'default' => '',
+        ],
+        'max_retries' => [
+            'type'    => 'int',
+            'label'   => 'Retries per model',
+            'help'    => 'How often a call that fails with a temporary error (rate limit, server error, network error) is retried, with increasing delays, before moving on to the next fallback model. 0–5, default 2.',
+            'default' => 2,
+        ],
+        'context_window' => [
+            'type'    => 'int',
+            'label'   => 'Context window (tokens)',
+            'help'    => 'How many tokens the model accepts per request, prompt and reply together. Leave empty for the provider default: 128000 for OpenAI and Azure OpenAI, 200000 for Anthropic, 8192 for OpenAI-compatible servers.',
+            'default' => '',
+        ],
+        'max_reply_tokens' => [
+            'type'    => 'int',
+            'label'   => 'Longest reply (tokens)',
+            'help'    => 'Maximum length of one interviewer reply. Default 1000.',
+            'default' => 1000,
+        ],
+        'history_summary_threshold' => [
+            'type'    => 'int',
+            'label'   => 'Summarise conversation after (tokens)',
+            'help'    => 'When the conversation sent with a request grows beyond this, older turns are rolled into a running summary; the latest turns are always sent as they are. Keeps the cost of long interviews down. 0 = only when the context window is full. Default 4000.',
+            'default' => 4000,
+        ],
+        'requests_per_minute' => [
+            'type'    => 'int',
+            'label'   => 'Requests per minute',
+            'help'    => 'Maximum chat requests per respondent session per minute. 0 = no limit. Default 20.',
+            'default' => 20,
+        ],
+        'max_turns_per_question' => [
+            'type'    => 'int',
+            'label'   => 'Turns per question',
+            'help'    => 'Maximum interviewer replies per question and respondent session; the interview then ends like a used-up token budget. 0 = no limit. Default 60.',
+            'default' => 60,
+        ],
+        'max_interviews_per_ip' => [
+            'type'    => 'int',
+            'label'   => 'Concurrent interviews per IP address',
+            'help'    => 'Maximum interviews in progress at the same time from one IP address in a survey. Raise this for classrooms or offices behind one address. 0 = no limit. Default 10.',
+            'default' => 10,
+        ],
+        'daily_token_cap' => [
+            'type'    => 'int',
+            'label'   => 'Daily token cap per survey',
+            'help'    => 'Maximum tokens a survey may use per day (UTC), across all respondents. When reached, interviews are unavailable until midnight UTC. 0 = no limit.',
+            'default' => 0,
+        ],
+        'moderation_service' => [
+            'type'    => 'select',
+            'label'   => 'Moderation service',
+            'options' => [
+                'openai'   => 'OpenAI moderation endpoint',
+                'keywords' => 'Local keyword lists (no text leaves the server)',
+            ],
+            'help'    => 'Used by questions with Content Moderation switched on.',
+            'default' => 'openai',
+        ],
+        'moderation_api_key' => [
+            'type'    => 'string',
+            'label'   => 'OpenAI key for moderation',
+            'help'    => 'Needed for the OpenAI moderation endpoint when the AI provider is not OpenAI. Leave empty to use the OpenAI provider key.',
+            'default' => '',
+        ],
+        'moderation_keywords' => [
+            'type'    => 'text',
+            'label'   => 'Moderation keyword lists',
+            'help'    => 'For local keyword moderation: one "category: phrase, phrase" per line, matched as whole words. Leave empty for a basic self-harm and violence list.',
+            'default' => '',
+        ],
+        'pii_patterns' => [
+            'type'    => 'text',
+            'label'   => 'Additional PII patterns',
+            'help'    => 'For questions with PII Redaction: one "LABEL: regular expression" per line (without delimiters, case-insensitive), e.g. "STUDENT_ID: S\\d{7}". Matches are replaced with [LABEL].',
+            'default' => '',
+        ],
+        'enable_streaming' => [
+            'type'    => 'boolean',
+            'label'   => 'Stream replies',
+            'help'    => 'Show the interviewer\'s reply word by word as it is generated. Disable this if a proxy or web server in front of LimeSurvey buffers responses; the widget then waits for the complete reply.',
+            'default' => 1,
         ],
     ];
 
@@ -77,6 +215,15 @@ class AIInterview extends PluginBase
 
         // Admin notification if theme is not properly registered
         $this->subscribe('newAdminMenu');
+
+        // Per-survey AI provider settings and rate limits
+        $this->subscribe('beforeSurveySettings');
+        $this->subscribe('newSurveySettings');
+
+        // Post-interview analysis (summary, theme codes, sentiment): queued
+        // when the response is submitted, run by LimeSurvey's console cron
+        $this->subscribe('afterSurveyComplete');
+        $this->subscribe('cron');
     }
 
     // =========================================================================
@@ -93,6 +240,7 @@ class AIInterview extends PluginBase
     public function beforeActivate()
     {
         $this->installQuestionTheme();
+        $this->ensurePluginTables();
     }
 
     /**
@@ -294,8 +442,9 @@ class AIInterview extends PluginBase
                 'help'     => gT(
                     'Instructions for the AI interviewer. '
                     . 'Tip: Specify the topic, the number of questions to ask, the depth of follow-up expected, '
-                    . 'and include an explicit instruction such as: '
-                    . '"When you have finished all questions, thank the respondent and tell them to press the Finish Interview button."'
+                    . 'and when the interview should end, e.g. "When you have finished all questions, thank the respondent." '
+                    . 'The interviewer ends the interview by itself once it has said goodbye. '
+                    . 'Placeholders such as {TOKEN:FIRSTNAME} or an earlier question code like {Q1} are filled in from the respondent\'s session.'
                 ),
                 'caption'  => gT('AI Interviewer Prompt / Instructions'),
             ],
@@ -324,6 +473,271 @@ class AIInterview extends PluginBase
                 'help'     => gT('Whether the respondent must interact with the AI before they can proceed to the next page.'),
                 'caption'  => gT('Mandatory Interaction'),
             ],
+            'ai_interview_guide' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Settings'),
+                'sortorder'=> 4,
+                'inputtype'=> 'textarea',
+                'default'  => '',
+                'help'     => gT(
+                    'Optional interview guide: one topic or question per line, in the order they should be covered. '
+                    . 'Start a line with * to mark it as "must cover" — the interviewer will not conclude before those are covered. '
+                    . 'Respondents see a progress bar, and the coverage of each item is saved with the response.'
+                ),
+                'caption'  => gT('Interview Guide'),
+            ],
+            'ai_interview_thread' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Settings'),
+                'sortorder'=> 5,
+                'inputtype'=> 'text',
+                'default'  => '',
+                'help'     => gT(
+                    'Optional name of an interview thread. AI Interview questions with the same thread name share context: '
+                    . 'each interviewer is told what the respondent said in the earlier interviews of the thread.'
+                ),
+                'caption'  => gT('Interview Thread'),
+            ],
+            'ai_interview_thread_context' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Settings'),
+                'sortorder'=> 6,
+                'inputtype'=> 'singleselect',
+                'options'  => [
+                    'summary'    => gT('Summary of each earlier interview'),
+                    'transcript' => gT('Full transcript of each earlier interview'),
+                ],
+                'default'  => 'summary',
+                'help'     => gT('How earlier interviews of the thread are passed to this interviewer. Summaries are shorter and cheaper; transcripts keep every detail.'),
+                'caption'  => gT('Thread Context'),
+            ],
+            'ai_interview_strings' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Settings'),
+                'sortorder'=> 7,
+                'inputtype'=> 'textarea',
+                'i18n'     => true,
+                'default'  => '',
+                'help'     => gT(
+                    'Optional wording of the chat widget in this language, one "key: text" per line, '
+                    . 'e.g. "finish: Done" or "interviewer: Researcher". Keys not listed keep the built-in translation; '
+                    . 'see the plugin README for all keys.'
+                ),
+                'caption'  => gT('Widget Texts'),
+            ],
+            'ai_interview_autostart' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Settings'),
+                'sortorder'=> 8,
+                'inputtype'=> 'singleselect',
+                'options'  => [
+                    '1' => gT('Yes – when the page loads'),
+                    '0' => gT('No – when the survey\'s script calls start()'),
+                ],
+                'default'  => '1',
+                'help'     => gT(
+                    'Whether the interviewer opens the conversation as soon as the page loads. '
+                    . 'Choose No to start it from your own script, e.g. AIInterview.get(\'{SGQ}\').start() behind a button of your own.'
+                ),
+                'caption'  => gT('Start Automatically'),
+            ],
+            'ai_interview_min_turns' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Answer Rules'),
+                'sortorder'=> 1,
+                'inputtype'=> 'integer',
+                'default'  => 0,
+                'help'     => gT(
+                    'Number of answers the respondent must give before they can finish the interview '
+                    . '(and, for a mandatory question, before they can go on). 0 = no minimum.'
+                ),
+                'caption'  => gT('Minimum Answers'),
+            ],
+            'ai_interview_max_turns' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Answer Rules'),
+                'sortorder'=> 2,
+                'inputtype'=> 'integer',
+                'default'  => 0,
+                'help'     => gT(
+                    'Maximum number of answers. After the last one the interviewer thanks the respondent '
+                    . 'and the interview ends. 0 = no limit (the token budget still applies).'
+                ),
+                'caption'  => gT('Maximum Answers'),
+            ],
+            'ai_interview_min_length' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Answer Rules'),
+                'sortorder'=> 3,
+                'inputtype'=> 'integer',
+                'default'  => 0,
+                'help'     => gT('Minimum number of characters in each answer. 0 = no minimum.'),
+                'caption'  => gT('Minimum Answer Length'),
+            ],
+            'ai_interview_max_length' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Answer Rules'),
+                'sortorder'=> 4,
+                'inputtype'=> 'integer',
+                'default'  => 0,
+                'help'     => gT(
+                    'Maximum number of characters in each answer. The respondent sees a character counter. '
+                    . '0 = no limit other than the built-in 8000 characters.'
+                ),
+                'caption'  => gT('Maximum Answer Length'),
+            ],
+            'ai_interview_min_words' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Answer Rules'),
+                'sortorder'=> 5,
+                'inputtype'=> 'integer',
+                'default'  => 0,
+                'help'     => gT(
+                    'Number of words the respondent must have written across all answers before they can finish the interview. '
+                    . '0 = no minimum.'
+                ),
+                'caption'  => gT('Minimum Total Words'),
+            ],
+            'ai_interview_moderation' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Safety'),
+                'sortorder'=> 1,
+                'inputtype'=> 'singleselect',
+                'options'  => [
+                    'off'   => gT('Off'),
+                    'flag'  => gT('Flag – record hits and continue'),
+                    'block' => gT('Block – end the interview on a flagged message, withhold flagged replies'),
+                ],
+                'default'  => 'off',
+                'help'     => gT(
+                    'Check every respondent message and interviewer reply for self-harm, violence, harassment and similar content. '
+                    . 'Hits are saved with the response. In Block mode replies are not streamed, as they are checked before they are shown.'
+                ),
+                'caption'  => gT('Content Moderation'),
+            ],
+            'ai_interview_support_resources' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Safety'),
+                'sortorder'=> 2,
+                'inputtype'=> 'textarea',
+                'default'  => '',
+                'help'     => gT('Optional text shown to the respondent when a message hits one of the support categories, e.g. helpline numbers.'),
+                'caption'  => gT('Support Resources'),
+            ],
+            'ai_interview_support_categories' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Safety'),
+                'sortorder'=> 3,
+                'inputtype'=> 'text',
+                'default'  => 'self-harm',
+                'help'     => gT(
+                    'Comma-separated moderation categories that show the support resources, '
+                    . 'e.g. self-harm, violence, harassment, hate, sexual, illicit.'
+                ),
+                'caption'  => gT('Support Categories'),
+            ],
+            'ai_interview_pii_redaction' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Safety'),
+                'sortorder'=> 4,
+                'inputtype'=> 'singleselect',
+                'options'  => [
+                    'off'    => gT('Off'),
+                    'model'  => gT('Mask before sending to the AI – store the original text'),
+                    'stored' => gT('Mask before sending to the AI and in the stored transcript'),
+                ],
+                'default'  => 'off',
+                'help'     => gT(
+                    'Replace e-mail addresses, phone numbers, card and bank account numbers, street addresses and the patterns '
+                    . 'set in the plugin settings with placeholders such as [EMAIL] before respondent messages leave the server.'
+                ),
+                'caption'  => gT('PII Redaction'),
+            ],
+            'ai_interview_analysis_prompt' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Analysis'),
+                'sortorder'=> 1,
+                'inputtype'=> 'textarea',
+                'default'  => '',
+                'help'     => gT(
+                    'Optional. Instructions for analysing the finished interview, e.g. what the summary should focus on. '
+                    . 'When set, the transcript is analysed once on the server after the response is submitted. '
+                    . 'Leave empty to skip the analysis.'
+                ),
+                'caption'  => gT('Analysis Prompt'),
+            ],
+            'ai_interview_codebook' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Analysis'),
+                'sortorder'=> 2,
+                'inputtype'=> 'textarea',
+                'default'  => '',
+                'help'     => gT(
+                    'Optional codebook for thematic coding: one code per line as "CODE: description". '
+                    . 'Only codes from this list are stored. Leave empty to let the model name its own themes.'
+                ),
+                'caption'  => gT('Codebook'),
+            ],
+            'ai_interview_summary_field' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Analysis'),
+                'sortorder'=> 3,
+                'inputtype'=> 'text',
+                'default'  => '',
+                'help'     => gT('Question code of the question (e.g. a hidden Long free text or Equation question) that receives the summary.'),
+                'caption'  => gT('Summary Field'),
+            ],
+            'ai_interview_codes_field' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Analysis'),
+                'sortorder'=> 4,
+                'inputtype'=> 'text',
+                'default'  => '',
+                'help'     => gT('Question code of the question that receives the theme codes, separated by semicolons.'),
+                'caption'  => gT('Theme Codes Field'),
+            ],
+            'ai_interview_sentiment_field' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Analysis'),
+                'sortorder'=> 5,
+                'inputtype'=> 'text',
+                'default'  => '',
+                'help'     => gT('Question code of the question that receives the overall sentiment (positive, neutral, negative or mixed).'),
+                'caption'  => gT('Sentiment Field'),
+            ],
+            'ai_interview_mock_mode' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Mock Provider'),
+                'sortorder'=> 1,
+                'inputtype'=> 'singleselect',
+                'options'  => [
+                    'script' => gT('Script – one interviewer turn per line'),
+                    'echo'   => gT('Echo – repeat each answer back'),
+                    'rules'  => gT('Rules – reply by keyword ("keyword => reply")'),
+                ],
+                'default'  => 'script',
+                'help'     => gT(
+                    'Only used when the survey or the plugin runs on the "Mock interviewer" provider, '
+                    . 'which answers without calling an AI service. For building and testing surveys offline.'
+                ),
+                'caption'  => gT('Mock Interviewer'),
+            ],
+            'ai_interview_mock_script' => [
+                'types'    => 'T',
+                'category' => gT('AI Interview Mock Provider'),
+                'sortorder'=> 2,
+                'inputtype'=> 'textarea',
+                'default'  => '',
+                'i18n'     => true,
+                'help'     => gT(
+                    'Script mode: the first line opens the interview, each following line answers the next respondent message; '
+                    . 'after the last line the interviewer closes the interview. '
+                    . 'Rules mode: one "keyword => reply" per line, the first rule whose keyword occurs in the answer wins, '
+                    . '"* => reply" matches any answer, and a line without "=>" opens the interview. '
+                    . 'Replies may use {answer} and {turn} and control markers such as [[INTERVIEW_COMPLETE]].'
+                ),
+                'caption'  => gT('Mock Script'),
+            ],
         ];
 
         $event->append('questionAttributes', $questionAttributes);
@@ -362,28 +776,12 @@ class AIInterview extends PluginBase
             return;
         }
 
-        // Check if this is an AI Interview question.
-        // Primary check: question_theme_name = 'AIInterview'
-        // Fallback check: has ai_interview_prompt attribute set
-        $isAIInterview = ($oQuestion->question_theme_name === 'AIInterview');
-
-        if (!$isAIInterview) {
-            // Check for the attribute as a fallback
-            $promptAttr = QuestionAttribute::model()->findByAttributes([
-                'qid'       => $questionId,
-                'attribute' => 'ai_interview_prompt',
-            ]);
-            if (!empty($promptAttr) && !empty(trim($promptAttr->value))) {
-                $isAIInterview = true;
-            }
-        }
-
-        if (!$isAIInterview) {
+        if (!$this->isInterviewQuestion($oQuestion)) {
             return;
         }
 
-        // Load question attributes
-        $prompt    = $this->getQuestionAttribute($questionId, 'ai_interview_prompt',    $this->getDefaultPrompt());
+        // Load question attributes. The prompt itself is never sent to the
+        // browser — the chat endpoint loads it by question ID.
         $maxTokens = (int) $this->getQuestionAttribute($questionId, 'ai_interview_max_tokens', 6000);
         $mandatory = (string) $this->getQuestionAttribute($questionId, 'ai_interview_mandatory', '0');
 
@@ -401,14 +799,11 @@ class AIInterview extends PluginBase
         // In LimeSurvey, the SGQA code is: {surveyId}X{groupId}X{questionId}
         $sgqa = $surveyId . 'X' . $oQuestion->gid . 'X' . $questionId;
 
-        // Get the existing answer value (for back-navigation).
+        // Get the existing answer value (for back-navigation and reload).
         // We read it from the session rather than the DB to avoid errors in preview mode
         // (where the survey response table may not exist).
-        $dispVal = '';
-        $sessionKey = 'survey_' . $surveyId;
-        if (isset($_SESSION[$sessionKey][$sgqa])) {
-            $dispVal = htmlspecialchars((string) $_SESSION[$sessionKey][$sgqa], ENT_QUOTES, 'UTF-8');
-        }
+        // (buildWidgetHtml() escapes it — escaping here too would corrupt the JSON transcript.)
+        $dispVal = $this->getStoredAnswer($surveyId, $sgqa);
 
         // Register CSS and JS assets
         $assetPath = dirname(__FILE__) . '/assets';
@@ -428,11 +823,13 @@ class AIInterview extends PluginBase
             $sgqa,
             $surveyId,
             $ajaxUrl,
-            $prompt,
+            $questionId,
             $maxTokens,
             $language,
             $mandatory,
-            $dispVal
+            $dispVal,
+            $this->isStreamingEnabled(),
+            count($this->getInterviewGuide($questionId))
         );
 
         // Get the current rendered HTML
@@ -510,24 +907,11 @@ class AIInterview extends PluginBase
             return;
         }
 
-        // Check if this is an AI Interview question
-        $isAIInterview = ($oQuestion->question_theme_name === 'AIInterview');
-        if (!$isAIInterview) {
-            $promptAttr = QuestionAttribute::model()->findByAttributes([
-                'qid'       => $questionId,
-                'attribute' => 'ai_interview_prompt',
-            ]);
-            if (!empty($promptAttr) && !empty(trim($promptAttr->value))) {
-                $isAIInterview = true;
-            }
-        }
-
-        if (!$isAIInterview) {
+        if (!$this->isInterviewQuestion($oQuestion)) {
             return;
         }
 
-        // Load question attributes
-        $prompt    = $this->getQuestionAttribute($questionId, 'ai_interview_prompt',    $this->getDefaultPrompt());
+        // Load question attributes (the prompt stays server-side)
         $maxTokens = (int) $this->getQuestionAttribute($questionId, 'ai_interview_max_tokens', 6000);
         $mandatory = (string) $this->getQuestionAttribute($questionId, 'ai_interview_mandatory', '0');
 
@@ -563,11 +947,13 @@ class AIInterview extends PluginBase
             $sgqa,
             $surveyId,
             $ajaxUrl,
-            $prompt,
+            $questionId,
             $maxTokens,
             $language,
             $mandatory,
-            ''
+            $this->getStoredAnswer($surveyId, $sgqa),
+            $this->isStreamingEnabled(),
+            count($this->getInterviewGuide($questionId))
         );
 
         // Escape the widget HTML for embedding in a JS string
@@ -600,9 +986,10 @@ class AIInterview extends PluginBase
             var wrapper = document.createElement('div');
             wrapper.innerHTML = {$widgetHtmlJs};
             var widget = wrapper.firstElementChild;
-            // Restore any existing answer value
+            // Restore any existing answer value (unless a newer unsubmitted
+            // transcript was already filled in on the server)
             var answerField = widget.querySelector('.ai-interview-answer-field');
-            if (answerField && textarea.value) {
+            if (answerField && textarea.value && !answerField.value) {
                 answerField.value = textarea.value;
             }
             textarea.parentNode.replaceChild(widget, textarea);
@@ -627,6 +1014,19 @@ JS;
         );
     }
 
+    /**
+     * Whether a question is an AI Interview question.
+     * Primary check: question_theme_name = 'AIInterview'
+     * Fallback check: has the ai_interview_prompt attribute set
+     */
+    private function isInterviewQuestion(Question $oQuestion): bool
+    {
+        if ($oQuestion->question_theme_name === 'AIInterview') {
+            return true;
+        }
+        return trim((string) $this->getQuestionAttribute((int) $oQuestion->qid, 'ai_interview_prompt', '')) !== '';
+    }
+
     /**
      * Get a question attribute value, with a fallback default.
      */
@@ -642,64 +1042,146 @@ JS;
         return $default;
     }
 
+    /**
+     * Get a question attribute that is translated per survey language (i18n),
+     * with a fallback default
+     */
+    private function getLocalisedQuestionAttribute(int $questionId, string $attribute, string $language, $default = '')
+    {
+        $attr = QuestionAttribute::model()->findByAttributes([
+            'qid'       => $questionId,
+            'attribute' => $attribute,
+            'language'  => $language,
+        ]);
+        if (!empty($attr) && $attr->value !== null && $attr->value !== '') {
+            return $attr->value;
+        }
+        return $default;
+    }
+
     /**
      * Build the full HTML for the AI Interview widget.
      *
      * @param string $sgqa       SGQA field name
      * @param int    $surveyId   Survey ID
-     * @param string $ajaxUrl    URL for the server-side OpenAI proxy
-     * @param string $prompt     AI system prompt
+     * @param string $ajaxUrl    URL for the server-side AI proxy
+     * @param int    $questionId Question ID (the chat endpoint loads the prompt with it)
      * @param int    $maxTokens  Maximum token budget
      * @param string $language   BCP-47 language code
      * @param string $mandatory  '1' if mandatory, '0' otherwise
      * @param string $dispVal    Previously saved answer (for back-navigation)
+     * @param bool   $streaming  Whether the widget should request streamed replies
+     * @param int    $guideItems Number of interview guide items (0 hides the progress bar)
      * @return string            HTML for the widget
      */
     private function buildWidgetHtml(
         string $sgqa,
         int    $surveyId,
         string $ajaxUrl,
-        string $prompt,
+        int    $questionId,
         int    $maxTokens,
         string $language,
         string $mandatory,
-        string $dispVal
+        string $dispVal,
+        bool   $streaming,
+        int    $guideItems
     ): string {
         $eSgqa      = htmlspecialchars($sgqa,      ENT_QUOTES, 'UTF-8');
         $eAjaxUrl   = htmlspecialchars($ajaxUrl,   ENT_QUOTES, 'UTF-8');
-        $ePrompt    = htmlspecialchars($prompt,    ENT_QUOTES, 'UTF-8');
         $eLanguage  = htmlspecialchars($language,  ENT_QUOTES, 'UTF-8');
         $eMandatory = htmlspecialchars($mandatory, ENT_QUOTES, 'UTF-8');
         $eDispVal   = htmlspecialchars($dispVal,   ENT_QUOTES, 'UTF-8');
+        $eStreaming = $streaming ? '1' : '0';
+
+        // Support resources stay on screen after a reload once the interview
+        // has hit one of the question's support categories
+        $support = null;
+        if (trim($dispVal) !== '') {
+            $saved = $this->parseTranscript($dispVal);
+            if (!empty($saved['moderation']['categories'])) {
+                $support = $this->getSupportResources($questionId, (array) $saved['moderation']['categories']);
+            }
+        }
+        $eSupport       = htmlspecialchars((string) $support, ENT_QUOTES, 'UTF-8');
+        $supportDisplay = $support !== null ? 'block' : 'none';
+
+        // The survey's own script may start the interview instead (see the
+        // JavaScript API in the README)
+        $autostart = $this->getQuestionAttribute($questionId, 'ai_interview_autostart', '1') === '0' ? '0' : '1';
+
+        // Answer rules drive the character counter and when Finish is enabled
+        $rules     = $this->getAnswerRules($questionId);
+        $maxLength = $rules['maxLength'] > 0 ? $rules['maxLength'] : self::MAX_ANSWER_LENGTH;
+
+        // Labels in the survey language; the widget gets the full set for
+        // the text it adds itself
+        $strings  = $this->getWidgetStrings($questionId, $language);
+        $eText    = array_map(function ($text) {
+            return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+        }, $strings);
+        $eStrings = htmlspecialchars(json_encode($strings, JSON_UNESCAPED_UNICODE), ENT_QUOTES, 'UTF-8');
 
         return <<<HTML
 <div class="ai-interview-widget"
      id="ai-interview-widget-{$eSgqa}"
+     lang="{$eLanguage}"
      data-sgqa="{$eSgqa}"
      data-survey-id="{$surveyId}"
      data-ajax-url="{$eAjaxUrl}"
-     data-prompt="{$ePrompt}"
+     data-question-id="{$questionId}"
      data-max-tokens="{$maxTokens}"
      data-language="{$eLanguage}"
-     data-mandatory="{$eMandatory}">
+     data-mandatory="{$eMandatory}"
+     data-streaming="{$eStreaming}"
+     data-autostart="{$autostart}"
+     data-guide-items="{$guideItems}"
+     data-min-turns="{$rules['minTurns']}"
+     data-max-turns="{$rules['maxTurns']}"
+     data-min-length="{$rules['minLength']}"
+     data-max-length="{$rules['maxLength']}"
+     data-min-words="{$rules['minWords']}"
+     data-strings="{$eStrings}">
+
+    <!-- Interview guide progress (only shown when the question has a guide) -->
+    <div class="ai-interview-progress"
+         id="ai-progress-{$eSgqa}"
+         style="display:none;">
+        <div class="ai-progress-track"
+             role="progressbar"
+             aria-label="{$eText['progress']}"
+             aria-valuemin="0"
+             aria-valuemax="{$guideItems}"
+             aria-valuenow="0">
+            <div class="ai-progress-fill" id="ai-progress-fill-{$eSgqa}"></div>
+        </div>
+        <span class="ai-progress-label" id="ai-progress-label-{$eSgqa}"></span>
+    </div>
 
     <!-- Chat message display area -->
     <div class="ai-interview-messages"
          id="ai-messages-{$eSgqa}"
          role="log"
          aria-live="polite"
-         aria-label="Interview conversation">
+         aria-relevant="additions"
+         aria-label="{$eText['conversation']}">
     </div>
 
+    <!-- Screen-reader announcements: typing, streamed replies, the end of the interview -->
+    <div class="ai-sr-only"
+         id="ai-status-{$eSgqa}"
+         role="status"
+         aria-live="polite"
+         aria-atomic="true"></div>
+
     <!-- Typing indicator -->
     <div class="ai-interview-typing"
          id="ai-typing-{$eSgqa}"
          style="display:none;"
-         aria-live="polite">
+         aria-hidden="true">
         <span class="ai-typing-dot"></span>
         <span class="ai-typing-dot"></span>
         <span class="ai-typing-dot"></span>
-        <span class="ai-typing-label">Interviewer is typing&hellip;</span>
+        <span class="ai-typing-label">{$eText['typing']}</span>
     </div>
 
     <!-- Error banner -->
@@ -707,17 +1189,17 @@ JS;
          id="ai-error-{$eSgqa}"
          style="display:none;"
          role="alert">
-        <span class="ai-error-text">The AI service is currently unavailable. You may skip this question or try again later.</span>
+        <span class="ai-error-text">{$eText['errorUnavailable']}</span>
         <button type="button"
                 class="ai-btn ai-btn-primary ai-btn-retry"
                 id="ai-retry-{$eSgqa}"
                 data-sgqa="{$eSgqa}">
-            Retry
+            {$eText['retry']}
         </button>
         <button type="button"
                 class="ai-btn ai-btn-secondary ai-btn-skip"
                 data-sgqa="{$eSgqa}">
-            Skip this question
+            {$eText['skip']}
         </button>
     </div>
 
@@ -726,37 +1208,63 @@ JS;
          id="ai-token-warning-{$eSgqa}"
          style="display:none;"
          role="status">
-        The interview has reached its maximum length and has been automatically concluded.
+        {$eText['tokenWarning']}
     </div>
 
+    <!-- Researcher-written support resources (shown after a moderation hit) -->
+    <div class="ai-interview-support"
+         id="ai-support-{$eSgqa}"
+         style="display:{$supportDisplay};"
+         role="note">{$eSupport}</div>
+
     <!-- User input area -->
     <div class="ai-interview-input-area" id="ai-input-area-{$eSgqa}">
         <textarea
             class="ai-interview-input"
             id="ai-input-{$eSgqa}"
-            placeholder="Type your response here&hellip;"
+            placeholder="{$eText['placeholder']}"
             rows="3"
-            aria-label="Type your response here&hellip;"
+            aria-label="{$eText['placeholder']}"
+            aria-describedby="ai-input-hint-{$eSgqa} ai-counter-{$eSgqa}"
+            maxlength="{$maxLength}"
         ></textarea>
+        <span class="ai-sr-only" id="ai-input-hint-{$eSgqa}">{$eText['inputHint']}</span>
+        <div class="ai-interview-counter" id="ai-counter-{$eSgqa}">
+            <span class="ai-counter-hint" id="ai-counter-hint-{$eSgqa}" aria-live="polite"></span>
+            <span class="ai-counter-count"></span>
+        </div>
         <div class="ai-interview-actions">
+            <button type="button"
+                    class="ai-btn ai-btn-secondary ai-btn-edit"
+                    id="ai-edit-{$eSgqa}"
+                    style="display:none;">
+                {$eText['editAnswer']}
+            </button>
+            <button type="button"
+                    class="ai-btn ai-btn-secondary ai-btn-rephrase"
+                    id="ai-rephrase-{$eSgqa}"
+                    style="display:none;">
+                {$eText['rephrase']}
+            </button>
             <button type="button"
                     class="ai-btn ai-btn-primary ai-btn-send"
                     id="ai-send-{$eSgqa}"
                     data-sgqa="{$eSgqa}">
-                Send
+                {$eText['send']}
             </button>
             <button type="button"
                     class="ai-btn ai-btn-finish ai-btn-finish-interview"
                     id="ai-finish-{$eSgqa}"
                     data-sgqa="{$eSgqa}"
+                    aria-describedby="ai-counter-hint-{$eSgqa}"
                     style="display:none;">
-                Finish Interview
+                {$eText['finish']}
             </button>
         </div>
     </div>
 
     <!--
-        Hidden textarea — holds the plain-text transcript.
+        Hidden textarea — holds the structured (JSON) transcript.
         Submitted with the survey form and stored by LimeSurvey as the answer.
         LimeSurvey uses the sgqa code directly as the form field name.
 
@@ -787,6 +1295,319 @@ JS;
 HTML;
     }
 
+    // =========================================================================
+    // WIDGET STRINGS
+    //
+    // Everything the widget shows respondents comes from this catalogue, in
+    // the survey session's language. A language that is not built in falls
+    // back to its base language ("de-informal" → "de") and then to English,
+    // string by string. Researchers can override single strings per question
+    // and language with the ai_interview_strings attribute ("key: text" per
+    // line). buildWidgetHtml() renders the button labels with the resolved
+    // strings and hands the whole set to the widget as data-strings.
+    // {placeholders} are filled in by the widget.
+    // =========================================================================
+
+    /** Built-in widget strings by language */
+    private const WIDGET_STRINGS = [
+        'en' => [
+            'conversation'           => 'Interview conversation',
+            'progress'               => 'Interview progress',
+            'topicsCovered'          => 'Topics covered: {covered} of {total}',
+            'typing'                 => 'Interviewer is typing…',
+            'interviewer'            => 'Interviewer',
+            'you'                    => 'You',
+            'placeholder'            => 'Type your response here…',
+            'inputHint'              => 'Press Enter to send, Shift+Enter for a new line.',
+            'send'                   => 'Send',
+            'finish'                 => 'Finish Interview',
+            'editAnswer'             => 'Edit last answer',
+            'rephrase'               => 'Rephrase question',
+            'retry'                  => 'Retry',
+            'skip'                   => 'Skip this question',
+            'tokenWarning'           => 'The interview has reached its maximum length and has been automatically concluded.',
+            'finishedManual'         => 'Interview complete. Thank you for your responses.',
+            'finishedBudget'         => 'The interview has been automatically concluded.',
+            'finishedAi'             => 'The interviewer has concluded the interview. Thank you for your responses.',
+            'finishedTurns'          => 'You have answered all the questions of this interview. Thank you for your responses.',
+            'finishedModeration'     => 'The interview has ended here. Thank you for your responses.',
+            'finishedRestored'       => 'Interview complete. Your responses have been recorded.',
+            'announceMessage'        => '{name}: {text}',
+            'skipped'                => 'This question has been skipped.',
+            'redactionPreview'       => 'Preview — sent to the AI as: {text}',
+            'lengthMin'              => 'Please write at least {min} characters ({missing} more).',
+            'lengthMax'              => 'Please shorten your answer to {max} characters.',
+            'characters'             => '{n} characters',
+            'charactersOne'          => '{n} character',
+            'charactersOfMax'        => '{n} / {max}',
+            'finishHint'             => 'To finish, write {missing}.',
+            'finishTitle'            => 'Write {missing} to finish.',
+            'answersMissing'         => '{n} more answers',
+            'answersMissingOne'      => '{n} more answer',
+            'wordsMissing'           => '{n} more words',
+            'wordsMissingOne'        => '{n} more word',
+            'missingBoth'            => '{answers} and {words}',
+            'errorUnavailable'       => 'The AI service is currently unavailable. You may skip this question or try again later.',
+            'errorNotConfigured'     => 'AI Interview is not configured. Please contact the survey administrator.',
+            'errorService'           => 'The AI service returned an error.',
+            'errorInterrupted'       => 'The connection to the AI service was interrupted. Please try again.',
+            'errorUnexpected'        => 'Unexpected response from server. Check browser console for details.',
+            'errorServer'            => 'Server error ({status})',
+            'errorServerDetails'     => 'Server error ({status}). Check browser console for details.',
+            'errorNetwork'           => 'Network error. Please check your connection and try again.',
+            'errorTimeout'           => 'The request timed out. The AI service may be slow or unavailable.',
+            'errorAiUnavailable'     => 'The AI service is temporarily unavailable. Please try again in a minute.',
+            'errorReplyWithheld'     => 'The interviewer\'s reply could not be shown. Please try again.',
+            'errorAnswerLength'      => 'This answer is too short or too long. Please change it and send it again.',
+            'errorTooFast'           => 'You are sending messages very quickly. Please wait a moment and try again.',
+            'errorTooManyInterviews' => 'Too many interviews are in progress from your network. Please try again in a few minutes.',
+            'errorDailyCap'          => 'The interview is not available at the moment. Please skip this question or come back tomorrow.',
+        ],
+        'de' => [
+            'conversation'           => 'Interviewverlauf',
+            'progress'               => 'Fortschritt des Interviews',
+            'topicsCovered'          => 'Behandelte Themen: {covered} von {total}',
+            'typing'                 => 'Der Interviewer schreibt…',
+            'interviewer'            => 'Interviewer',
+            'you'                    => 'Sie',
+            'placeholder'            => 'Geben Sie hier Ihre Antwort ein…',
+            'inputHint'              => 'Mit der Eingabetaste senden, mit Umschalt+Eingabe eine neue Zeile beginnen.',
+            'send'                   => 'Senden',
+            'finish'                 => 'Interview beenden',
+            'editAnswer'             => 'Letzte Antwort bearbeiten',
+            'rephrase'               => 'Frage umformulieren',
+            'retry'                  => 'Erneut versuchen',
+            'skip'                   => 'Diese Frage überspringen',
+            'tokenWarning'           => 'Das Interview hat seine maximale Länge erreicht und wurde automatisch beendet.',
+            'finishedManual'         => 'Interview abgeschlossen. Vielen Dank für Ihre Antworten.',
+            'finishedBudget'         => 'Das Interview wurde automatisch beendet.',
+            'finishedAi'             => 'Der Interviewer hat das Interview beendet. Vielen Dank für Ihre Antworten.',
+            'finishedTurns'          => 'Sie haben alle Fragen dieses Interviews beantwortet. Vielen Dank für Ihre Antworten.',
+            'finishedModeration'     => 'Das Interview endet hier. Vielen Dank für Ihre Antworten.',
+            'finishedRestored'       => 'Interview abgeschlossen. Ihre Antworten wurden gespeichert.',
+            'announceMessage'        => '{name}: {text}',
+            'skipped'                => 'Diese Frage wurde übersprungen.',
+            'redactionPreview'       => 'Vorschau – so an die KI gesendet: {text}',
+            'lengthMin'              => 'Bitte schreiben Sie mindestens {min} Zeichen (noch {missing}).',
+            'lengthMax'              => 'Bitte kürzen Sie Ihre Antwort auf {max} Zeichen.',
+            'characters'             => '{n} Zeichen',
+            'charactersOne'          => '{n} Zeichen',
+            'charactersOfMax'        => '{n} / {max}',
+            'finishHint'             => 'Zum Beenden fehlen noch {missing}.',
+            'finishTitle'            => 'Zum Beenden fehlen noch {missing}.',
+            'answersMissing'         => '{n} Antworten',
+            'answersMissingOne'      => '{n} Antwort',
+            'wordsMissing'           => '{n} Wörter',
+            'wordsMissingOne'        => '{n} Wort',
+            'missingBoth'            => '{answers} und {words}',
+            'errorUnavailable'       => 'Der KI-Dienst ist derzeit nicht verfügbar. Sie können diese Frage überspringen oder es später erneut versuchen.',
+            'errorNotConfigured'     => 'AI Interview ist nicht eingerichtet. Bitte wenden Sie sich an die Umfrageleitung.',
+            'errorService'           => 'Der KI-Dienst hat einen Fehler gemeldet.',
+            'errorInterrupted'       => 'Die Verbindung zum KI-Dienst wurde unterbrochen. Bitte versuchen Sie es erneut.',
+            'errorUnexpected'        => 'Unerwartete Antwort des Servers. Details finden Sie in der Browserkonsole.',
+            'errorServer'            => 'Serverfehler ({status})',
+            'errorServerDetails'     => 'Serverfehler ({status}). Details finden Sie in der Browserkonsole.',
+            'errorNetwork'           => 'Netzwerkfehler. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut.',
+            'errorTimeout'           => 'Die Anfrage hat zu lange gedauert. Der KI-Dienst ist möglicherweise langsam oder nicht verfügbar.',
+            'errorAiUnavailable'     => 'Der KI-Dienst ist vorübergehend nicht verfügbar. Bitte versuchen Sie es in einer Minute erneut.',
+            'errorReplyWithheld'     => 'Die Antwort des Interviewers konnte nicht angezeigt werden. Bitte versuchen Sie es erneut.',
+            'errorAnswerLength'      => 'Diese Antwort ist zu kurz oder zu lang. Bitte ändern Sie sie und senden Sie sie erneut.',
+            'errorTooFast'           => 'Sie senden sehr schnell Nachrichten. Bitte warten Sie einen Moment und versuchen Sie es erneut.',
+            'errorTooManyInterviews' => 'In Ihrem Netzwerk laufen zu viele Interviews gleichzeitig. Bitte versuchen Sie es in einigen Minuten erneut.',
+            'errorDailyCap'          => 'Das Interview ist im Moment nicht verfügbar. Bitte überspringen Sie diese Frage oder kommen Sie morgen wieder.',
+        ],
+        'fr' => [
+            'conversation'           => 'Conversation de l\'entretien',
+            'progress'               => 'Progression de l\'entretien',
+            'topicsCovered'          => 'Thèmes abordés : {covered} sur {total}',
+            'typing'                 => 'L\'intervieweur écrit…',
+            'interviewer'            => 'Intervieweur',
+            'you'                    => 'Vous',
+            'placeholder'            => 'Saisissez votre réponse ici…',
+            'inputHint'              => 'Appuyez sur Entrée pour envoyer, sur Maj+Entrée pour aller à la ligne.',
+            'send'                   => 'Envoyer',
+            'finish'                 => 'Terminer l\'entretien',
+            'editAnswer'             => 'Modifier la dernière réponse',
+            'rephrase'               => 'Reformuler la question',
+            'retry'                  => 'Réessayer',
+            'skip'                   => 'Passer cette question',
+            'tokenWarning'           => 'L\'entretien a atteint sa durée maximale et a été terminé automatiquement.',
+            'finishedManual'         => 'Entretien terminé. Merci pour vos réponses.',
+            'finishedBudget'         => 'L\'entretien a été terminé automatiquement.',
+            'finishedAi'             => 'L\'intervieweur a terminé l\'entretien. Merci pour vos réponses.',
+            'finishedTurns'          => 'Vous avez répondu à toutes les questions de cet entretien. Merci pour vos réponses.',
+            'finishedModeration'     => 'L\'entretien s\'arrête ici. Merci pour vos réponses.',
+            'finishedRestored'       => 'Entretien terminé. Vos réponses ont été enregistrées.',
+            'announceMessage'        => '{name} : {text}',
+            'skipped'                => 'Cette question a été passée.',
+            'redactionPreview'       => 'Aperçu — envoyé à l\'IA sous la forme : {text}',
+            'lengthMin'              => 'Veuillez écrire au moins {min} caractères (encore {missing}).',
+            'lengthMax'              => 'Veuillez raccourcir votre réponse à {max} caractères.',
+            'characters'             => '{n} caractères',
+            'charactersOne'          => '{n} caractère',
+            'charactersOfMax'        => '{n} / {max}',
+            'finishHint'             => 'Pour terminer, écrivez encore {missing}.',
+            'finishTitle'            => 'Écrivez encore {missing} pour terminer.',
+            'answersMissing'         => '{n} réponses',
+            'answersMissingOne'      => '{n} réponse',
+            'wordsMissing'           => '{n} mots',
+            'wordsMissingOne'        => '{n} mot',
+            'missingBoth'            => '{answers} et {words}',
+            'errorUnavailable'       => 'Le service d\'IA est actuellement indisponible. Vous pouvez passer cette question ou réessayer plus tard.',
+            'errorNotConfigured'     => 'AI Interview n\'est pas configuré. Veuillez contacter l\'administrateur du questionnaire.',
+            'errorService'           => 'Le service d\'IA a renvoyé une erreur.',
+            'errorInterrupted'       => 'La connexion au service d\'IA a été interrompue. Veuillez réessayer.',
+            'errorUnexpected'        => 'Réponse inattendue du serveur. Consultez la console du navigateur pour plus de détails.',
+            'errorServer'            => 'Erreur du serveur ({status})',
+            'errorServerDetails'     => 'Erreur du serveur ({status}). Consultez la console du navigateur pour plus de détails.',
+            'errorNetwork'           => 'Erreur réseau. Veuillez vérifier votre connexion et réessayer.',
+            'errorTimeout'           => 'La requête a expiré. Le service d\'IA est peut-être lent ou indisponible.',
+            'errorAiUnavailable'     => 'Le service d\'IA est temporairement indisponible. Veuillez réessayer dans une minute.',
+            'errorReplyWithheld'     => 'La réponse de l\'intervieweur n\'a pas pu être affichée. Veuillez réessayer.',
+            'errorAnswerLength'      => 'Cette réponse est trop courte ou trop longue. Veuillez la modifier et l\'envoyer à nouveau.',
+            'errorTooFast'           => 'Vous envoyez des messages très rapidement. Veuillez patienter un instant et réessayer.',
+            'errorTooManyInterviews' => 'Trop d\'entretiens sont en cours depuis votre réseau. Veuillez réessayer dans quelques minutes.',
+            'errorDailyCap'          => 'L\'entretien n\'est pas disponible pour le moment. Veuillez passer cette question ou revenir demain.',
+        ],
+        'es' => [
+            'conversation'           => 'Conversación de la entrevista',
+            'progress'               => 'Progreso de la entrevista',
+            'topicsCovered'          => 'Temas tratados: {covered} de {total}',
+            'typing'                 => 'El entrevistador está escribiendo…',
+            'interviewer'            => 'Entrevistador',
+            'you'                    => 'Usted',
+            'placeholder'            => 'Escriba su respuesta aquí…',
+            'inputHint'              => 'Pulse Intro para enviar y Mayús+Intro para añadir una línea.',
+            'send'                   => 'Enviar',
+            'finish'                 => 'Terminar la entrevista',
+            'editAnswer'             => 'Editar la última respuesta',
+            'rephrase'               => 'Reformular la pregunta',
+            'retry'                  => 'Reintentar',
+            'skip'                   => 'Omitir esta pregunta',
+            'tokenWarning'           => 'La entrevista ha alcanzado su duración máxima y ha finalizado automáticamente.',
+            'finishedManual'         => 'Entrevista completada. Gracias por sus respuestas.',
+            'finishedBudget'         => 'La entrevista ha finalizado automáticamente.',
+            'finishedAi'             => 'El entrevistador ha finalizado la entrevista. Gracias por sus respuestas.',
+            'finishedTurns'          => 'Ha respondido a todas las preguntas de esta entrevista. Gracias por sus respuestas.',
+            'finishedModeration'     => 'La entrevista termina aquí. Gracias por sus respuestas.',
+            'finishedRestored'       => 'Entrevista completada. Sus respuestas han quedado registradas.',
+            'announceMessage'        => '{name}: {text}',
+            'skipped'                => 'Se ha omitido esta pregunta.',
+            'redactionPreview'       => 'Vista previa — enviado a la IA como: {text}',
+            'lengthMin'              => 'Escriba al menos {min} caracteres (faltan {missing}).',
+            'lengthMax'              => 'Acorte su respuesta a {max} caracteres.',
+            'characters'             => '{n} caracteres',
+            'charactersOne'          => '{n} carácter',
+            'charactersOfMax'        => '{n} / {max}',
+            'finishHint'             => 'Para terminar, escriba {missing}.',
+            'finishTitle'            => 'Escriba {missing} para terminar.',
+            'answersMissing'         => '{n} respuestas más',
+            'answersMissingOne'      => '{n} respuesta más',
+            'wordsMissing'           => '{n} palabras más',
+            'wordsMissingOne'        => '{n} palabra más',
+            'missingBoth'            => '{answers} y {words}',
+            'errorUnavailable'       => 'El servicio de IA no está disponible en este momento. Puede omitir esta pregunta o volver a intentarlo más tarde.',
+            'errorNotConfigured'     => 'AI Interview no está configurado. Póngase en contacto con el administrador de la encuesta.',
+            'errorService'           => 'El servicio de IA ha devuelto un error.',
+            'errorInterrupted'       => 'Se ha interrumpido la conexión con el servicio de IA. Vuelva a intentarlo.',
+            'errorUnexpected'        => 'Respuesta inesperada del servidor. Consulte la consola del navegador para más detalles.',
+            'errorServer'            => 'Error del servidor ({status})',
+            'errorServerDetails'     => 'Error del servidor ({status}). Consulte la consola del navegador para más detalles.',
+            'errorNetwork'           => 'Error de red. Compruebe su conexión y vuelva a intentarlo.',
+            'errorTimeout'           => 'La solicitud ha tardado demasiado. Es posible que el servicio de IA esté lento o no disponible.',
+            'errorAiUnavailable'     => 'El servicio de IA no está disponible temporalmente. Vuelva a intentarlo dentro de un minuto.',
+            'errorReplyWithheld'     => 'No se ha podido mostrar la respuesta del entrevistador. Vuelva a intentarlo.',
+            'errorAnswerLength'      => 'Esta respuesta es demasiado corta o demasiado larga. Modifíquela y vuelva a enviarla.',
+            'errorTooFast'           => 'Está enviando mensajes muy rápido. Espere un momento y vuelva a intentarlo.',
+            'errorTooManyInterviews' => 'Hay demasiadas entrevistas en curso desde su red. Vuelva a intentarlo dentro de unos minutos.',
+            'errorDailyCap'          => 'La entrevista no está disponible en este momento. Omita esta pregunta o vuelva mañana.',
+        ],
+        'nl' => [
+            'conversation'           => 'Interviewgesprek',
+            'progress'               => 'Voortgang van het interview',
+            'topicsCovered'          => 'Besproken onderwerpen: {covered} van {total}',
+            'typing'                 => 'De interviewer typt…',
+            'interviewer'            => 'Interviewer',
+            'you'                    => 'U',
+            'placeholder'            => 'Typ hier uw antwoord…',
+            'inputHint'              => 'Druk op Enter om te versturen, op Shift+Enter voor een nieuwe regel.',
+            'send'                   => 'Versturen',
+            'finish'                 => 'Interview afronden',
+            'editAnswer'             => 'Laatste antwoord bewerken',
+            'rephrase'               => 'Vraag anders stellen',
+            'retry'                  => 'Opnieuw proberen',
+            'skip'                   => 'Deze vraag overslaan',
+            'tokenWarning'           => 'Het interview heeft de maximale lengte bereikt en is automatisch afgerond.',
+            'finishedManual'         => 'Interview afgerond. Bedankt voor uw antwoorden.',
+            'finishedBudget'         => 'Het interview is automatisch afgerond.',
+            'finishedAi'             => 'De interviewer heeft het interview afgerond. Bedankt voor uw antwoorden.',
+            'finishedTurns'          => 'U hebt alle vragen van dit interview beantwoord. Bedankt voor uw antwoorden.',
+            'finishedModeration'     => 'Het interview stopt hier. Bedankt voor uw antwoorden.',
+            'finishedRestored'       => 'Interview afgerond. Uw antwoorden zijn opgeslagen.',
+            'announceMessage'        => '{name}: {text}',
+            'skipped'                => 'Deze vraag is overgeslagen.',
+            'redactionPreview'       => 'Voorbeeld — zo naar de AI verstuurd: {text}',
+            'lengthMin'              => 'Schrijf minstens {min} tekens (nog {missing}).',
+            'lengthMax'              => 'Kort uw antwoord in tot {max} tekens.',
+            'characters'             => '{n} tekens',
+            'charactersOne'          => '{n} teken',
+            'charactersOfMax'        => '{n} / {max}',
+            'finishHint'             => 'Om af te ronden, schrijf nog {missing}.',
+            'finishTitle'            => 'Schrijf nog {missing} om af te ronden.',
+            'answersMissing'         => '{n} antwoorden',
+            'answersMissingOne'      => '{n} antwoord',
+            'wordsMissing'           => '{n} woorden',
+            'wordsMissingOne'        => '{n} woord',
+            'missingBoth'            => '{answers} en {words}',
+            'errorUnavailable'       => 'De AI-dienst is momenteel niet beschikbaar. U kunt deze vraag overslaan of het later opnieuw proberen.',
+            'errorNotConfigured'     => 'AI Interview is niet ingesteld. Neem contact op met de beheerder van de enquête.',
+            'errorService'           => 'De AI-dienst gaf een foutmelding.',
+            'errorInterrupted'       => 'De verbinding met de AI-dienst is verbroken. Probeer het opnieuw.',
+            'errorUnexpected'        => 'Onverwacht antwoord van de server. Zie de browserconsole voor details.',
+            'errorServer'            => 'Serverfout ({status})',
+            'errorServerDetails'     => 'Serverfout ({status}). Zie de browserconsole voor details.',
+            'errorNetwork'           => 'Netwerkfout. Controleer uw verbinding en probeer het opnieuw.',
+            'errorTimeout'           => 'Het verzoek duurde te lang. De AI-dienst is mogelijk traag of niet beschikbaar.',
+            'errorAiUnavailable'     => 'De AI-dienst is tijdelijk niet beschikbaar. Probeer het over een minuut opnieuw.',
+            'errorReplyWithheld'     => 'Het antwoord van de interviewer kon niet worden getoond. Probeer het opnieuw.',
+            'errorAnswerLength'      => 'Dit antwoord is te kort of te lang. Pas het aan en verstuur het opnieuw.',
+            'errorTooFast'           => 'U verstuurt erg snel berichten. Wacht even en probeer het opnieuw.',
+            'errorTooManyInterviews' => 'Er lopen te veel interviews vanaf uw netwerk. Probeer het over een paar minuten opnieuw.',
+            'errorDailyCap'          => 'Het interview is op dit moment niet beschikbaar. Sla deze vraag over of kom morgen terug.',
+        ],
+    ];
+
+    /**
+     * The widget strings for a question in a language: built-in catalogue,
+     * then the question's own overrides for that language
+     *
+     * @return array key => text, every key of the English catalogue present
+     */
+    private function getWidgetStrings(int $questionId, string $language): array
+    {
+        $strings = self::WIDGET_STRINGS['en'];
+
+        $base = strtolower(strtok($language, '-_'));
+        foreach (array_unique([$base, strtolower($language)]) as $code) {
+            if ($code !== 'en' && isset(self::WIDGET_STRINGS[$code])) {
+                $strings = array_merge($strings, self::WIDGET_STRINGS[$code]);
+            }
+        }
+
+        $overrides = (string) $this->getLocalisedQuestionAttribute($questionId, 'ai_interview_strings', $language, '');
+        foreach (preg_split('/\R/', $overrides) as $line) {
+            if (!preg_match('/^\s*([A-Za-z]+)\s*:\s*(.+?)\s*$/', $line, $m)) {
+                continue;
+            }
+            if (!isset($strings[$m[1]])) {
+                Yii::log('AIInterview: Unknown widget string "' . $m[1] . '" in question ' . $questionId, CLogger::LEVEL_WARNING);
+                continue;
+            }
+            $strings[$m[1]] = $m[2];
+        }
+        return $strings;
+    }
+
     // =========================================================================
     // AJAX PROXY ENDPOINT  (server-side — API key NEVER leaves the server)
     // =========================================================================
@@ -823,6 +1644,30 @@ HTML;
             $event->set('success', true);
             return;
         }
+
+        if ($function === 'transcript') {
+            $this->handleTranscriptRequest();
+            $event->set('success', true);
+            return;
+        }
+
+        if ($function === 'export') {
+            $this->handleExportRequest();
+            $event->set('success', true);
+            return;
+        }
+
+        if ($function === 'pilot') {
+            $this->handlePilotRequest();
+            $event->set('success', true);
+            return;
+        }
+
+        if ($function === 'analyse') {
+            $this->handleAnalyseRequest();
+            $event->set('success', true);
+            return;
+        }
     }
 
     /**
@@ -909,14 +1754,14 @@ HTML;
     }
 
     /**
-     * Test endpoint — verifies the plugin endpoint is reachable and the API key is set.
+     * Test endpoint — verifies the plugin endpoint is reachable and the provider is configured.
      * Accessible at: /index.php/plugins/direct?plugin=AIInterview&function=testchat
-     * Does NOT call OpenAI — just returns configuration status.
+     * Add &surveyId=123 to check a survey's own provider settings.
+     * Does NOT call the AI provider — just returns configuration status.
      */
     private function handleTestChatRequest(): void
     {
-        $apiKey = trim((string) $this->get('openai_api_key', null, null, ''));
-        $model  = trim((string) $this->get('openai_model',   null, null, 'gpt-4o'));
+        $provider = $this->getProviderConfig((int) Yii::app()->request->getParam('surveyId', 0));
 
         $isAdmin = false;
         try {
@@ -929,8 +1774,10 @@ HTML;
             'status'       => 'ok',
             'endpoint'     => 'AIInterview chat endpoint is reachable',
             'method'       => $_SERVER['REQUEST_METHOD'] ?? 'unknown',
-            'api_key_set'  => !empty($apiKey),
-            'model'        => $model ?: 'gpt-4o',
+            'provider'     => $provider['provider'] ?? null,
+            'model'        => $provider['model'] ?? null,
+            'api_key_set'  => !empty($provider['apiKey']),
+            'config_error' => $provider['error'] ?? null,
             'is_admin'     => $isAdmin,
             'php_version'  => PHP_VERSION,
             'curl_enabled' => function_exists('curl_init'),
@@ -938,34 +1785,484 @@ HTML;
     }
 
     /**
-     * Process an incoming chat message and proxy it to OpenAI.
+     * Render stored AI Interview answers as human-readable transcripts.
+     * Accessible at: /index.php/plugins/direct?plugin=AIInterview&function=transcript
      *
-     * Expected POST body (application/x-www-form-urlencoded):
-     *   payload=<JSON-encoded object>
-     *   YII_CSRF_TOKEN=<token>   (satisfies Yii CSRF validation)
+     * Query parameters:
+     *   surveyId    (required) survey to read responses from
+     *   responseId  (optional) a single response; omit to render every response
+     *   format      'html' (default, for viewing in the browser) or 'text'
+     *               (downloaded as a .txt file)
      *
-     * The JSON payload object:
-     * {
-     *   "surveyId":  123,
-     *   "messages":  [{"role":"system","content":"..."}, ...],
-     *   "maxTokens": 6000,
-     *   "language":  "en"
-     * }
+     * Requires permission to read the survey's responses.
      */
-    private function handleChatRequest(): void
+    private function handleTranscriptRequest(): void
     {
-        $method = strtoupper($_SERVER['REQUEST_METHOD'] ?? 'GET');
+        $request    = Yii::app()->request;
+        $surveyId   = (int) $request->getParam('surveyId');
+        $responseId = (int) $request->getParam('responseId');
+        $format     = $request->getParam('format') === 'text' ? 'text' : 'html';
 
-        if ($method !== 'POST') {
-            $this->sendJsonResponse(['error' => 'Method not allowed. Use POST.'], 405);
+        if ($surveyId <= 0 || !Permission::model()->hasSurveyPermission($surveyId, 'responses', 'read')) {
+            $this->sendJsonResponse(['error' => 'Unauthorized'], 403);
             return;
         }
 
-        // Read the JSON payload from the form-encoded 'payload' field.
-        // The JS sends application/x-www-form-urlencoded so that Yii's CSRF
-        // validation can find YII_CSRF_TOKEN as a $_POST parameter.
-        $rawPayload = isset($_POST['payload']) ? $_POST['payload'] : '';
-
+        $oSurvey = Survey::model()->findByPk($surveyId);
+        if (empty($oSurvey) || $oSurvey->active !== 'Y') {
+            $this->sendJsonResponse(['error' => 'Survey not found or not active'], 404);
+            return;
+        }
+
+        $questions = $this->getInterviewQuestions($surveyId);
+        if (empty($questions)) {
+            $this->sendJsonResponse(['error' => 'This survey has no AI Interview questions'], 404);
+            return;
+        }
+
+        if ($responseId > 0) {
+            $oResponse = SurveyDynamic::model($surveyId)->findByPk($responseId);
+            if (empty($oResponse)) {
+                $this->sendJsonResponse(['error' => 'Response not found'], 404);
+                return;
+            }
+            $responses = [$oResponse];
+        } else {
+            $responses = SurveyDynamic::model($surveyId)->findAll(['order' => 'id ASC']);
+        }
+
+        // One section per (response, question) pair that has an answer
+        $sections = [];
+        foreach ($responses as $oResponse) {
+            foreach ($questions as $oQuestion) {
+                $sgqa  = $surveyId . 'X' . $oQuestion->gid . 'X' . $oQuestion->qid;
+                $value = (string) ($oResponse->getAttribute($sgqa) ?? '');
+                if (trim($value) === '') continue;
+
+                $sections[] = [
+                    'title'      => 'Response ' . $oResponse->id . ' — ' . $oQuestion->title,
+                    'transcript' => $this->parseTranscript($value),
+                ];
+            }
+        }
+
+        if ($format === 'text') {
+            $body = '';
+            foreach ($sections as $section) {
+                $body .= $this->renderTranscriptText($section['title'], $section['transcript']) . "\n\n";
+            }
+            $filename = 'ai-interview-transcripts-' . $surveyId . ($responseId > 0 ? '-' . $responseId : '') . '.txt';
+            $this->sendTextResponse($body, 'text/plain', $filename);
+            return;
+        }
+
+        $body = '';
+        foreach ($sections as $section) {
+            $body .= $this->renderTranscriptHtml($section['title'], $section['transcript']);
+        }
+        if ($body === '') {
+            $body = '<p>No AI Interview answers found.</p>';
+        }
+        $this->sendTextResponse(
+            '<!DOCTYPE html><html><head><meta charset="utf-8"><title>AI Interview transcripts</title></head>'
+            . '<body style="font-family:sans-serif;max-width:800px;margin:2em auto;">' . $body . '</body></html>',
+            'text/html'
+        );
+    }
+
+    /**
+     * Export every AI Interview answer of a survey with one row per turn, for
+     * qualitative-analysis tools. Requires response export permission.
+     *
+     * GET parameters:
+     *   surveyId   (required)
+     *   format     "jsonl" (default) or "csv"
+     *   from, to   Date filter (YYYY-MM-DD or YYYY-MM-DD HH:MM:SS, inclusive) on the
+     *              response's last-action date; only for surveys that record
+     *              dates (without them LimeSurvey stores a dummy submit date)
+     *   completed  "1" for submitted responses only, "0" for incomplete ones only
+     *
+     * Each row: responseId, questionCode, turnIndex (1-based), role, text, ts, tokens
+     */
+    private function handleExportRequest(): void
+    {
+        $request   = Yii::app()->request;
+        $surveyId  = (int) $request->getParam('surveyId');
+        $format    = $request->getParam('format') === 'csv' ? 'csv' : 'jsonl';
+        $completed = (string) $request->getParam('completed', '');
+
+        if ($surveyId <= 0 || !Permission::model()->hasSurveyPermission($surveyId, 'responses', 'export')) {
+            $this->sendJsonResponse(['error' => 'Unauthorized'], 403);
+            return;
+        }
+
+        $oSurvey = Survey::model()->findByPk($surveyId);
+        if (empty($oSurvey) || $oSurvey->active !== 'Y') {
+            $this->sendJsonResponse(['error' => 'Survey not found or not active'], 404);
+            return;
+        }
+
+        $questions = $this->getInterviewQuestions($surveyId);
+        if (empty($questions)) {
+            $this->sendJsonResponse(['error' => 'This survey has no AI Interview questions'], 404);
+            return;
+        }
+
+        $criteria = new CDbCriteria();
+        $criteria->order = 'id ASC';
+
+        if ($completed === '1') {
+            $criteria->addCondition('submitdate IS NOT NULL');
+        } elseif ($completed === '0') {
+            $criteria->addCondition('submitdate IS NULL');
+        } elseif ($completed !== '') {
+            $this->sendJsonResponse(['error' => 'Invalid completed filter: use 1 or 0'], 400);
+            return;
+        }
+
+        foreach (['from' => '>=', 'to' => '<='] as $param => $operator) {
+            $raw = trim((string) $request->getParam($param, ''));
+            if ($raw === '') continue;
+
+            if ($oSurvey->datestamp !== 'Y') {
+                $this->sendJsonResponse(['error' => 'This survey does not record dates, so it cannot be filtered by date'], 400);
+                return;
+            }
+            $date = $this->parseExportDate($raw, $param === 'to');
+            if ($date === null) {
+                $this->sendJsonResponse(['error' => 'Invalid ' . $param . ' date: use YYYY-MM-DD or YYYY-MM-DD HH:MM:SS'], 400);
+                return;
+            }
+            $criteria->addCondition('datestamp ' . $operator . ' :' . $param);
+            $criteria->params[':' . $param] = $date;
+        }
+
+        // Rows are written as they are read, so the export of a large survey
+        // never holds all transcripts in memory at once
+        $filename = 'ai-interview-turns-' . $surveyId . '.' . $format;
+        $this->beginDownload($format === 'csv' ? 'text/csv' : 'application/x-ndjson', $filename);
+
+        $output = fopen('php://output', 'w');
+        if ($format === 'csv') {
+            AIInterviewHelpers::writeExportCsvRow($output, array_merge(
+                ['responseId', 'questionCode', 'turnIndex', 'role', 'text', 'ts', 'tokens'],
+                self::PARADATA_FIELDS
+            ));
+        }
+        foreach ($this->readExportRows($surveyId, $questions, $criteria) as $row) {
+            if ($format === 'csv') {
+                AIInterviewHelpers::writeExportCsvRow($output, $row);
+            } else {
+                fwrite($output, json_encode($row, JSON_UNESCAPED_UNICODE) . "\n");
+            }
+        }
+        fclose($output);
+        Yii::app()->end();
+    }
+
+    /** Responses read per query by the turn-level export */
+    private const EXPORT_BATCH_SIZE = 100;
+
+    /**
+     * The turn-level export's rows, one per turn, reading the responses that
+     * match $criteria in batches of EXPORT_BATCH_SIZE
+     *
+     * @return Generator of rows (see handleExportRequest())
+     */
+    private function readExportRows(int $surveyId, array $questions, CDbCriteria $criteria): Generator
+    {
+        $lastId = 0;
+        do {
+            $batch = clone $criteria;
+            $batch->addCondition('id > :lastId');
+            $batch->params[':lastId'] = $lastId;
+            $batch->limit = self::EXPORT_BATCH_SIZE;
+
+            $responses = SurveyDynamic::model($surveyId)->findAll($batch);
+            foreach ($responses as $oResponse) {
+                $lastId = (int) $oResponse->id;
+                foreach ($questions as $oQuestion) {
+                    $sgqa  = $surveyId . 'X' . $oQuestion->gid . 'X' . $oQuestion->qid;
+                    $value = (string) ($oResponse->getAttribute($sgqa) ?? '');
+                    if (trim($value) === '') continue;
+
+                    $transcript = $this->parseTranscript($value);
+                    foreach ($transcript['turns'] as $index => $turn) {
+                        $row = [
+                            'responseId'   => (int) $oResponse->id,
+                            'questionCode' => (string) $oQuestion->title,
+                            'turnIndex'    => $index + 1,
+                            'role'         => $turn['role'],
+                            'text'         => $turn['text'],
+                            'ts'           => $turn['ts'],
+                            'tokens'       => (int) $turn['tokens'],
+                        ];
+                        // Paradata columns are empty for interviewer turns
+                        $paradata = (array) ($turn['paradata'] ?? []);
+                        foreach (self::PARADATA_FIELDS as $field) {
+                            $row[$field] = $paradata[$field] ?? null;
+                        }
+                        yield $row;
+                    }
+                }
+            }
+        } while (count($responses) === self::EXPORT_BATCH_SIZE);
+    }
+
+    /**
+     * Parse an export date filter. A date without a time covers the whole day,
+     * so "to" gets 23:59:59.
+     *
+     * @return string|null "Y-m-d H:i:s", or null if the value is not a valid date
+     */
+    private function parseExportDate(string $value, bool $endOfDay): ?string
+    {
+        if (preg_match('/^\d{4}-\d{2}-\d{2}$/', $value)) {
+            $value .= $endOfDay ? ' 23:59:59' : ' 00:00:00';
+        }
+
+        $date = DateTime::createFromFormat('!Y-m-d H:i:s', $value);
+        if ($date === false || $date->format('Y-m-d H:i:s') !== $value) {
+            return null;
+        }
+        return $value;
+    }
+
+    /**
+     * Pilot a question's interviewer with simulated respondents before fielding.
+     * Accessible at: /index.php/plugins/direct?plugin=AIInterview&function=pilot&surveyId=123&questionId=45
+     *
+     * GET shows a form; POSTing it (or the same fields from a script, with the
+     * CSRF token) runs the interviews and returns a report (see runPilot()):
+     *   personas        one "name: description" per line; default one typical respondent
+     *   interviews      how many to run, taking the personas in turn (1 to PILOT_MAX_INTERVIEWS)
+     *   prompt          interviewer prompt to try instead of the question's ai_interview_prompt
+     *   maxTokens       token budget to try instead of ai_interview_max_tokens
+     *   respondentModel model that plays the respondents (default: the survey's model)
+     *   language        interview language (default: the survey's base language)
+     *   format          'html' (default) or 'json'
+     *
+     * Requires permission to edit the survey's content. The survey need not be
+     * active. Runs use the survey's provider and stop early at its daily token
+     * cap or when time runs out (see PILOT RUNS).
+     */
+    private function handlePilotRequest(): void
+    {
+        $request    = Yii::app()->request;
+        $surveyId   = (int) $request->getParam('surveyId');
+        $questionId = (int) $request->getParam('questionId');
+
+        if ($surveyId <= 0 || !Permission::model()->hasSurveyPermission($surveyId, 'surveycontent', 'update')) {
+            $this->sendJsonResponse(['error' => 'Unauthorized'], 403);
+            return;
+        }
+
+        $oSurvey   = Survey::model()->findByPk($surveyId);
+        $oQuestion = Question::model()->findByPk($questionId);
+        if (empty($oSurvey) || empty($oQuestion) || (int) $oQuestion->sid !== $surveyId || !$this->isInterviewQuestion($oQuestion)) {
+            $this->sendJsonResponse(['error' => 'Unknown AI Interview question'], 404);
+            return;
+        }
+
+        $settings = [
+            'personas'        => trim((string) $request->getParam('personas', '')),
+            'interviews'      => max(1, min(self::PILOT_MAX_INTERVIEWS, (int) $request->getParam('interviews', self::PILOT_DEFAULT_INTERVIEWS))),
+            'prompt'          => trim((string) $request->getParam('prompt', '')),
+            'maxTokens'       => (int) $request->getParam('maxTokens', 0),
+            'respondentModel' => trim((string) $request->getParam('respondentModel', '')),
+            'language'        => trim((string) $request->getParam('language', '')),
+        ];
+        if ($settings['prompt'] === '') {
+            $settings['prompt'] = trim((string) $this->getQuestionAttribute($questionId, 'ai_interview_prompt', $this->getDefaultPrompt()));
+        }
+        if ($settings['maxTokens'] <= 0) {
+            $settings['maxTokens'] = (int) $this->getQuestionAttribute($questionId, 'ai_interview_max_tokens', 6000);
+            if ($settings['maxTokens'] <= 0) {
+                $settings['maxTokens'] = 6000;
+            }
+        }
+        if ($settings['language'] === '') {
+            $settings['language'] = (string) $oSurvey->language;
+        }
+
+        if (!$request->isPostRequest) {
+            $this->sendTextResponse($this->renderPilotForm($surveyId, $oQuestion, $settings), 'text/html');
+            return;
+        }
+
+        if ($settings['prompt'] === '') {
+            $this->sendJsonResponse(['error' => 'The interviewer prompt is empty'], 400);
+            return;
+        }
+
+        $provider = $this->getProviderConfig($surveyId);
+        if (isset($provider['error'])) {
+            $this->sendJsonResponse(['error' => $provider['error']], 503);
+            return;
+        }
+
+        // A run takes minutes; release the admin's session so other pages
+        // don't wait for it
+        Yii::app()->session->close();
+        @set_time_limit(self::PILOT_TIME_LIMIT);
+        $settings['deadline'] = microtime(true) + self::PILOT_TIME_LIMIT - self::PILOT_CALL_RESERVE;
+
+        $report = $this->runPilot($surveyId, $oQuestion, $provider, $settings);
+
+        if ($request->getParam('format') === 'json') {
+            $this->sendJsonResponse($report);
+            return;
+        }
+        $this->sendTextResponse($this->renderPilotReport($report), 'text/html');
+    }
+
+    /**
+     * Run the post-interview analyses waiting in a survey's queue, for sites
+     * without the console cron (see POST-INTERVIEW ANALYSIS).
+     * Accessible at: /index.php/plugins/direct?plugin=AIInterview&function=analyse&surveyId=123
+     *
+     * GET shows how many responses are waiting; POSTing the form (or the same
+     * request from a script, with the CSRF token) works through the queue for
+     * up to ANALYSIS_TIME_LIMIT seconds and returns JSON
+     * {"analysed": n, "failed": n, "pending": n}. Requires permission to edit the
+     * survey's responses.
+     */
+    private function handleAnalyseRequest(): void
+    {
+        $request  = Yii::app()->request;
+        $surveyId = (int) $request->getParam('surveyId');
+
+        if ($surveyId <= 0 || !Permission::model()->hasSurveyPermission($surveyId, 'responses', 'update')) {
+            $this->sendJsonResponse(['error' => 'Unauthorized'], 403);
+            return;
+        }
+
+        if (!$request->isPostRequest) {
+            $e = function (string $text): string {
+                return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+            };
+            $givenUp = $this->countQueuedAnalyses($surveyId, true);
+            $this->sendTextResponse(
+                '<!DOCTYPE html><html><head><meta charset="utf-8"><title>AI Interview analysis</title></head>'
+                . '<body style="font-family:sans-serif;max-width:800px;margin:2em auto;">'
+                . '<h1>Post-interview analysis</h1>'
+                . '<p>Responses waiting for analysis: ' . $this->countQueuedAnalyses($surveyId) . '</p>'
+                . ($givenUp > 0
+                    ? '<p style="color:#b45309;">' . $givenUp . ' of them failed ' . self::ANALYSIS_MAX_ATTEMPTS
+                      . ' times and are only tried again from this page. The plugin log says why.</p>'
+                    : '')
+                . '<form method="post">'
+                . '<input type="hidden" name="' . $e($request->csrfTokenName) . '" value="' . $e($request->csrfToken) . '">'
+                . '<input type="hidden" name="surveyId" value="' . $surveyId . '">'
+                . '<button type="submit">Analyse now</button>'
+                . '</form></body></html>',
+                'text/html'
+            );
+            return;
+        }
+
+        // Each analysis is a model call; release the admin's session so other
+        // pages don't wait for them
+        Yii::app()->session->close();
+        @set_time_limit(self::ANALYSIS_TIME_LIMIT + 60);
+
+        $this->sendJsonResponse($this->processAnalysisQueue($surveyId));
+    }
+
+    /**
+     * Process an incoming chat message and proxy it to the survey's AI provider.
+     *
+     * Expected POST body (application/x-www-form-urlencoded):
+     *   payload=<JSON-encoded object>
+     *   YII_CSRF_TOKEN=<token>   (satisfies Yii CSRF validation)
+     *
+     * The JSON payload object:
+     * {
+     *   "surveyId":   123,
+     *   "questionId": 56,
+     *   "sgqa":       "123X4X56",
+     *   "transcript": "<current transcript envelope, JSON>",
+     *   "messages":   [{"role":"assistant","content":"..."}, {"role":"user","content":"..."}, ...],
+     *   "language":   "en",
+     *   "stream":     true
+     * }
+     *
+     * When "stream" is true and streaming is enabled in the plugin settings, the
+     * reply is relayed as server-sent events instead of a single JSON object:
+     *   event: delta  data: {"text": "..."}            (one per provider chunk)
+     *   event: done   data: {"reply", "tokensUsed", "finishReason", "totalTokensUsed", ...}
+     *   event: error  data: {"error": "...", "code", "retryable"}  (failure after the stream began)
+     * Errors that occur before the first chunk are still returned as plain JSON,
+     * so the widget can treat them exactly like one-shot errors.
+     *
+     * Requests over one of the rate limits (see checkRateLimits()) are refused with
+     *   HTTP 429 {"error": "...", "code": "rate_limited", "reason", "retryAfter"}
+     *
+     * When the provider fails after all retries and fallback models, the reply is
+     *   HTTP 502 (503 while every circuit breaker is open)
+     *   {"error": "...", "code": "ai_unavailable", "retryable": true|false}
+     *
+     * The system prompt is never taken from the client: it is loaded from the
+     * question's ai_interview_prompt attribute, and any "system" message in the
+     * payload is rejected. An empty "messages" array requests the opening turn.
+     * Placeholders in the prompt are piped through Expression Manager (see
+     * pipePrompt()). An admin preview has nothing to pipe: its placeholders
+     * reach the model as [Q1]-style markers, and every reply carries
+     *   "previewWarning": "..." (listing them, for the researcher)
+     *
+     * The token budget is enforced here, not in the browser: tokens are counted
+     * per survey session and question (see chargeTokenLedger()), and once
+     * ai_interview_max_tokens is reached further calls are refused with
+     *   HTTP 409 {"error": "...", "code": "budget_exhausted", "tokensUsed", "maxTokens"}
+     * Successful replies report the running total in "totalTokensUsed" and set
+     * "budgetExhausted" when this reply used up the budget.
+     *
+     * The model ends the interview itself by appending MARKER_COMPLETE to its
+     * closing message (see buildSystemPrompt()). Control markers are stripped
+     * from the reply — including from streamed chunks — and reported as
+     * "interviewComplete": true, unless must-cover guide items are still
+     * open (see continueOpenGuide()); while they are, replies are not
+     * streamed, so a refused conclusion never reaches the screen.
+     *
+     * When the question has an interview guide, the model reports the guide
+     * items each turn addressed with MARKER_COVERED. Coverage accumulates per
+     * survey session and question, and every reply carries the summary:
+     *   "coverage": {"total", "covered": [1, 3], "mustCover": [1, 2], "complete": false}
+     * ("complete" means every must-cover item has been covered).
+     *
+     * An optional "rephrase": true asks for the interviewer's last message in
+     * other words; the widget has already removed it from "messages". The
+     * message to reword is the server's own record of the last reply (see
+     * rememberLastReply()), never text from the client, which would reach the
+     * system prompt without redaction or moderation. Without a remembered
+     * reply the request is refused with
+     *   HTTP 409 {"error": "...", "code": "rephrase_unavailable"}
+     * An optional "edits": n says how many interviewer replies "Edit last
+     * answer" has removed since the last successful call; the server forgets
+     * them too once this reply has been given (see takeBackReplies()).
+     *
+     * The question's answer rules (see getAnswerRules()) are enforced here too:
+     * an answer beyond ai_interview_max_turns is refused with
+     *   HTTP 409 {"error": "...", "code": "turn_limit"}
+     * and a latest answer outside the length limits with
+     *   HTTP 422 {"error": "...", "code": "answer_length"}
+     * The reply to the last allowed answer is asked to close the interview and
+     * carries "turnLimitReached": true.
+     */
+    private function handleChatRequest(): void
+    {
+        $method = strtoupper($_SERVER['REQUEST_METHOD'] ?? 'GET');
+
+        if ($method !== 'POST') {
+            $this->sendJsonResponse(['error' => 'Method not allowed. Use POST.'], 405);
+            return;
+        }
+
+        // Read the JSON payload from the form-encoded 'payload' field.
+        // The JS sends application/x-www-form-urlencoded so that Yii's CSRF
+        // validation can find YII_CSRF_TOKEN as a $_POST parameter.
+        $rawPayload = isset($_POST['payload']) ? $_POST['payload'] : '';
+
         // Fallback: if the request was sent as raw JSON (old behaviour), read php://input
         if ($rawPayload === '') {
             $rawPayload = file_get_contents('php://input');
@@ -979,201 +2276,3124 @@ HTML;
             return;
         }
 
-        $surveyId  = isset($body['surveyId'])  ? (int)    $body['surveyId']  : 0;
-        $messages  = isset($body['messages'])  ? (array)  $body['messages']  : [];
-        $maxTokens = isset($body['maxTokens']) ? (int)    $body['maxTokens'] : 6000;
-        $language  = isset($body['language'])  ? (string) $body['language']  : 'en';
+        $surveyId   = isset($body['surveyId'])   ? (int)    $body['surveyId']   : 0;
+        $questionId = isset($body['questionId']) ? (int)    $body['questionId'] : 0;
+        $sgqa       = isset($body['sgqa'])       ? (string) $body['sgqa']       : '';
+        $draft      = isset($body['transcript']) ? (string) $body['transcript'] : '';
+        $messages   = isset($body['messages'])   ? (array)  $body['messages']   : [];
+        $language   = isset($body['language'])   ? (string) $body['language']   : 'en';
+        $stream     = !empty($body['stream']) && $this->isStreamingEnabled();
+        $rephrase   = !empty($body['rephrase']);
+        $edits      = isset($body['edits'])      ? max(0, (int) $body['edits']) : 0;
 
         // Validate required fields
-        if (empty($messages)) {
-            $this->sendJsonResponse(['error' => 'Missing required field: messages'], 400);
+        if ($questionId <= 0) {
+            $this->sendJsonResponse(['error' => 'Missing required field: questionId'], 400);
+            return;
+        }
+
+        // The system prompt belongs to the researcher; a client must not supply
+        // or override it
+        foreach ($messages as $msg) {
+            if (is_array($msg) && ($msg['role'] ?? null) === 'system') {
+                $this->sendJsonResponse(['error' => 'System messages are not accepted from the client'], 400);
+                return;
+            }
+        }
+
+        // Security: verify an active survey session exists for this survey,
+        // OR that the requester is a logged-in LimeSurvey admin (for question preview).
+        // This prevents the endpoint from being used by anonymous users outside of a survey.
+        $isAdmin = false;
+        try {
+            $isAdmin = Permission::model()->hasGlobalPermission('surveys', 'read');
+        } catch (Exception $e) {
+            // Permission check failed — treat as non-admin
+        }
+
+        $hasSession = ($surveyId > 0 && isset($_SESSION['survey_' . $surveyId]));
+
+        // The survey session knows the respondent's language; the client's
+        // value only counts for admin previews
+        if ($hasSession) {
+            $language = $this->getSessionLanguage($surveyId);
+        }
+
+        if (!$hasSession && !$isAdmin) {
+            $this->sendJsonResponse(['error' => 'No active survey session. Please start the survey first.'], 403);
+            return;
+        }
+
+        // The question must be an AI Interview question in this survey
+        $oQuestion = Question::model()->findByPk($questionId);
+        if (empty($oQuestion) || (int) $oQuestion->sid !== $surveyId || !$this->isInterviewQuestion($oQuestion)) {
+            $this->sendJsonResponse(['error' => 'Unknown AI Interview question'], 404);
+            return;
+        }
+
+        $prompt = trim((string) $this->getQuestionAttribute($questionId, 'ai_interview_prompt', $this->getDefaultPrompt()));
+        if ($prompt === '') {
+            $this->sendJsonResponse([
+                'error' => 'AI Interview is not configured. Please contact the survey administrator.'
+            ], 503);
+            return;
+        }
+
+        // Personalise the prompt with Expression Manager values such as
+        // {TOKEN:FIRSTNAME} or an earlier answer's question code
+        $piped          = $this->pipePrompt($prompt, $surveyId, $hasSession, !$hasSession);
+        $previewWarning = null;
+        if (!empty($piped['unresolved'])) {
+            if (!$hasSession) {
+                // Admin preview: the interview goes ahead, but the researcher
+                // sees what the model got instead of real values
+                $previewWarning = 'Preview without a survey session: the placeholders '
+                                . implode(', ', $piped['unresolved'])
+                                . ' reach the AI as markers such as ' . $this->markPlaceholder($piped['unresolved'][0])
+                                . '. Check their spelling, or preview the whole survey to pipe answers and participant attributes.';
+            } else {
+                Yii::log(
+                    'AIInterview: Unresolved placeholders removed from the prompt of question ' . $questionId . ': '
+                    . implode(', ', $piped['unresolved']),
+                    CLogger::LEVEL_WARNING
+                );
+            }
+        }
+        $prompt = $piped['prompt'];
+
+        // Authoritative token budget — the question attribute, never the client
+        $maxTokens = (int) $this->getQuestionAttribute($questionId, 'ai_interview_max_tokens', 6000);
+        if ($maxTokens <= 0) {
+            $maxTokens = 6000;
+        }
+
+        // An admin preview has no survey session to start fresh with, so
+        // requesting a new opening turn restarts its ledger instead
+        if (!$hasSession && empty($messages)) {
+            $this->resetTokenLedger($surveyId, $questionId);
+            $this->resetGuideCoverage($surveyId, $questionId);
+            $this->resetTurnCount($surveyId, $questionId);
+            $this->resetLastReplies($surveyId, $questionId);
+            $this->resetModeration($surveyId, $questionId);
+            $this->resetConversationSummary($surveyId, $questionId);
+        }
+
+        // Sanitize and validate messages
+        $sanitizedMessages = $this->sanitizeMessages($messages);
+
+        if (!empty($messages) && empty($sanitizedMessages)) {
+            $this->sendJsonResponse(['error' => 'No valid messages provided'], 400);
+            return;
+        }
+
+        // PII redaction: from here on respondent messages are masked, so
+        // neither the moderation service nor the model sees personal data.
+        // It runs before any refusal below, and every response carries the
+        // result, so a stored transcript never keeps the typed text just
+        // because the answer was turned away.
+        $redactionMode = $this->getRedactionMode($questionId);
+        $redaction     = null;
+        if ($redactionMode !== 'off') {
+            $redaction = $this->redactMessages($sanitizedMessages, $surveyId, $questionId, $redactionMode, !$hasSession);
+        }
+        $redactionField = $redaction !== null ? ['redaction' => $redaction] : [];
+
+        $tokensSpent = $this->getTokenLedger($surveyId, $questionId);
+        if ($tokensSpent >= $maxTokens) {
+            $this->sendJsonResponse([
+                'error'      => 'The interview has reached its maximum length.',
+                'code'       => 'budget_exhausted',
+                'tokensUsed' => $tokensSpent,
+                'maxTokens'  => $maxTokens,
+            ] + $redactionField, 409);
+            return;
+        }
+
+        // The question's answer rules: number of answers and answer length.
+        // Answers are counted on the server, this one included, so a client
+        // cannot get past the maximum by leaving earlier answers out. An
+        // edited answer replaces the one taken back with its reply ("edits").
+        $lastSent  = end($messages);
+        $newAnswer = !$rephrase && is_array($lastSent) && ($lastSent['role'] ?? null) === 'user';
+        $answers   = max(
+            count(array_filter($messages, function ($msg) {
+                return is_array($msg) && ($msg['role'] ?? null) === 'user';
+            })),
+            max(0, $this->getAnswerCount($surveyId, $questionId) - $edits) + ($newAnswer ? 1 : 0)
+        );
+        $rules    = $this->getAnswerRules($questionId);
+        $violated = $this->checkAnswerRules($rules, $messages, $answers);
+        if ($violated !== null) {
+            $this->sendJsonResponse(['error' => $violated['error'], 'code' => $violated['code']] + $redactionField, $violated['status']);
+            return;
+        }
+
+        // A rephrase rewords the server's own copy of the interviewer's last
+        // message, and there is none to reword once it has been forgotten
+        $rephraseText = $rephrase ? $this->getLastReply($surveyId, $questionId, $edits) : '';
+        if ($rephrase && $rephraseText === '') {
+            $this->sendJsonResponse([
+                'error' => 'This question cannot be rephrased. Please answer it as it is.',
+                'code'  => 'rephrase_unavailable',
+            ] + $redactionField, 409);
+            return;
+        }
+
+        // Abuse protection: request rate, turns, concurrent interviews, daily cap
+        $limited = $this->checkRateLimits($surveyId, $questionId, $hasSession);
+        if ($limited !== null) {
+            if ($limited['retryAfter'] !== null) {
+                header('Retry-After: ' . $limited['retryAfter']);
+            }
+            $this->sendJsonResponse([
+                'error'      => $limited['error'],
+                'code'       => 'rate_limited',
+                'reason'     => $limited['reason'],
+                'retryAfter' => $limited['retryAfter'],
+            ] + $redactionField, 429);
+            return;
+        }
+
+        // Keep the respondent's latest transcript in the session so that a reload
+        // can resume the interview before the page has been submitted
+        $this->saveTranscriptDraft($surveyId, $sgqa, $draft);
+        if ($redaction !== null) {
+            $lastUserFields = ['redacted' => $redaction['labels']];
+            if ($redaction['stored'] === 'redacted') {
+                $lastUserFields['text'] = $redaction['text'];
+            }
+            $this->annotateDraft($surveyId, $sgqa, [], $lastUserFields);
+        }
+
+        // Provider credentials come from the plugin settings (server-side only — never in HTML/JS)
+        $provider = $this->getProviderConfig($surveyId);
+
+        if (isset($provider['error'])) {
+            Yii::log('AIInterview: ' . $provider['error'], CLogger::LEVEL_ERROR);
+            $this->sendJsonResponse([
+                'error' => 'The AI service is not configured. Please contact the survey administrator.'
+            ] + $redactionField, 503);
+            return;
+        }
+
+        // Content moderation of the respondent's latest message
+        $moderationMode = $this->getModerationMode($questionId);
+        $moderation     = [];
+        $flagged        = [];
+        $lastMessage    = end($sanitizedMessages);
+        if ($moderationMode !== 'off' && $lastMessage !== false && $lastMessage['role'] === 'user') {
+            $check = $this->moderateAnswer($surveyId, $questionId, $lastMessage['content'], $provider);
+            if (isset($check['skipped'])) {
+                // The interview goes on, but the turn says it was not screened
+                $moderation['input'] = ['skipped' => $check['skipped']];
+                $this->annotateDraft($surveyId, $sgqa, [], ['moderation' => $moderation['input']]);
+            } elseif ($check['flagged']) {
+                $action  = $moderationMode === 'block' ? 'blocked' : 'flagged';
+                $flagged = $check['categories'];
+
+                $moderation['input']   = ['categories' => $check['categories'], 'action' => $action];
+                $moderation['summary'] = $this->recordModeration($surveyId, $questionId, $check, $action);
+                $this->annotateDraft($surveyId, $sgqa, ['moderation' => $moderation['summary']], ['moderation' => $moderation['input']]);
+
+                if ($action === 'blocked') {
+                    // The message never reaches the model; the interview ends here
+                    $response = [
+                        'reply'             => '',
+                        'tokensUsed'        => 0,
+                        'totalTokensUsed'   => $tokensSpent,
+                        'maxTokens'         => $maxTokens,
+                        'moderationBlocked' => true,
+                        'moderation'        => $moderation,
+                    ];
+                    if ($redaction !== null) {
+                        $response['redaction'] = $redaction;
+                    }
+                    $support = $this->getSupportResources($questionId, $flagged);
+                    if ($support !== null) {
+                        $response['supportResources'] = $support;
+                    }
+                    $this->sendJsonResponse($response);
+                    return;
+                }
+            }
+        }
+
+        // A reply must be checked before the respondent sees it
+        if ($moderationMode === 'block') {
+            $stream = false;
+        }
+
+        $guide  = $this->getInterviewGuide($questionId);
+        $thread = $this->getThreadContext($surveyId, $oQuestion, $provider, $hasSession);
+
+        array_unshift($sanitizedMessages, ['role' => 'system', 'content' => $this->buildSystemPrompt(
+            $prompt,
+            $guide,
+            $redactionMode !== 'off',
+            $thread['text']
+        )]);
+
+        // Inject language instruction into the system message
+        $this->injectLanguageInstruction($sanitizedMessages, $language);
+
+        // The respondent asked for the interviewer's last message in other words
+        if ($rephraseText !== '') {
+            $sanitizedMessages[0]['content'] .= "\n\nThe respondent asked you to rephrase your last message:\n"
+                . '"""' . "\n" . $rephraseText . "\n" . '"""' . "\n"
+                . 'Ask the same thing again in different, simpler words. Do not apologise at length.';
+        }
+
+        // The respondent has given the last answer the question allows
+        $turnLimitReached = $rules['maxTurns'] > 0 && $answers >= $rules['maxTurns'];
+        if ($turnLimitReached) {
+            $sanitizedMessages[0]['content'] .= "\n\n" . self::LAST_ANSWER_INSTRUCTION;
+        }
+
+        // Long interviews: older turns are rolled into a running summary
+        $fitted            = $this->fitConversation($surveyId, $questionId, $provider, $sanitizedMessages);
+        $sanitizedMessages = $fitted['messages'];
+
+        // The mock interviewer answers from the question's script instead
+        if ($provider['provider'] === 'mock') {
+            $provider['mock'] = $this->getMockScript($questionId, $language) + [
+                'answers'  => $answers,
+                'closing'  => $turnLimitReached,
+                'rephrase' => $rephraseText,
+            ];
+        }
+
+        // A reply that may conclude while must-cover guide items are open has
+        // to be checked before the respondent sees it (see continueOpenGuide())
+        $covered = $this->getCoveredItems($surveyId, $questionId);
+        if (!$turnLimitReached && !$this->summariseCoverage($guide, $covered)['complete']) {
+            $stream = false;
+        }
+
+        // Call the AI provider (server-side), with retries and fallback models
+        // (see requestCompletion())
+        $onDelta = null;
+        if ($stream) {
+            $pending = '';
+            $onDelta = function (string $text) use (&$pending) {
+                // Hold back anything that may be the start of a control marker
+                $pending .= $text;
+                $visible  = $this->takeDisplayableText($pending);
+                if ($visible !== '') {
+                    $this->sendStreamEvent('delta', ['text' => $visible]);
+                }
+            };
+        }
+        $result   = $this->requestCompletion(
+            $provider,
+            $sanitizedMessages,
+            $this->getCompletionTokens($provider, $sanitizedMessages),
+            $onDelta
+        );
+        $streamed = !empty($result['streamed']);
+
+        if (isset($result['error'])) {
+            $error = [
+                'error'     => $result['error'],
+                'code'      => 'ai_unavailable',
+                'retryable' => $result['retryable'],
+            ];
+            if ($redaction !== null) {
+                $error['redaction'] = $redaction;
+            }
+            if ($streamed) {
+                $this->sendStreamEvent('error', $error);
+                Yii::app()->end();
+                return;
+            }
+            $this->sendJsonResponse($error, !empty($result['circuitOpen']) ? 503 : 502);
+            return;
+        }
+
+        $reply = $this->parseControlMarkers($result['content']);
+
+        // No conclusion while must-cover guide items are open, except after
+        // the last answer the question allows
+        $refusedTokens = 0;
+        if (isset($reply['markers'][self::MARKER_COMPLETE]) && !$turnLimitReached) {
+            $kept          = $this->continueOpenGuide(
+                $provider,
+                $sanitizedMessages,
+                $guide,
+                $covered,
+                $result,
+                $reply
+            );
+            $result        = $kept['result'];
+            $reply         = $kept['reply'];
+            $refusedTokens = $kept['tokensUsed'];
+        }
+
+        // Providers that report no usage are charged an estimate, so the
+        // budget still ends the interview eventually. Summary calls made by
+        // getThreadContext() and fitConversation(), and a conclusion refused
+        // by continueOpenGuide(), are part of this turn's cost.
+        $tokensUsed = $result['tokens_used'] > 0
+            ? $result['tokens_used']
+            : $this->estimateMessagesTokens($sanitizedMessages) + $this->estimateTokens($result['content']);
+        $tokensUsed += $thread['tokensUsed'] + $fitted['tokensUsed'] + $refusedTokens;
+        $totalTokensUsed = $this->chargeTokenLedger($surveyId, $questionId, $tokensUsed);
+        $this->chargeDailyTokenUsage($surveyId, $tokensUsed);
+
+        // Content moderation of the interviewer's reply
+        if ($moderationMode !== 'off' && $reply['text'] !== '') {
+            $check = $this->moderateText($reply['text'], $provider);
+            if (isset($check['skipped'])) {
+                $moderation['output'] = ['skipped' => $check['skipped']];
+            } elseif ($check['flagged']) {
+                $action  = $moderationMode === 'block' ? 'withheld' : 'flagged';
+                $flagged = array_values(array_unique(array_merge($flagged, $check['categories'])));
+
+                $moderation['output']  = ['categories' => $check['categories'], 'action' => $action];
+                $moderation['summary'] = $this->recordModeration($surveyId, $questionId, $check, $action);
+
+                if ($action === 'withheld') {
+                    $this->annotateDraft($surveyId, $sgqa, ['moderation' => $moderation['summary']]);
+                    $error = [
+                        'error'      => 'The interviewer\'s reply could not be shown. Please try again.',
+                        'code'       => 'reply_withheld',
+                        'retryable'  => true,
+                        'moderation' => $moderation,
+                    ];
+                    $support = $this->getSupportResources($questionId, $flagged);
+                    if ($support !== null) {
+                        $error['supportResources'] = $support;
+                    }
+                    if ($redaction !== null) {
+                        $error['redaction'] = $redaction;
+                    }
+                    $this->sendJsonResponse($error, 502);
+                    return;
+                }
+            }
+        }
+
+        // Only a reply the respondent gets to see is a turn: a withheld one
+        // is asked for again and must not count the answer twice, nor be
+        // remembered for a rephrase request
+        $this->takeBackReplies($surveyId, $questionId, $edits);
+        $this->countTurn($surveyId, $questionId, $newAnswer, $edits);
+        $this->rememberLastReply($surveyId, $questionId, $reply['text'], $rephrase);
+
+        // Guide items the model says this turn addressed
+        $turnCoverage = [];
+        $coverage     = null;
+        if (!empty($guide)) {
+            $turnCoverage = AIInterviewHelpers::parseCoveredItems($reply['markers'][self::MARKER_COVERED] ?? '', count($guide));
+            $coverage     = $this->recordGuideCoverage($surveyId, $questionId, $guide, $turnCoverage);
+        }
+
+        $turnFields     = $coverage ? ['covered' => $turnCoverage] : [];
+        $envelopeFields = $coverage ? ['coverage' => $coverage] : [];
+        if (isset($moderation['output'])) {
+            $turnFields['moderation'] = $moderation['output'];
+        }
+        if (isset($moderation['summary'])) {
+            $envelopeFields['moderation'] = $moderation['summary'];
+        }
+        $this->appendDraftTurn(
+            $surveyId,
+            $sgqa,
+            ['role' => 'assistant', 'text' => $reply['text'], 'tokens' => $tokensUsed] + $turnFields,
+            $envelopeFields
+        );
+
+        $response = [
+            'reply'             => $reply['text'],
+            'tokensUsed'        => $tokensUsed,
+            'finishReason'      => $result['finish_reason'],
+            'totalTokensUsed'   => $totalTokensUsed,
+            'maxTokens'         => $maxTokens,
+            'budgetExhausted'   => $totalTokensUsed >= $maxTokens,
+            'interviewComplete' => isset($reply['markers'][self::MARKER_COMPLETE]),
+            'turnLimitReached'  => $turnLimitReached,
+        ];
+        if ($coverage !== null) {
+            $response['coverage']     = $coverage;
+            $response['turnCoverage'] = $turnCoverage;
+        }
+        if (!empty($moderation)) {
+            $response['moderation'] = $moderation;
+            $support = $this->getSupportResources($questionId, $flagged);
+            if ($support !== null) {
+                $response['supportResources'] = $support;
+            }
+        }
+        if ($redaction !== null) {
+            $response['redaction'] = $redaction;
+        }
+        if ($previewWarning !== null) {
+            $response['previewWarning'] = $previewWarning;
+        }
+
+        if ($streamed) {
+            $this->sendStreamEvent('done', $response);
+            Yii::app()->end();
+            return;
+        }
+
+        $this->sendJsonResponse($response);
+    }
+
+    /**
+     * Sanitize the messages array — only allow conversation roles and cap content length.
+     * System messages are never accepted from the client (see handleChatRequest()).
+     */
+    private function sanitizeMessages(array $messages): array
+    {
+        $allowed = ['user', 'assistant'];
+        $result  = [];
+
+        foreach ($messages as $msg) {
+            if (!is_array($msg)) continue;
+            if (!isset($msg['role'], $msg['content'])) continue;
+            if (!in_array($msg['role'], $allowed, true)) continue;
+
+            $result[] = [
+                'role'    => $msg['role'],
+                'content' => mb_substr(trim((string) $msg['content']), 0, 8000),
+            ];
+        }
+
+        return $result;
+    }
+
+    // =========================================================================
+    // INTERVIEW PROTOCOL — CONTROL MARKERS
+    //
+    // The model signals structured events by writing reserved markers such as
+    // [[INTERVIEW_COMPLETE]] into its reply. They are part of the protocol
+    // between proxy and model only: the respondent never sees them.
+    // =========================================================================
+
+    /** Closing message marker: the interviewer considers the interview finished */
+    private const MARKER_COMPLETE = 'INTERVIEW_COMPLETE';
+
+    /** Interview guide items addressed so far in this turn: [[COVERED: 1, 3]] or [[COVERED: none]] */
+    private const MARKER_COVERED = 'COVERED';
+
+    /** Any [[NAME]] or [[NAME: value]] marker */
+    private const MARKER_PATTERN = '/\[\[([A-Z][A-Z_]*)(?:\s*:\s*([^\]]*))?\]\]/';
+
+    /**
+     * Resolve Expression Manager placeholders in the researcher's prompt against
+     * the respondent's survey session: participant attributes ({TOKEN:FIRSTNAME}),
+     * earlier answers ({Q1}, {Q1.shown}) and any other EM expression.
+     *
+     * Placeholders that survive (unknown names, or no survey session to resolve
+     * them against) are reported, and the model never sees raw template syntax:
+     * they are removed from the prompt, or with $markUnresolved (the admin
+     * preview) replaced by markers such as "[Q1]", so the preview still shows
+     * where piped values would go.
+     *
+     * @return array ['prompt' => string, 'unresolved' => string[] (placeholders as written)]
+     */
+    private function pipePrompt(string $prompt, int $surveyId, bool $hasSession, bool $markUnresolved = false): array
+    {
+        if (strpos($prompt, '{') === false) {
+            return ['prompt' => $prompt, 'unresolved' => []];
+        }
+
+        // Expression Manager keeps the state of the survey the respondent is
+        // taking; only use it when that is this survey
+        if ($hasSession && LimeExpressionManager::getLEMsurveyId() == $surveyId) {
+            try {
+                $processed = LimeExpressionManager::ProcessStepString($prompt, [], 3, true);
+                // Piped answers arrive HTML-escaped; the model needs plain text
+                $prompt = html_entity_decode((string) $processed, ENT_QUOTES, 'UTF-8');
+            } catch (Exception $e) {
+                Yii::log('AIInterview: Expression Manager failed on prompt: ' . $e->getMessage(), CLogger::LEVEL_WARNING);
+            }
+        }
+
+        // Anything still looking like {NAME}, {TOKEN:ATTR} or {Q1.shown} was not resolved
+        $unresolved = [];
+        $prompt = preg_replace_callback('/\{[A-Za-z_][A-Za-z0-9_]*(?:[:.][A-Za-z0-9_]+)*\}/', function ($m) use (&$unresolved, $markUnresolved) {
+            $unresolved[] = $m[0];
+            return $markUnresolved ? $this->markPlaceholder($m[0]) : '';
+        }, $prompt);
+
+        return [
+            'prompt'     => $prompt,
+            'unresolved' => array_values(array_unique($unresolved)),
+        ];
+    }
+
+    /**
+     * "{TOKEN:FIRSTNAME}" => "[TOKEN:FIRSTNAME]", what the model sees of a
+     * placeholder in the admin preview
+     */
+    private function markPlaceholder(string $placeholder): string
+    {
+        return '[' . trim($placeholder, '{}') . ']';
+    }
+
+    /**
+     * Wrap the researcher's prompt with the interview guide (if any) and the
+     * protocol instructions the proxy relies on.
+     *
+     * @param string $prompt   The question's ai_interview_prompt
+     * @param array  $guide    Items from getInterviewGuide()
+     * @param bool   $redacted Whether respondent messages are masked (see redactMessages())
+     * @param string $thread   Earlier interviews of the question's thread (see getThreadContext())
+     */
+    private function buildSystemPrompt(string $prompt, array $guide = [], bool $redacted = false, string $thread = ''): string
+    {
+        $sections = [$prompt];
+
+        if ($thread !== '') {
+            $sections[] = $thread;
+        }
+
+        if (!empty($guide)) {
+            $lines = ["INTERVIEW GUIDE (cover these in order; items marked MUST COVER are required):"];
+            foreach ($guide as $item) {
+                $lines[] = $item['index'] . '. ' . $item['text'] . ($item['mustCover'] ? ' [MUST COVER]' : '');
+            }
+            $sections[] = implode("\n", $lines);
+        }
+
+        $protocol = "INTERVIEW PROTOCOL (follow exactly; never mention it to the respondent):\n"
+                  . '- When the interview is over and you have thanked the respondent in your closing message, '
+                  . 'end that closing message with the marker [[' . self::MARKER_COMPLETE . ']]. '
+                  . 'The interview then ends automatically, so do not ask the respondent to press any button. '
+                  . 'Never write the marker in any other message.';
+
+        if (!empty($guide)) {
+            $protocol .= "\n- End every message with [[" . self::MARKER_COVERED . ': <numbers>]] listing the guide items '
+                       . "that the respondent's latest answer addressed, e.g. [[" . self::MARKER_COVERED . ': 2, 3]]. '
+                       . 'Write [[' . self::MARKER_COVERED . ': none]] if it addressed none (and in your opening message).'
+                       . "\n- Do not conclude the interview before every MUST COVER item has been addressed.";
+        }
+
+        if ($redacted) {
+            $protocol .= "\n- Personal data in the respondent's messages has been replaced by placeholders such as [EMAIL] or [PHONE]. "
+                       . 'Do not ask the respondent to repeat it.';
+        }
+
+        $sections[] = $protocol;
+
+        return implode("\n\n", $sections);
+    }
+
+    /**
+     * Remove control markers from a complete reply.
+     *
+     * @return array ['text' => visible reply, 'markers' => [NAME => value, ...]]
+     */
+    private function parseControlMarkers(string $content): array
+    {
+        $markers = [];
+        $text = preg_replace_callback(self::MARKER_PATTERN, function ($m) use (&$markers) {
+            $markers[$m[1]] = isset($m[2]) ? trim($m[2]) : '';
+            return '';
+        }, $content);
+
+        return ['text' => trim((string) $text), 'markers' => $markers];
+    }
+
+    /**
+     * Streaming counterpart of parseControlMarkers(): return the part of
+     * $pending that can be shown to the respondent now and keep the rest.
+     *
+     * Complete markers are dropped. A possible marker that has not been closed
+     * yet ("[[INTERV") stays in $pending until the next chunk decides it; an
+     * unclosed "[[" longer than any marker is released as ordinary text.
+     */
+    private function takeDisplayableText(string &$pending): string
+    {
+        $visible = '';
+
+        while ($pending !== '') {
+            $start = strpos($pending, '[[');
+            if ($start === false) {
+                // A trailing "[" may become "[[" with the next chunk
+                $keep     = substr($pending, -1) === '[' ? 1 : 0;
+                $visible .= substr($pending, 0, strlen($pending) - $keep);
+                $pending  = $keep ? '[' : '';
+                break;
+            }
+
+            $visible .= substr($pending, 0, $start);
+            $pending  = substr($pending, $start);
+
+            $end = strpos($pending, ']]');
+            if ($end === false) {
+                if (strlen($pending) > 200) {
+                    $visible .= '[[';
+                    $pending  = substr($pending, 2);
+                    continue;
+                }
+                break;
+            }
+
+            $candidate = substr($pending, 0, $end + 2);
+            if (preg_match(self::MARKER_PATTERN, $candidate, $m) && $m[0] === $candidate) {
+                $pending = (string) substr($pending, $end + 2);
+            } else {
+                // Ordinary brackets — release them and look for a marker further on
+                $visible .= '[[';
+                $pending  = (string) substr($pending, 2);
+            }
+        }
+
+        return $visible;
+    }
+
+    // =========================================================================
+    // INTERVIEW GUIDE & COVERAGE
+    // =========================================================================
+
+    /** Added to the system prompt when the interviewer concludes too early (%s: item numbers) */
+    private const OPEN_ITEMS_INSTRUCTION = 'You tried to conclude the interview, but the MUST COVER guide items %s '
+        . 'have not been addressed yet. Do not conclude and do not say goodbye: ask about the first of them now.';
+
+    /**
+     * Parse a question's ai_interview_guide attribute: one item per line,
+     * "*" prefix for must-cover items, blank lines ignored.
+     *
+     * @return array List of ['index' => 1-based number, 'text', 'mustCover' => bool]
+     */
+    private function getInterviewGuide(int $questionId): array
+    {
+        $raw   = (string) $this->getQuestionAttribute($questionId, 'ai_interview_guide', '');
+        $guide = [];
+
+        foreach (preg_split('/\r\n|\n/', $raw) as $line) {
+            $line = trim($line);
+            if ($line === '') continue;
+
+            $mustCover = substr($line, 0, 1) === '*';
+            if ($mustCover) {
+                $line = ltrim(substr($line, 1));
+            }
+            $guide[] = [
+                'index'     => count($guide) + 1,
+                'text'      => $line,
+                'mustCover' => $mustCover,
+            ];
+        }
+
+        return $guide;
+    }
+
+    /**
+     * Add newly covered items to the session's coverage record and return the
+     * summary sent to the widget and stored in the transcript.
+     */
+    private function recordGuideCoverage(int $surveyId, int $questionId, array $guide, array $turnCoverage): array
+    {
+        $state = &$this->getSessionState($surveyId);
+        $covered = $state['coverage'][$questionId] ?? [];
+        foreach ($turnCoverage as $index) {
+            $covered[$index] = true;
+        }
+        $state['coverage'][$questionId] = $covered;
+
+        return $this->summariseCoverage($guide, array_keys($covered));
+    }
+
+    /**
+     * Coverage summary for a guide and the item numbers covered so far
+     */
+    private function summariseCoverage(array $guide, array $coveredList): array
+    {
+        $mustCover = [];
+        foreach ($guide as $item) {
+            if ($item['mustCover']) {
+                $mustCover[] = $item['index'];
+            }
+        }
+
+        sort($coveredList);
+
+        return [
+            'total'     => count($guide),
+            'covered'   => $coveredList,
+            'mustCover' => $mustCover,
+            'complete'  => count(array_diff($mustCover, $coveredList)) === 0,
+        ];
+    }
+
+    /**
+     * Item numbers of a question's guide covered so far in this session
+     */
+    private function getCoveredItems(int $surveyId, int $questionId): array
+    {
+        $state = &$this->getSessionState($surveyId);
+        return array_keys($state['coverage'][$questionId] ?? []);
+    }
+
+    /**
+     * Handle a reply that concludes the interview (MARKER_COMPLETE). While
+     * must-cover items are open, even after counting the reply's own
+     * [[COVERED]] items, the interviewer is asked once more, to go on with
+     * them instead. A conclusion that remains loses its marker, so the
+     * interview stays open and the respondent can still finish it.
+     *
+     * @param  array $covered Item numbers covered before this reply
+     * @param  array $result  The reply's requestCompletion() result
+     * @param  array $reply   The reply's parseControlMarkers() result
+     * @return array ['result', 'reply'] to use instead, and 'tokensUsed' by a
+     *               reply that was replaced (0 if none was)
+     */
+    private function continueOpenGuide(array $provider, array $messages, array $guide, array $covered, array $result, array $reply): array
+    {
+        $kept = ['result' => $result, 'reply' => $reply, 'tokensUsed' => 0];
+        if (empty($guide)) {
+            return $kept;
+        }
+
+        $covered = array_merge($covered, AIInterviewHelpers::parseCoveredItems($reply['markers'][self::MARKER_COVERED] ?? '', count($guide)));
+        $summary = $this->summariseCoverage($guide, array_values(array_unique($covered)));
+        if ($summary['complete']) {
+            return $kept;
+        }
+
+        $open = array_values(array_diff($summary['mustCover'], $summary['covered']));
+        $messages[0]['content'] .= "\n\n" . sprintf(self::OPEN_ITEMS_INSTRUCTION, implode(', ', $open));
+
+        $retried = $this->requestCompletion($provider, $messages, $this->getCompletionTokens($provider, $messages));
+        if (!isset($retried['error'])) {
+            $kept['tokensUsed'] = $result['tokens_used'] > 0
+                ? $result['tokens_used']
+                : $this->estimateMessagesTokens($messages) + $this->estimateTokens($result['content']);
+            $kept['result'] = $retried;
+            $kept['reply']  = $this->parseControlMarkers($retried['content']);
+        }
+        unset($kept['reply']['markers'][self::MARKER_COMPLETE]);
+
+        return $kept;
+    }
+
+    /**
+     * Forget a question's coverage (admin preview restart)
+     */
+    private function resetGuideCoverage(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['coverage'][$questionId]);
+    }
+
+    /**
+     * Prepend a language instruction to the first system message (or create one)
+     */
+    private function injectLanguageInstruction(array &$messages, string $language): void
+    {
+        // Sanitise the language code to prevent injection
+        $lang = preg_replace('/[^a-zA-Z\-]/', '', $language);
+        if (empty($lang)) $lang = 'en';
+
+        $instruction = "IMPORTANT: You must conduct this entire interview in the language with BCP-47 code '{$lang}'. "
+                     . "All your responses must be in that language, regardless of what language the user writes in.";
+
+        foreach ($messages as &$msg) {
+            if ($msg['role'] === 'system') {
+                $msg['content'] = $instruction . "\n\n" . $msg['content'];
+                return;
+            }
+        }
+        unset($msg);
+
+        // No system message found — prepend one
+        array_unshift($messages, ['role' => 'system', 'content' => $instruction]);
+    }
+
+    // =========================================================================
+    // ANSWER RULES
+    //
+    // Per-question limits on the respondent's side of the interview (the
+    // ai_interview_min_turns ... ai_interview_min_words attributes). The widget
+    // shows them as a character counter and keeps Finish disabled until the
+    // minimums are met; the chat endpoint enforces the ones it can see — the
+    // number of answers and the length of the latest one — so a modified
+    // client cannot get past them. A value of 0 switches a rule off.
+    // =========================================================================
+
+    /** Longest answer sanitizeMessages() keeps, and so the highest usable maximum length */
+    private const MAX_ANSWER_LENGTH = 8000;
+
+    /** Added to the system prompt for the reply to the last allowed answer */
+    private const LAST_ANSWER_INSTRUCTION = "This was the respondent's last answer. Do not ask another question: "
+        . 'briefly thank the respondent and end the interview with [[' . self::MARKER_COMPLETE . ']].';
+
+    /**
+     * The question's answer rules
+     *
+     * @return array ['minTurns', 'maxTurns', 'minLength', 'maxLength', 'minWords'] (0 = off)
+     */
+    private function getAnswerRules(int $questionId): array
+    {
+        $rules = [];
+        foreach ([
+            'minTurns'  => 'ai_interview_min_turns',
+            'maxTurns'  => 'ai_interview_max_turns',
+            'minLength' => 'ai_interview_min_length',
+            'maxLength' => 'ai_interview_max_length',
+            'minWords'  => 'ai_interview_min_words',
+        ] as $key => $attribute) {
+            $rules[$key] = max(0, (int) $this->getQuestionAttribute($questionId, $attribute, 0));
+        }
+
+        $rules['maxLength'] = min($rules['maxLength'], self::MAX_ANSWER_LENGTH);
+        if ($rules['maxLength'] > 0 && $rules['minLength'] > $rules['maxLength']) {
+            $rules['minLength'] = $rules['maxLength'];
+        }
+        if ($rules['maxTurns'] > 0 && $rules['minTurns'] > $rules['maxTurns']) {
+            $rules['minTurns'] = $rules['maxTurns'];
+        }
+        return $rules;
+    }
+
+    /**
+     * Check a chat request's messages against the answer rules.
+     *
+     * @param  int        $answers Answers given so far, the latest one included
+     * @return array|null null when the request may go ahead, otherwise
+     *                    ['status', 'code' => 'turn_limit'|'answer_length', 'error']
+     */
+    private function checkAnswerRules(array $rules, array $messages, int $answers): ?array
+    {
+        if ($rules['maxTurns'] > 0 && $answers > $rules['maxTurns']) {
+            return [
+                'status' => 409,
+                'code'   => 'turn_limit',
+                'error'  => 'The interview has reached its maximum number of answers.',
+            ];
+        }
+
+        $last = end($messages);
+        if (!is_array($last) || ($last['role'] ?? null) !== 'user') {
+            return null;
+        }
+        $length = mb_strlen(trim((string) ($last['content'] ?? '')));
+        if ($length < $rules['minLength'] || ($rules['maxLength'] > 0 && $length > $rules['maxLength'])) {
+            return [
+                'status' => 422,
+                'code'   => 'answer_length',
+                'error'  => $rules['maxLength'] > 0
+                    ? sprintf('Answers must be between %d and %d characters long.', $rules['minLength'], $rules['maxLength'])
+                    : sprintf('Answers must be at least %d characters long.', $rules['minLength']),
+            ];
+        }
+        return null;
+    }
+
+    // =========================================================================
+    // INTERVIEW THREADS
+    //
+    // Questions whose ai_interview_thread attribute names the same thread
+    // share context: each one's interviewer is told what the respondent said
+    // in the thread's earlier interviews (earlier in survey order), so it can
+    // build on them instead of asking again. The context is assembled on the
+    // server from the saved answers (see getStoredAnswer()), either as full
+    // transcripts or as summaries (ai_interview_thread_context). Summaries are
+    // made once per earlier interview and kept in the survey session until
+    // that interview changes.
+    // =========================================================================
+
+    /**
+     * The earlier interviews of the question's thread, as a section for the
+     * system prompt
+     *
+     * @return array ['text' => context, '' if there is none,
+     *                'tokensUsed' => tokens spent on summaries]
+     */
+    private function getThreadContext(int $surveyId, Question $oQuestion, array $provider, bool $hasSession): array
+    {
+        $questionId = (int) $oQuestion->qid;
+        $thread     = $this->normaliseThreadName((string) $this->getQuestionAttribute($questionId, 'ai_interview_thread', ''));
+        $none       = ['text' => '', 'tokensUsed' => 0];
+
+        // An admin preview of a single question has no earlier answers
+        if ($thread === '' || !$hasSession) {
+            return $none;
+        }
+
+        $useSummary = $this->getQuestionAttribute($questionId, 'ai_interview_thread_context', 'summary') !== 'transcript';
+        $redact     = $this->getRedactionMode($questionId) !== 'off';
+        $state      = &$this->getSessionState($surveyId);
+        $sections   = [];
+        $tokensUsed = 0;
+
+        foreach ($this->getInterviewQuestions($surveyId) as $oEarlier) {
+            if ((int) $oEarlier->qid === $questionId) {
+                break;
+            }
+            $earlierId = (int) $oEarlier->qid;
+            if ($this->normaliseThreadName((string) $this->getQuestionAttribute($earlierId, 'ai_interview_thread', '')) !== $thread) {
+                continue;
+            }
+
+            $sgqa       = $surveyId . 'X' . $oEarlier->gid . 'X' . $earlierId;
+            $transcript = $this->parseTranscript($this->getStoredAnswer($surveyId, $sgqa));
+
+            // Personal data is masked if either question asks for it
+            $messages = [];
+            foreach ($transcript['turns'] as $turn) {
+                $text = $turn['text'];
+                if ($turn['role'] === 'user' && ($redact || $this->getRedactionMode($earlierId) !== 'off')) {
+                    $text = $this->redactText($text, $surveyId, $earlierId)['text'];
+                }
+                $messages[] = ['role' => $turn['role'], 'content' => $text];
+            }
+            if (!in_array('user', array_column($messages, 'role'), true)) {
+                continue;
+            }
+
+            $content = '';
+            if ($useSummary) {
+                $hash   = $this->hashMessages($messages);
+                $cached = $state['threadSummaries'][$sgqa] ?? null;
+                if ($cached !== null && $cached['hash'] === $hash) {
+                    $content = $cached['text'];
+                } else {
+                    $result = $this->summariseConversation($provider, '', $messages);
+                    if (isset($result['error'])) {
+                        Yii::log('AIInterview: Thread summary of question ' . $earlierId . ' failed, using the transcript: ' . $result['error'], CLogger::LEVEL_WARNING);
+                    } else {
+                        $content = trim($result['content']);
+                        $state['threadSummaries'][$sgqa] = ['hash' => $hash, 'text' => $content];
+                        $tokensUsed += $result['tokens_used'] > 0
+                            ? $result['tokens_used']
+                            : $this->estimateMessagesTokens($messages) + $this->estimateTokens($content);
+                    }
+                }
+            }
+            if ($content === '') {
+                $lines = [];
+                foreach ($messages as $msg) {
+                    $lines[] = ($msg['role'] === 'assistant' ? 'Interviewer: ' : 'Respondent: ') . $msg['content'];
+                }
+                $content = implode("\n\n", $lines);
+            }
+
+            $sections[] = 'Interview "' . $oEarlier->title . '"'
+                        . ($transcript['status'] === 'concluded' ? '' : ' (not finished)') . ":\n" . $content;
+        }
+
+        if (empty($sections)) {
+            return $none;
+        }
+
+        return [
+            'text'       => "EARLIER INTERVIEWS WITH THIS RESPONDENT (same survey; build on what they said and do not ask again "
+                          . 'what they have already answered):' . "\n\n" . implode("\n\n", $sections),
+            'tokensUsed' => $tokensUsed,
+        ];
+    }
+
+    /**
+     * Thread names are compared trimmed and case-insensitively
+     */
+    private function normaliseThreadName(string $name): string
+    {
+        return mb_strtolower(trim($name));
+    }
+
+    // =========================================================================
+    // CONTEXT WINDOW
+    //
+    // The widget sends the whole conversation with every request. Before it
+    // reaches the model, fitConversation() keeps the system prompt and the
+    // latest HISTORY_RECENT_MESSAGES messages verbatim and rolls everything
+    // older into a running summary once the history grows beyond the
+    // history_summary_threshold setting or would not fit the context window.
+    // The summary is kept in the survey session per question, with a hash of
+    // the messages it covers, and is extended (not rewritten) as the interview
+    // goes on, so each turn costs roughly the same however long the interview.
+    //
+    // Each call may use what is left of the context window after the
+    // estimated prompt for its reply, capped at the max_reply_tokens setting
+    // (see getCompletionTokens()).
+    // =========================================================================
+
+    /** Messages at the end of the conversation that are always sent verbatim */
+    private const HISTORY_RECENT_MESSAGES = 6;
+
+    /** Longest running summary of the earlier conversation */
+    private const HISTORY_SUMMARY_TOKENS = 500;
+
+    private const DEFAULT_SUMMARY_THRESHOLD = 4000;
+    private const DEFAULT_MAX_REPLY_TOKENS  = 1000;
+    private const MIN_COMPLETION_TOKENS     = 256;
+
+    /**
+     * Shorten a conversation to fit the context window, summarising older
+     * turns where needed (see the section comment above).
+     *
+     * @param  array $messages OpenAI-style messages, system message first
+     * @return array ['messages' => messages to send, 'tokensUsed' => tokens
+     *               spent on the summary call (0 if none was needed)]
+     */
+    private function fitConversation(int $surveyId, int $questionId, array $provider, array $messages): array
+    {
+        $system  = array_shift($messages);
+        $history = $messages;
+
+        $maxReply  = $this->getMaxReplyTokens();
+        $room      = $provider['contextWindow'] - $maxReply - $this->estimateMessagesTokens([$system]);
+        $threshold = max(0, (int) $this->get('history_summary_threshold', null, null, self::DEFAULT_SUMMARY_THRESHOLD));
+        $limit     = $threshold > 0 ? min($threshold, $room) : $room;
+
+        // A summary only applies while it still describes the start of this
+        // conversation (an admin preview may have restarted, for example)
+        $state   = &$this->getSessionState($surveyId);
+        $summary = $state['summaries'][$questionId] ?? null;
+        if ($summary !== null && (count($history) < $summary['upTo']
+            || $summary['hash'] !== $this->hashMessages(array_slice($history, 0, $summary['upTo'])))
+        ) {
+            $summary = null;
+        }
+
+        $upTo       = $summary['upTo'] ?? 0;
+        $tokensUsed = 0;
+        $verbatim   = array_slice($history, $upTo);
+        $size       = $this->estimateMessagesTokens($verbatim) + $this->estimateTokens($summary['text'] ?? '');
+
+        if ($size > $limit && count($verbatim) > self::HISTORY_RECENT_MESSAGES) {
+            // Keep the recent messages, starting with a respondent turn
+            $newUpTo = count($history) - self::HISTORY_RECENT_MESSAGES;
+            while ($newUpTo > $upTo && $history[$newUpTo]['role'] !== 'user') {
+                $newUpTo--;
+            }
+
+            $result = $newUpTo > $upTo
+                ? $this->summariseConversation($provider, $summary['text'] ?? '', array_slice($history, $upTo, $newUpTo - $upTo))
+                : ['error' => 'nothing to summarise'];
+
+            if (isset($result['error'])) {
+                Yii::log('AIInterview: Conversation summary failed, older turns are dropped instead: ' . $result['error'], CLogger::LEVEL_WARNING);
+            } else {
+                $summary = [
+                    'upTo' => $newUpTo,
+                    'hash' => $this->hashMessages(array_slice($history, 0, $newUpTo)),
+                    'text' => trim($result['content']),
+                ];
+                $state['summaries'][$questionId] = $summary;
+
+                $tokensUsed = $result['tokens_used'] > 0
+                    ? $result['tokens_used']
+                    : $this->estimateTokens($summary['text']) + $this->estimateMessagesTokens(array_slice($history, $upTo, $newUpTo - $upTo));
+                $verbatim = array_slice($history, $newUpTo);
+            }
+        }
+
+        if ($summary !== null) {
+            $system['content'] .= "\n\nSUMMARY OF THE CONVERSATION SO FAR (the earlier turns are not repeated below):\n"
+                                . $summary['text'];
+        }
+
+        // Last resort: drop the oldest messages until the rest fits
+        $room = $provider['contextWindow'] - $maxReply - $this->estimateMessagesTokens([$system]);
+        while (count($verbatim) > 1 && $this->estimateMessagesTokens($verbatim) > $room) {
+            array_shift($verbatim);
+        }
+
+        return [
+            'messages'   => array_merge([$system], $verbatim),
+            'tokensUsed' => $tokensUsed,
+        ];
+    }
+
+    /**
+     * Roll part of the conversation into the running summary
+     *
+     * @param  string $previous The summary so far ('' for the first one)
+     * @param  array  $messages The messages to add to it
+     * @return array  As requestCompletion()
+     */
+    private function summariseConversation(array $provider, string $previous, array $messages): array
+    {
+        $lines = [];
+        foreach ($messages as $msg) {
+            $lines[] = ($msg['role'] === 'assistant' ? 'Interviewer: ' : 'Respondent: ') . $msg['content'];
+        }
+
+        $input = ($previous !== '' ? "Summary so far:\n" . $previous . "\n\n" : '')
+               . "Conversation to add:\n" . implode("\n\n", $lines);
+
+        return $this->requestCompletion($provider, [
+            ['role' => 'system', 'content' =>
+                'You keep the running summary of a research interview, so that the interviewer can continue it '
+                . 'without the full transcript. Update the summary with the conversation given: what was asked, '
+                . "the respondent's answers with their key details and wording, and topics still open. "
+                . 'Write it in the language of the interview, as plain text of at most 300 words.'],
+            ['role' => 'user', 'content' => $input],
+        ], self::HISTORY_SUMMARY_TOKENS);
+    }
+
+    /**
+     * Completion-token limit for a call: what the context window leaves after
+     * the estimated prompt, capped at $cap (default: the max_reply_tokens
+     * setting) and never below MIN_COMPLETION_TOKENS
+     */
+    private function getCompletionTokens(array $provider, array $messages, ?int $cap = null): int
+    {
+        $available = $provider['contextWindow'] - $this->estimateMessagesTokens($messages);
+        return max(self::MIN_COMPLETION_TOKENS, min($cap ?? $this->getMaxReplyTokens(), $available));
+    }
+
+    /**
+     * The max_reply_tokens setting
+     */
+    private function getMaxReplyTokens(): int
+    {
+        $value = (int) $this->get('max_reply_tokens', null, null, self::DEFAULT_MAX_REPLY_TOKENS);
+        return $value > 0 ? max(self::MIN_COMPLETION_TOKENS, $value) : self::DEFAULT_MAX_REPLY_TOKENS;
+    }
+
+    /**
+     * Forget a question's conversation summary (admin preview restart)
+     */
+    private function resetConversationSummary(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['summaries'][$questionId]);
+    }
+
+    /**
+     * Fingerprint of a run of messages, to tell whether a summary still applies
+     */
+    private function hashMessages(array $messages): string
+    {
+        return md5((string) json_encode($messages, JSON_UNESCAPED_UNICODE));
+    }
+
+    // =========================================================================
+    // LLM PROVIDERS
+    //
+    // Every model call goes through callProvider() / streamProvider(), which
+    // take a provider configuration from getProviderConfig(). Adapters differ
+    // only in how the request is built (URL, auth header, body) and how the
+    // reply is read; the adapters map both, so the rest of the plugin always sees
+    // OpenAI-style messages in and ['content', 'tokens_used', 'finish_reason'] out.
+    //
+    //   openai            OpenAI Chat Completions
+    //   azure             Azure OpenAI (the model setting is the deployment name)
+    //   anthropic         Anthropic Messages API
+    //   openai_compatible Any server speaking the Chat Completions protocol
+    //                     (Ollama, vLLM, LM Studio, ...)
+    //   mock              No service at all: replies come from the question's
+    //                     mock script (see MOCK PROVIDER below)
+    //
+    // The methods are in the AIInterviewProviders trait (src/AIInterviewProviders.php).
+    // =========================================================================
+
+    /** Adapter defaults: base URL, auth scheme, model and context window (tokens) */
+    private const PROVIDERS = [
+        'openai' => [
+            'label'         => 'OpenAI',
+            'baseUrl'       => 'https://api.openai.com/v1',
+            'authScheme'    => 'bearer',
+            'model'         => 'gpt-4o',
+            'contextWindow' => 128000,
+        ],
+        'azure' => [
+            'label'         => 'Azure OpenAI',
+            'baseUrl'       => '',
+            'authScheme'    => 'api-key',
+            'model'         => '',
+            'contextWindow' => 128000,
+        ],
+        'anthropic' => [
+            'label'         => 'Anthropic',
+            'baseUrl'       => 'https://api.anthropic.com/v1',
+            'authScheme'    => 'x-api-key',
+            'model'         => 'claude-sonnet-4-5',
+            'contextWindow' => 200000,
+        ],
+        'openai_compatible' => [
+            'label'         => 'OpenAI-compatible server (e.g. Ollama)',
+            'baseUrl'       => '',
+            'authScheme'    => 'bearer',
+            'model'         => '',
+            'contextWindow' => 8192,
+        ],
+        'mock' => [
+            'label'         => 'Mock interviewer (offline testing)',
+            'baseUrl'       => '',
+            'authScheme'    => 'none',
+            'model'         => 'mock',
+            'contextWindow' => 128000,
+        ],
+    ];
+
+    /** Authentication schemes a provider can be configured with */
+    private const AUTH_SCHEMES = [
+        'bearer'    => 'Authorization: Bearer <key>',
+        'api-key'   => 'api-key: <key> (Azure)',
+        'x-api-key' => 'x-api-key: <key> (Anthropic)',
+        'none'      => 'No authentication',
+    ];
+
+    private const AZURE_DEFAULT_API_VERSION = '2024-10-21';
+    private const ANTHROPIC_API_VERSION     = '2023-06-01';
+
+    /** Provider settings that a survey may override */
+    private const SURVEY_PROVIDER_SETTINGS = [
+        'provider', 'openai_api_key', 'openai_model', 'fallback_models', 'provider_base_url', 'provider_auth_scheme', 'azure_api_version',
+        'context_window',
+    ];
+
+    /** Rate limits that a survey may override (see checkRateLimits()) */
+    private const SURVEY_LIMIT_SETTINGS = [
+        'requests_per_minute', 'max_turns_per_question', 'max_interviews_per_ip', 'daily_token_cap',
+    ];
+
+    /**
+     * Show the per-survey provider settings and rate limits on the survey's
+     * plugin settings page
+     */
+    public function beforeSurveySettings()
+    {
+        $event    = $this->getEvent();
+        $surveyId = (int) $event->get('survey');
+
+        $providerOptions = ['' => 'Use the global setting'];
+        foreach (self::PROVIDERS as $name => $defaults) {
+            $providerOptions[$name] = $defaults['label'];
+        }
+
+        $event->set('surveysettings.' . $this->id, [
+            'name'     => get_class($this),
+            'settings' => [
+                'provider' => [
+                    'type'    => 'select',
+                    'label'   => 'AI provider',
+                    'options' => $providerOptions,
+                    'help'    => 'Run this survey\'s interviews on a different provider than the global one, '
+                               . 'e.g. a self-hosted model. When you choose a different provider, also enter its API key and base URL below — '
+                               . 'the global key is never sent to another provider.',
+                    'current' => $this->get('provider', 'Survey', $surveyId, ''),
+                ],
+                'openai_api_key' => [
+                    'type'    => 'password',
+                    'label'   => 'API key',
+                    'help'    => 'Leave empty to use the global key (same provider, base URL and authentication only). '
+                               . 'A saved key is never shown: leave the field empty to keep it, or enter - to remove it.',
+                    'current' => '',
+                ],
+                'openai_model' => [
+                    'type'    => 'string',
+                    'label'   => 'Model',
+                    'help'    => 'Model name (the deployment name for Azure OpenAI). Leave empty to use the global setting.',
+                    'current' => $this->get('openai_model', 'Survey', $surveyId, ''),
+                ],
+                'fallback_models' => [
+                    'type'    => 'string',
+                    'label'   => 'Fallback models',
+                    'help'    => 'Comma-separated models to try when the main model fails. Leave empty to use the global setting.',
+                    'current' => $this->get('fallback_models', 'Survey', $surveyId, ''),
+                ],
+                'provider_base_url' => [
+                    'type'    => 'string',
+                    'label'   => 'Base URL',
+                    'help'    => 'e.g. http://localhost:11434/v1 for Ollama. Leave empty to use the global setting.',
+                    'current' => $this->get('provider_base_url', 'Survey', $surveyId, ''),
+                ],
+                'provider_auth_scheme' => [
+                    'type'    => 'select',
+                    'label'   => 'Authentication',
+                    'options' => ['' => 'Use the global setting'] + self::AUTH_SCHEMES,
+                    'current' => $this->get('provider_auth_scheme', 'Survey', $surveyId, ''),
+                ],
+                'azure_api_version' => [
+                    'type'    => 'string',
+                    'label'   => 'Azure API version',
+                    'help'    => 'Azure OpenAI only. Leave empty to use the global setting.',
+                    'current' => $this->get('azure_api_version', 'Survey', $surveyId, ''),
+                ],
+                'context_window' => [
+                    'type'    => 'int',
+                    'label'   => 'Context window (tokens)',
+                    'help'    => 'How many tokens the model accepts per request. Leave empty to use the global setting.',
+                    'current' => $this->get('context_window', 'Survey', $surveyId, ''),
+                ],
+                'requests_per_minute' => [
+                    'type'    => 'int',
+                    'label'   => 'Requests per minute',
+                    'help'    => 'Per respondent session. Leave empty to use the global setting; 0 = no limit.',
+                    'current' => $this->get('requests_per_minute', 'Survey', $surveyId, ''),
+                ],
+                'max_turns_per_question' => [
+                    'type'    => 'int',
+                    'label'   => 'Turns per question',
+                    'help'    => 'Interviewer replies per question and session. Leave empty to use the global setting; 0 = no limit.',
+                    'current' => $this->get('max_turns_per_question', 'Survey', $surveyId, ''),
+                ],
+                'max_interviews_per_ip' => [
+                    'type'    => 'int',
+                    'label'   => 'Concurrent interviews per IP address',
+                    'help'    => 'Leave empty to use the global setting; 0 = no limit.',
+                    'current' => $this->get('max_interviews_per_ip', 'Survey', $surveyId, ''),
+                ],
+                'daily_token_cap' => [
+                    'type'    => 'int',
+                    'label'   => 'Daily token cap',
+                    'help'    => 'Tokens this survey may use per day (UTC). Leave empty to use the global setting; 0 = no limit.',
+                    'current' => $this->get('daily_token_cap', 'Survey', $surveyId, ''),
+                ],
+            ],
+        ]);
+    }
+
+    /**
+     * Save the per-survey provider settings and rate limits
+     */
+    public function newSurveySettings()
+    {
+        $event    = $this->getEvent();
+        $surveyId = (int) $event->get('survey');
+        $allowed  = array_merge(self::SURVEY_PROVIDER_SETTINGS, self::SURVEY_LIMIT_SETTINGS);
+
+        foreach ((array) $event->get('settings') as $name => $value) {
+            if (!in_array($name, $allowed, true)) continue;
+            $value = trim((string) $value);
+
+            // The key field is always shown empty (see beforeSurveySettings())
+            if ($name === 'openai_api_key') {
+                if ($value === '') continue;
+                if ($value === '-') $value = '';
+            }
+            $this->set($name, $value, 'Survey', $surveyId);
+        }
+    }
+
+    // =========================================================================
+    // FAILOVER — RETRIES, FALLBACK MODELS AND CIRCUIT BREAKER
+    //
+    // requestCompletion() wraps callProvider() / streamProvider():
+    //   1. Temporary errors (rate limits, 5xx, network) are retried with
+    //      exponential backoff, up to the max_retries setting.
+    //   2. When a model keeps failing (or does not exist), the next model in
+    //      fallback_models is tried.
+    //   3. Each provider/model has a circuit breaker (see SHARED COUNTERS): after
+    //      CIRCUIT_FAILURE_THRESHOLD failed requests in a row it opens and the
+    //      model is skipped for CIRCUIT_COOLDOWN seconds, so an outage fails fast
+    //      instead of making every respondent wait for the retries. The first
+    //      request after the cooldown is a trial; one more failure reopens it.
+    // =========================================================================
+
+    /** HTTP statuses worth retrying (0 = network error) */
+    private const TRANSIENT_STATUSES = [0, 408, 409, 425, 429, 500, 502, 503, 504, 529];
+
+    private const DEFAULT_MAX_RETRIES       = 2;
+    private const RETRY_BASE_DELAY_MS       = 500;
+    private const RETRY_TIME_LIMIT          = 30;
+    private const CIRCUIT_FAILURE_THRESHOLD = 3;
+    private const CIRCUIT_COOLDOWN          = 60;
+
+    /**
+     * Call the provider with retries, fallback models and the circuit breaker.
+     *
+     * A streamed reply is never retried once output has reached the browser,
+     * as the respondent would see it twice.
+     *
+     * @param  array         $provider            From getProviderConfig()
+     * @param  array         $messages            OpenAI-style messages, system message first
+     * @param  int           $maxCompletionTokens Longest reply (see getCompletionTokens())
+     * @param  callable|null $onDelta             Stream the reply through this callback (see streamProvider())
+     * @return array         As callProvider(), plus 'model' (the model that answered) on success,
+     *                       and 'retryable' => bool on failure
+     */
+    private function requestCompletion(array $provider, array $messages, int $maxCompletionTokens, ?callable $onDelta = null): array
+    {
+        if ($provider['provider'] === 'mock') {
+            return $this->callMockProvider($provider, $messages, $onDelta) + ['model' => $provider['model']];
+        }
+
+        $maxRetries = max(0, min(5, (int) $this->get('max_retries', null, null, self::DEFAULT_MAX_RETRIES)));
+        $models     = array_values(array_unique(array_merge([$provider['model']], $provider['fallbackModels'] ?? [])));
+        $deadline   = microtime(true) + self::RETRY_TIME_LIMIT;
+        $result     = null;
+
+        foreach ($models as $model) {
+            $candidate = ['model' => $model] + $provider;
+            $circuit   = $provider['provider'] . '|' . $provider['baseUrl'] . '|' . $model;
+
+            if ($this->isCircuitOpen($circuit)) {
+                continue;
+            }
+
+            for ($attempt = 0; ; $attempt++) {
+                $result = $onDelta !== null
+                    ? $this->streamProvider($candidate, $messages, $maxCompletionTokens, $onDelta)
+                    : $this->callProvider($candidate, $messages, $maxCompletionTokens);
+
+                if (!isset($result['error'])) {
+                    $this->recordCircuitResult($circuit, true);
+                    $result['model'] = $model;
+                    return $result;
+                }
+
+                // Output already reached the respondent — a retry would repeat it
+                if (!empty($result['streamed'])) {
+                    $result['retryable'] = true;
+                    return $result;
+                }
+
+                $delay = self::RETRY_BASE_DELAY_MS * (2 ** $attempt) + mt_rand(0, 250);
+                if (!$this->isTransientError($result) || $attempt >= $maxRetries
+                    || microtime(true) + $delay / 1000 > $deadline) {
+                    break;
+                }
+
+                Yii::log('AIInterview: Retrying ' . $model . ' after: ' . $result['error'], CLogger::LEVEL_INFO);
+                usleep($delay * 1000);
+            }
+
+            if ($this->isTransientError($result)) {
+                $this->recordCircuitResult($circuit, false);
+            } elseif ((int) ($result['status'] ?? 0) !== 404) {
+                // A bad key or a rejected request fails the same way on every model
+                $result['retryable'] = false;
+                return $result;
+            }
+
+            Yii::log('AIInterview: Model ' . $model . ' failed: ' . $result['error'], CLogger::LEVEL_WARNING);
+        }
+
+        if ($result === null) {
+            return [
+                'error'       => 'The AI service is temporarily unavailable. Please try again in a minute.',
+                'status'      => 503,
+                'circuitOpen' => true,
+                'retryable'   => true,
+            ];
+        }
+
+        $result['retryable'] = $this->isTransientError($result);
+        return $result;
+    }
+
+    /**
+     * Whether a failed call may succeed if repeated
+     */
+    private function isTransientError(array $result): bool
+    {
+        return isset($result['error']) && in_array((int) ($result['status'] ?? -1), self::TRANSIENT_STATUSES, true);
+    }
+
+    /**
+     * Whether the circuit breaker for a provider/model currently rejects calls
+     */
+    private function isCircuitOpen(string $circuit): bool
+    {
+        return $this->getCounter(0, $this->getCircuitCounter($circuit, 'openUntil')) > time();
+    }
+
+    /**
+     * Count a failed request against a provider/model, or reset its count on
+     * success. A success only writes when there were failures to forget.
+     */
+    private function recordCircuitResult(string $circuit, bool $success): void
+    {
+        $failuresCounter = $this->getCircuitCounter($circuit, 'failures');
+
+        if ($success) {
+            if ($this->getCounter(0, $failuresCounter) > 0) {
+                $this->deleteCounters(0, $this->getCircuitCounter($circuit, ''));
+            }
+            return;
+        }
+
+        $this->addToCounter(0, $failuresCounter, 1);
+        $failures = $this->getCounter(0, $failuresCounter);
+        if ($failures >= self::CIRCUIT_FAILURE_THRESHOLD) {
+            $this->setCounter(0, $this->getCircuitCounter($circuit, 'openUntil'), time() + self::CIRCUIT_COOLDOWN);
+        }
+        if ($failures === self::CIRCUIT_FAILURE_THRESHOLD) {
+            Yii::log('AIInterview: Circuit opened for ' . $circuit, CLogger::LEVEL_WARNING);
+        }
+    }
+
+    /**
+     * Name of a circuit breaker's counter ('failures' or 'openUntil'; '' for
+     * the prefix they share). The circuit is hashed, as it contains a URL.
+     */
+    private function getCircuitCounter(string $circuit, string $field): string
+    {
+        return 'circuit:' . sha1($circuit) . ':' . $field;
+    }
+
+    // =========================================================================
+    // MOCK PROVIDER
+    //
+    // The "mock" provider answers without any network call, so surveys can be
+    // built, previewed and run by browser tests on servers that cannot reach
+    // an AI service. Only the source of the interviewer's text changes: the
+    // reply goes through the same control markers, moderation, answer rules,
+    // streaming and token budget as a real one, with its token usage
+    // estimated from the text.
+    //
+    // Per question (ai_interview_mock_mode, text in ai_interview_mock_script):
+    //   script  the first line opens the interview, line n + 1 answers the
+    //           n-th answer; when the script runs out the interviewer closes
+    //   echo    each answer is repeated back; the script's first line, if
+    //           any, opens the interview
+    //   rules   "keyword => reply" lines, the first rule whose keyword occurs
+    //           in the answer wins ("*" matches any answer); a line without
+    //           "=>" opens the interview, an answer no rule matches is echoed
+    // Replies may contain {answer} (the respondent's last answer), {turn} (the
+    // number of answers so far) and control markers, as a model would write
+    // them. Running summaries and the post-interview analysis get a fixed
+    // reply in the analysis format.
+    // =========================================================================
+
+    private const MOCK_MODES    = ['script', 'echo', 'rules'];
+    private const MOCK_OPENING  = 'This is a mock interview. Please type an answer.';
+    private const MOCK_ECHO     = 'You said: "{answer}". Please tell me more.';
+    private const MOCK_REPHRASE = 'In other words: ';
+    private const MOCK_CLOSING  = 'Thank you, that was the last question. [[' . self::MARKER_COMPLETE . ']]';
+
+    /**
+     * The question's mock interviewer: its mode and the non-empty lines of its
+     * script in the respondent's language
+     *
+     * @return array ['mode' => string, 'lines' => string[]]
+     */
+    private function getMockScript(int $questionId, string $language): array
+    {
+        $mode = (string) $this->getQuestionAttribute($questionId, 'ai_interview_mock_mode', 'script');
+        $text = (string) $this->getLocalisedQuestionAttribute($questionId, 'ai_interview_mock_script', $language, '');
+
+        return [
+            'mode'  => in_array($mode, self::MOCK_MODES, true) ? $mode : 'script',
+            'lines' => array_values(array_filter(array_map('trim', preg_split('/\r\n|\n|\r/', $text)), 'strlen')),
+        ];
+    }
+
+    /**
+     * Answer a model call without a model. Interview turns (the provider
+     * carries 'mock' from handleChatRequest()) follow the question's script;
+     * any other call gets the fixed analysis-format reply.
+     *
+     * @param  callable|null $onDelta Receives the reply word by word, so the
+     *                                widget's streaming path runs as in production
+     * @return array As callProvider(), plus 'streamed' when $onDelta was given
+     */
+    private function callMockProvider(array $provider, array $messages, ?callable $onDelta): array
+    {
+        $content = isset($provider['mock'])
+            ? $this->buildMockReply($provider['mock'], $messages)
+            : (string) json_encode([
+                'summary'   => 'Mock summary of ' . count($messages) . ' messages.',
+                'codes'     => [],
+                'sentiment' => 'neutral',
+            ]);
+
+        $result = [
+            'content'       => $content,
+            'tokens_used'   => $this->estimateMessagesTokens($messages) + $this->estimateTokens($content),
+            'finish_reason' => 'stop',
+        ];
+
+        if ($onDelta !== null) {
+            $this->beginEventStream();
+            foreach (preg_split('/(?<=\s)/u', $content, -1, PREG_SPLIT_NO_EMPTY) as $chunk) {
+                $onDelta($chunk);
+            }
+            $result['streamed'] = true;
+        }
+
+        return $result;
+    }
+
+    /**
+     * The mock interviewer's next turn
+     *
+     * @param  array $mock     From getMockScript(), plus 'answers' (respondent
+     *                         messages so far), 'closing' (the answer limit was
+     *                         reached) and 'rephrase' (the message to reword, or '')
+     * @param  array $messages The conversation as it would go to the model
+     */
+    private function buildMockReply(array $mock, array $messages): string
+    {
+        $answer = '';
+        foreach ($messages as $msg) {
+            if ($msg['role'] === 'user') {
+                $answer = $msg['content'];
+            }
+        }
+
+        $lines = $mock['lines'];
+
+        if ($mock['closing']) {
+            $reply = self::MOCK_CLOSING;
+        } elseif ($mock['rephrase'] !== '') {
+            $reply = self::MOCK_REPHRASE . $mock['rephrase'];
+        } elseif ($mock['mode'] === 'rules') {
+            $reply = $mock['answers'] === 0 ? self::MOCK_OPENING : self::MOCK_ECHO;
+            foreach ($lines as $line) {
+                $parts = array_map('trim', explode('=>', $line, 2));
+                $match = $mock['answers'] === 0
+                    ? count($parts) === 1
+                    : count($parts) === 2 && ($parts[0] === '*' || ($parts[0] !== '' && mb_stripos($answer, $parts[0]) !== false));
+                if ($match) {
+                    $reply = end($parts);
+                    break;
+                }
+            }
+        } elseif ($mock['answers'] === 0) {
+            $reply = $lines[0] ?? self::MOCK_OPENING;
+        } elseif ($mock['mode'] === 'echo' || empty($lines)) {
+            $reply = self::MOCK_ECHO;
+        } else {
+            $reply = $lines[$mock['answers']] ?? self::MOCK_CLOSING;
+        }
+
+        return strtr($reply, [
+            '{answer}' => $answer,
+            '{turn}'   => (string) $mock['answers'],
+        ]);
+    }
+
+    // =========================================================================
+    // PII REDACTION
+    //
+    // Per question (ai_interview_pii_redaction):
+    //   off     respondent messages are sent and stored as typed
+    //   model   personal data in respondent messages is masked (e.g. "[EMAIL]")
+    //           before anything leaves the server: the interviewer, the
+    //           moderation service and the post-interview analysis only see
+    //           masked text. The stored transcript keeps the original.
+    //   stored  as model, and the stored transcript keeps the masked text too
+    // Masked turns carry "redacted" (the labels found) in the transcript.
+    //
+    // Detection is built-in patterns (AIInterviewHelpers::PII_PATTERNS, applied
+    // by AIInterviewHelpers::maskPii()), the researcher's own
+    // patterns (plugin setting pii_patterns) and any other plugin that
+    // subscribes to the aiInterviewDetectPII event, e.g. a named-entity
+    // recogniser for names. Handlers receive 'text', 'surveyId' and
+    // 'questionId' and append what they found:
+    //   $event->append('matches', [['text' => 'Jane Doe', 'label' => 'NAME']]);
+    // =========================================================================
+
+    /**
+     * The question's redaction mode: 'off', 'model' or 'stored'
+     */
+    private function getRedactionMode(int $questionId): string
+    {
+        $mode = (string) $this->getQuestionAttribute($questionId, 'ai_interview_pii_redaction', 'off');
+        return in_array($mode, ['model', 'stored'], true) ? $mode : 'off';
+    }
+
+    /**
+     * Mask the respondent messages of a conversation in place.
+     *
+     * @param  array       $messages As returned by sanitizeMessages()
+     * @return array|null  What happened to the latest respondent message, for
+     *                     the widget: ['text' => masked text, 'labels' => [...],
+     *                     'stored' => 'original'|'redacted', 'preview' => bool],
+     *                     or null if nothing in it was masked
+     */
+    private function redactMessages(array &$messages, int $surveyId, int $questionId, string $mode, bool $preview): ?array
+    {
+        $latest = null;
+        foreach ($messages as &$message) {
+            if ($message['role'] !== 'user') continue;
+
+            $redacted           = $this->redactText($message['content'], $surveyId, $questionId);
+            $message['content'] = $redacted['text'];
+            $latest             = $redacted;
+        }
+        unset($message);
+
+        $last = end($messages);
+        if ($latest === null || $last === false || $last['role'] !== 'user' || empty($latest['labels'])) {
+            return null;
+        }
+
+        return [
+            'text'    => $latest['text'],
+            'labels'  => $latest['labels'],
+            'stored'  => $mode === 'stored' ? 'redacted' : 'original',
+            'preview' => $preview,
+        ];
+    }
+
+    /**
+     * Mask the respondent turns of a submitted response's transcripts for
+     * every question that stores masked text.
+     *
+     * The widget takes the masked text from the chat endpoint's responses;
+     * a turn whose request never got an answer (a network error, a page
+     * submitted mid-request) would otherwise be saved as typed.
+     */
+    private function maskStoredTranscripts(int $surveyId, int $responseId): void
+    {
+        $oResponse = null;
+        $changed   = [];
+        foreach ($this->getInterviewQuestions($surveyId) as $oQuestion) {
+            $questionId = (int) $oQuestion->qid;
+            if ($this->getRedactionMode($questionId) !== 'stored') continue;
+
+            $oResponse = $oResponse ?? SurveyDynamic::model($surveyId)->findByPk($responseId);
+            if (empty($oResponse)) {
+                return;
+            }
+
+            $sgqa  = $surveyId . 'X' . $oQuestion->gid . 'X' . $questionId;
+            $value = (string) ($oResponse->getAttribute($sgqa) ?? '');
+            if (trim($value) === '') continue;
+
+            $transcript = $this->parseTranscript($value);
+            if ($transcript['legacy']) continue;
+
+            // Answers the respondent took back are stored too
+            $masked    = false;
+            $maskTurns = function (array $turns) use ($surveyId, $questionId, &$masked): array {
+                foreach ($turns as &$turn) {
+                    if (!is_array($turn) || ($turn['role'] ?? null) !== 'user') continue;
+
+                    $redacted = $this->redactText((string) ($turn['text'] ?? ''), $surveyId, $questionId);
+                    if (!empty($redacted['labels'])) {
+                        $turn['text']     = $redacted['text'];
+                        $turn['redacted'] = array_values(array_unique(array_merge((array) ($turn['redacted'] ?? []), $redacted['labels'])));
+                        $masked           = true;
+                    }
+                }
+                unset($turn);
+                return $turns;
+            };
+
+            $transcript['turns'] = $maskTurns($transcript['turns']);
+            if (is_array($transcript['discarded'] ?? null)) {
+                foreach ($transcript['discarded'] as &$entry) {
+                    if (is_array($entry) && is_array($entry['turns'] ?? null)) {
+                        $entry['turns'] = $maskTurns($entry['turns']);
+                    }
+                }
+                unset($entry);
+            }
+
+            if ($masked) {
+                $changed[$sgqa] = $this->serializeTranscript($transcript);
+            }
+        }
+
+        if (!empty($changed)) {
+            SurveyDynamic::model($surveyId)->updateByPk($responseId, $changed);
+        }
+    }
+
+    /**
+     * Mask personal data in a text with "[LABEL]" placeholders
+     *
+     * @return array ['text' => masked text, 'labels' => labels found, in order]
+     */
+    private function redactText(string $text, int $surveyId, int $questionId): array
+    {
+        $labels = [];
+
+        // Other plugins' detectors see the original text, so they run first
+        $event = new PluginEvent('aiInterviewDetectPII', $this);
+        $event->set('text', $text);
+        $event->set('surveyId', $surveyId);
+        $event->set('questionId', $questionId);
+        $event->set('matches', []);
+        Yii::app()->getPluginManager()->dispatchEvent($event);
+
+        foreach ((array) $event->get('matches', []) as $match) {
+            $found = is_array($match) ? trim((string) ($match['text'] ?? '')) : '';
+            if ($found === '' || strpos($text, $found) === false) continue;
+
+            $label    = AIInterviewHelpers::normaliseRedactionLabel((string) ($match['label'] ?? ''));
+            $text     = str_replace($found, '[' . $label . ']', $text);
+            $labels[] = $label;
+        }
+
+        $masked = AIInterviewHelpers::maskPii($text, $this->getRedactionPatterns());
+
+        return ['text' => $masked['text'], 'labels' => array_values(array_unique(array_merge($labels, $masked['labels'])))];
+    }
+
+    /**
+     * The built-in patterns followed by the researcher's own (the pii_patterns
+     * setting, see AIInterviewHelpers::parseRedactionPatterns()). Invalid
+     * patterns are logged and skipped.
+     */
+    private function getRedactionPatterns(): array
+    {
+        $custom = AIInterviewHelpers::parseRedactionPatterns((string) $this->get('pii_patterns', null, null, ''));
+        foreach ($custom['invalid'] as $line) {
+            Yii::log('AIInterview: Invalid PII pattern skipped: ' . $line, CLogger::LEVEL_WARNING);
+        }
+
+        return array_merge(AIInterviewHelpers::PII_PATTERNS, $custom['patterns']);
+    }
+
+    // =========================================================================
+    // CONTENT MODERATION
+    //
+    // Per question (ai_interview_moderation):
+    //   off    no checks
+    //   flag   each respondent message and interviewer reply is checked; hits
+    //          are recorded on the turn and in the envelope's "moderation"
+    //          summary, and the interview goes on
+    //   block  as flag, but a flagged respondent message is not sent to the
+    //          model and ends the interview (endReason "moderation"), and a
+    //          flagged interviewer reply is withheld and can be retried.
+    //          Replies are not streamed, as they must be checked first.
+    // A hit in one of ai_interview_support_categories makes the widget show the
+    // researcher's ai_interview_support_resources text.
+    //
+    // Checks run on the OpenAI moderation endpoint or on local keyword lists
+    // (plugin setting moderation_service), so a study on a self-hosted model
+    // need not send text to a cloud service.
+    // =========================================================================
+
+    /** Keyword lists used when no custom list is configured */
+    private const DEFAULT_MODERATION_KEYWORDS =
+          "self-harm: suicide, suicidal, kill myself, end my life, hurt myself, self-harm, self harm, cut myself\n"
+        . "violence: kill you, hurt you, shoot you";
+
+    /**
+     * The question's moderation mode: 'off', 'flag' or 'block'
+     */
+    private function getModerationMode(int $questionId): string
+    {
+        $mode = (string) $this->getQuestionAttribute($questionId, 'ai_interview_moderation', 'off');
+        return in_array($mode, ['flag', 'block'], true) ? $mode : 'off';
+    }
+
+    /**
+     * Check a text with the configured moderation service.
+     *
+     * A failing service never blocks the interview: the failure is logged and
+     * the text counts as not flagged, with 'skipped' saying why it was not
+     * checked, so the turn can be marked as unscreened. The mock provider
+     * always uses the keyword lists, so an offline test sends nothing to the
+     * moderation endpoint.
+     *
+     * @param  array $provider From getProviderConfig(); its key is reused for
+     *                         the OpenAI endpoint when no moderation key is set
+     * @return array ['flagged' => bool, 'categories' => string[]], plus
+     *               'skipped' => 'no_key'|'service_error' when no check ran
+     */
+    private function moderateText(string $text, array $provider): array
+    {
+        if ($provider['provider'] === 'mock' || $this->get('moderation_service', null, null, 'openai') === 'keywords') {
+            return $this->moderateWithKeywords($text);
+        }
+
+        $apiKey = trim((string) $this->get('moderation_api_key', null, null, ''));
+        if ($apiKey === '' && $provider['provider'] === 'openai') {
+            $apiKey = $provider['apiKey'];
+        }
+        if ($apiKey === '') {
+            Yii::log('AIInterview: Moderation skipped — no OpenAI key for the moderation endpoint', CLogger::LEVEL_WARNING);
+            return ['flagged' => false, 'categories' => [], 'skipped' => 'no_key'];
+        }
+
+        $result = $this->moderateWithOpenAI($text, $apiKey);
+        if (isset($result['error'])) {
+            Yii::log('AIInterview: Moderation failed: ' . $result['error'], CLogger::LEVEL_WARNING);
+            return ['flagged' => false, 'categories' => [], 'skipped' => 'service_error'];
+        }
+        return $result;
+    }
+
+    /**
+     * Check the respondent's latest message with moderateText(). A retry
+     * after a withheld reply sends the same message again; its earlier
+     * result is reused rather than sending it to the service a second time.
+     * A check that did not run is not remembered, so the retry tries again.
+     */
+    private function moderateAnswer(int $surveyId, int $questionId, string $text, array $provider): array
+    {
+        $state = &$this->getSessionState($surveyId);
+        $hash  = sha1($text);
+        $last  = $state['moderatedAnswer'][$questionId] ?? null;
+        if (is_array($last) && $last['hash'] === $hash) {
+            return $last['result'];
+        }
+
+        $result = $this->moderateText($text, $provider);
+        if (!isset($result['skipped'])) {
+            $state['moderatedAnswer'][$questionId] = ['hash' => $hash, 'result' => $result];
+        }
+        return $result;
+    }
+
+    /**
+     * Check a text with the OpenAI moderation endpoint. Sub-categories are
+     * folded into their main category ("self-harm/intent" → "self-harm").
+     *
+     * @return array ['flagged', 'categories'] or ['error' => string]
+     */
+    private function moderateWithOpenAI(string $text, string $apiKey): array
+    {
+        $ch = curl_init('https://api.openai.com/v1/moderations');
+
+        if ($ch === false) {
+            return ['error' => 'cURL initialisation failed'];
+        }
+
+        curl_setopt_array($ch, [
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_POST           => true,
+            CURLOPT_POSTFIELDS     => json_encode(['model' => 'omni-moderation-latest', 'input' => $text], JSON_UNESCAPED_UNICODE),
+            CURLOPT_TIMEOUT        => 15,
+            CURLOPT_CONNECTTIMEOUT => 5,
+            CURLOPT_HTTPHEADER     => [
+                'Content-Type: application/json',
+                'Authorization: Bearer ' . $apiKey,
+                'User-Agent: LimeSurvey-AIInterview/1.0',
+            ],
+            CURLOPT_SSL_VERIFYPEER => true,
+            CURLOPT_SSL_VERIFYHOST => 2,
+        ]);
+
+        $response  = curl_exec($ch);
+        $httpCode  = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curlError = curl_error($ch);
+        curl_close($ch);
+
+        if ($curlError) {
+            return ['error' => 'Network error: ' . $curlError];
+        }
+
+        $data = json_decode((string) $response, true);
+        if ($httpCode !== 200 || !isset($data['results'][0])) {
+            return ['error' => $this->describeProviderError($data, (int) $httpCode)];
+        }
+
+        $categories = [];
+        foreach ((array) ($data['results'][0]['categories'] ?? []) as $name => $hit) {
+            if ($hit) {
+                $categories[] = explode('/', (string) $name)[0];
+            }
+        }
+
+        return [
+            'flagged'    => !empty($data['results'][0]['flagged']),
+            'categories' => array_values(array_unique($categories)),
+        ];
+    }
+
+    /**
+     * Check a text against the keyword lists in the moderation_keywords
+     * setting: one "category: phrase, phrase" per line, matched as whole
+     * words, case-insensitively.
+     *
+     * @return array ['flagged', 'categories']
+     */
+    private function moderateWithKeywords(string $text): array
+    {
+        $lists = trim((string) $this->get('moderation_keywords', null, null, ''));
+        if ($lists === '') {
+            $lists = self::DEFAULT_MODERATION_KEYWORDS;
+        }
+
+        $categories = [];
+        foreach (preg_split('/\r\n|\n|\r/', $lists) as $line) {
+            $parts = explode(':', $line, 2);
+            if (count($parts) < 2 || trim($parts[0]) === '') continue;
+
+            foreach (explode(',', $parts[1]) as $phrase) {
+                $phrase = trim($phrase);
+                if ($phrase !== '' && preg_match('/(?<!\w)' . preg_quote($phrase, '/') . '(?!\w)/iu', $text)) {
+                    $categories[] = strtolower(trim($parts[0]));
+                    break;
+                }
+            }
+        }
+
+        return [
+            'flagged'    => !empty($categories),
+            'categories' => array_values(array_unique($categories)),
+        ];
+    }
+
+    /**
+     * Add a moderation hit to the question's summary for this survey session
+     *
+     * @param  string $action 'flagged', 'blocked' (respondent message) or 'withheld' (interviewer reply)
+     * @return array  Summary for the envelope:
+     *                ['flagged' => true, 'categories' => [...], 'blocked' => n, 'withheld' => n]
+     */
+    private function recordModeration(int $surveyId, int $questionId, array $result, string $action): array
+    {
+        $state   = &$this->getSessionState($surveyId);
+        $summary = $state['moderation'][$questionId] ?? ['flagged' => true, 'categories' => [], 'blocked' => 0, 'withheld' => 0];
+
+        $summary['categories'] = array_values(array_unique(array_merge($summary['categories'], $result['categories'])));
+        if ($action === 'blocked' || $action === 'withheld') {
+            $summary[$action]++;
+        }
+
+        $state['moderation'][$questionId] = $summary;
+        return $summary;
+    }
+
+    /**
+     * Forget a question's moderation summary and last checked message (admin
+     * preview restart)
+     */
+    private function resetModeration(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['moderation'][$questionId], $state['moderatedAnswer'][$questionId]);
+    }
+
+    /**
+     * The researcher's support resources text, if any of the flagged categories
+     * is one the question shows it for
+     */
+    private function getSupportResources(int $questionId, array $categories): ?string
+    {
+        $text = trim((string) $this->getQuestionAttribute($questionId, 'ai_interview_support_resources', ''));
+        if ($text === '' || empty($categories)) {
+            return null;
+        }
+
+        $triggers = array_map('strtolower', array_map('trim', explode(',',
+            (string) $this->getQuestionAttribute($questionId, 'ai_interview_support_categories', 'self-harm')
+        )));
+
+        return array_intersect($triggers, $categories) ? $text : null;
+    }
+
+    // =========================================================================
+    // RATE LIMITING — ABUSE PROTECTION FOR THE CHAT ENDPOINT
+    //
+    // Checked before every provider call (see checkRateLimits()):
+    //   requests_per_minute     per survey session, sliding 60-second window
+    //   max_turns_per_question  interviewer replies per question and session
+    //   max_interviews_per_ip   interviews active at the same time from one IP
+    //                           address in a survey (IPs are stored hashed)
+    //   daily_token_cap         tokens per survey and UTC day, all respondents
+    // The first two live in the survey session, so a client that starts a new
+    // session starts them again; the last two are shared (see SHARED COUNTERS).
+    // A value of 0 switches a limit off. Throttled calls are refused with
+    //   HTTP 429 {"error", "code": "rate_limited", "reason", "retryAfter"}
+    // =========================================================================
+
+    /** Seconds after its last request that an interview stops counting as active */
+    private const INTERVIEW_ACTIVE_WINDOW = 1800;
+
+    /** Interviewer replies remembered per question (see rememberLastReply()) */
+    private const REMEMBERED_REPLIES = 10;
+
+    /**
+     * Configured value of a limit: the survey's own setting where one is set,
+     * the global plugin setting otherwise
+     */
+    private function getLimitSetting(string $name, int $surveyId, int $default): int
+    {
+        $value = trim((string) $this->get($name, 'Survey', $surveyId, ''));
+        if ($value === '') {
+            $value = $this->get($name, null, null, $default);
+        }
+        return max(0, (int) $value);
+    }
+
+    /**
+     * Check every limit for a chat request and record the request if it may
+     * go ahead.
+     *
+     * @return array|null null when allowed, otherwise
+     *                    ['reason', 'error' => message for the respondent, 'retryAfter' => seconds|null]
+     */
+    private function checkRateLimits(int $surveyId, int $questionId, bool $hasSession): ?array
+    {
+        $now   = time();
+        $state = &$this->getSessionState($surveyId);
+
+        $perMinute = $this->getLimitSetting('requests_per_minute', $surveyId, 20);
+        if ($perMinute > 0) {
+            $recent = array_values(array_filter((array) ($state['requests'] ?? []), function ($ts) use ($now) {
+                return $ts > $now - 60;
+            }));
+            if (count($recent) >= $perMinute) {
+                return [
+                    'reason'     => 'requests_per_minute',
+                    'error'      => 'You are sending messages very quickly. Please wait a moment and try again.',
+                    'retryAfter' => max(1, $recent[0] + 60 - $now),
+                ];
+            }
+        }
+
+        $maxTurns = $this->getLimitSetting('max_turns_per_question', $surveyId, 60);
+        if ($maxTurns > 0 && (int) ($state['turns'][$questionId] ?? 0) >= $maxTurns) {
+            return [
+                'reason'     => 'turns_per_question',
+                'error'      => 'The interview has reached its maximum length.',
+                'retryAfter' => null,
+            ];
+        }
+
+        $dailyCap = $this->getLimitSetting('daily_token_cap', $surveyId, 0);
+        if ($dailyCap > 0 && $this->getDailyTokenUsage($surveyId) >= $dailyCap) {
+            return [
+                'reason'     => 'daily_cap',
+                'error'      => 'The interview is not available at the moment. Please skip this question or come back tomorrow.',
+                'retryAfter' => 86400 - $now % 86400, // until midnight UTC
+            ];
+        }
+
+        // An admin preview is not a respondent's interview
+        $perIp = $this->getLimitSetting('max_interviews_per_ip', $surveyId, 10);
+        if ($perIp > 0 && $hasSession && !$this->claimInterviewSlot($surveyId, $questionId, $perIp)) {
+            return [
+                'reason'     => 'concurrent_interviews',
+                'error'      => 'Too many interviews are in progress from your network. Please try again in a few minutes.',
+                'retryAfter' => 300,
+            ];
+        }
+
+        if ($perMinute > 0) {
+            $recent[] = $now;
+            $state['requests'] = $recent;
+        }
+
+        return null;
+    }
+
+    /**
+     * Count an interviewer reply against a question's turn limit and, if it
+     * replied to a new answer, that answer against the question's Maximum
+     * Answers (see getAnswerCount()). $takenBack answers were removed with
+     * "Edit last answer" since the last reply and no longer count.
+     */
+    private function countTurn(int $surveyId, int $questionId, bool $answered, int $takenBack = 0): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        $state['turns'][$questionId] = (int) ($state['turns'][$questionId] ?? 0) + 1;
+        $state['answers'][$questionId] = max(0, (int) ($state['answers'][$questionId] ?? 0) - $takenBack)
+                                       + ($answered ? 1 : 0);
+    }
+
+    /**
+     * Respondent answers to a question the interviewer has replied to in
+     * this survey session
+     */
+    private function getAnswerCount(int $surveyId, int $questionId): int
+    {
+        $state = &$this->getSessionState($surveyId);
+        return (int) ($state['answers'][$questionId] ?? 0);
+    }
+
+    /**
+     * Start a question's turn and answer counts again from zero (admin preview only)
+     */
+    private function resetTurnCount(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['turns'][$questionId], $state['answers'][$questionId]);
+    }
+
+    /**
+     * Keep the interviewer's latest reply to a question, so that a rephrase
+     * request rewords the server's own text. The last few replies are kept,
+     * newest last: "Edit last answer" goes back to an earlier one (see
+     * takeBackReplies()), a rephrased reply takes the place of the original.
+     */
+    private function rememberLastReply(int $surveyId, int $questionId, string $text, bool $replace = false): void
+    {
+        $state   = &$this->getSessionState($surveyId);
+        $replies = $state['lastReplies'][$questionId] ?? [];
+        if ($replace) {
+            array_pop($replies);
+        }
+        $replies[] = $text;
+        $state['lastReplies'][$questionId] = array_slice($replies, -self::REMEMBERED_REPLIES);
+    }
+
+    /**
+     * The interviewer's latest reply to a question, '' if none is remembered.
+     * $takenBack skips replies the widget has removed since its last request.
+     */
+    private function getLastReply(int $surveyId, int $questionId, int $takenBack = 0): string
+    {
+        $state   = &$this->getSessionState($surveyId);
+        $replies = $state['lastReplies'][$questionId] ?? [];
+        return (string) ($replies[count($replies) - 1 - $takenBack] ?? '');
+    }
+
+    /**
+     * Forget the last $count replies to a question, which the respondent took
+     * back with "Edit last answer"
+     *
+     * @return int The number of replies actually forgotten
+     */
+    private function takeBackReplies(int $surveyId, int $questionId, int $count): int
+    {
+        $state   = &$this->getSessionState($surveyId);
+        $replies = $state['lastReplies'][$questionId] ?? [];
+        $count   = min($count, count($replies));
+        if ($count > 0) {
+            $state['lastReplies'][$questionId] = array_slice($replies, 0, count($replies) - $count);
+        }
+        return $count;
+    }
+
+    /**
+     * Forget every remembered reply to a question (admin preview only)
+     */
+    private function resetLastReplies(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['lastReplies'][$questionId]);
+    }
+
+    /**
+     * Register this session's interview as active for the client's IP address,
+     * unless that IP already has $limit other active interviews in the survey.
+     * Only hashes of the IP address and session ID are stored.
+     *
+     * @return bool false when the limit is reached
+     */
+    private function claimInterviewSlot(int $surveyId, int $questionId, int $limit): bool
+    {
+        $this->ensurePluginTables();
+        $db        = Yii::app()->db;
+        $now       = time();
+        $ipHash    = sha1((string) Yii::app()->request->getUserHostAddress());
+        $interview = sha1(session_id() . '|' . $questionId);
+
+        // Forget interviews that have gone quiet, for every IP
+        $db->createCommand()->delete(
+            self::INTERVIEW_TABLE,
+            'survey_id = :sid AND last_seen <= :cutoff',
+            [':sid' => $surveyId, ':cutoff' => $now - self::INTERVIEW_ACTIVE_WINDOW]
+        );
+
+        $mine   = 'survey_id = :sid AND ip_hash = :ip AND interview = :interview';
+        $params = [':sid' => $surveyId, ':ip' => $ipHash, ':interview' => $interview];
+        $row    = $db->createCommand()->select('id, last_seen')->from(self::INTERVIEW_TABLE)->where($mine, $params)->queryRow();
+
+        if ($row !== false) {
+            // Refresh at most once a minute to keep storage writes down
+            if ((int) $row['last_seen'] < $now - 60) {
+                $db->createCommand()->update(self::INTERVIEW_TABLE, ['last_seen' => $now], 'id = :id', [':id' => $row['id']]);
+            }
+            return true;
+        }
+
+        try {
+            $db->createCommand()->insert(self::INTERVIEW_TABLE, [
+                'survey_id' => $surveyId,
+                'ip_hash'   => $ipHash,
+                'interview' => $interview,
+                'last_seen' => $now,
+            ]);
+        } catch (CDbException $e) {
+            // A parallel request of the same interview claimed the slot
+            return true;
+        }
+
+        // Claim first, then count: of interviews from one IP that start at
+        // the same moment, the earliest $limit keep their slot
+        $id      = (int) $db->createCommand()->select('id')->from(self::INTERVIEW_TABLE)->where($mine, $params)->queryScalar();
+        $earlier = (int) $db->createCommand()
+            ->select('COUNT(*)')
+            ->from(self::INTERVIEW_TABLE)
+            ->where('survey_id = :sid AND ip_hash = :ip AND id < :id', [':sid' => $surveyId, ':ip' => $ipHash, ':id' => $id])
+            ->queryScalar();
+        if ($earlier >= $limit) {
+            $db->createCommand()->delete(self::INTERVIEW_TABLE, 'id = :id', [':id' => $id]);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Tokens spent today (UTC) on a survey, by all respondents — or, with
+     * $pilot, by pilot runs (see runPilot()), which are counted apart so that
+     * piloting never uses up the respondents' allowance
+     */
+    private function getDailyTokenUsage(int $surveyId, bool $pilot = false): int
+    {
+        return $this->getCounter($surveyId, $this->getDailyUsageCounter($pilot, gmdate('Y-m-d')));
+    }
+
+    /**
+     * Add tokens to today's usage of a survey
+     */
+    private function chargeDailyTokenUsage(int $surveyId, int $tokens, bool $pilot = false): void
+    {
+        $today = gmdate('Y-m-d');
+        if ($this->addToCounter($surveyId, $this->getDailyUsageCounter($pilot, $today), max(0, $tokens))) {
+            // The first charge of a day: earlier days are no longer needed
+            $this->deleteCounters($surveyId, $this->getDailyUsageCounter($pilot, ''), $this->getDailyUsageCounter($pilot, $today));
+        }
+    }
+
+    /**
+     * Name of the counter for a day's token usage (see getDailyTokenUsage())
+     */
+    private function getDailyUsageCounter(bool $pilot, string $date): string
+    {
+        return ($pilot ? 'daily_pilot_usage:' : 'daily_usage:') . $date;
+    }
+
+    // =========================================================================
+    // SHARED COUNTERS
+    //
+    // State that every respondent's requests update at the same time — the
+    // daily token usage, the active interviews per IP address and the
+    // circuit breakers — is kept in tables of its own rather than in plugin
+    // settings, where a read and a later write of the whole value would lose
+    // concurrent updates:
+    //   {{aiinterview_counters}}  survey_id (0 for the circuit breakers),
+    //                             name, value: changed in place with
+    //                             UPDATE ... SET value = value + :n
+    //   {{aiinterview_active}}    one row per active interview (hashed IP
+    //                             address and session), see claimInterviewSlot()
+    // The tables are created on activation, or on first use after an update
+    // of the plugin.
+    // =========================================================================
+
+    private const COUNTER_TABLE   = '{{aiinterview_counters}}';
+    private const INTERVIEW_TABLE = '{{aiinterview_active}}';
+
+    /** Whether ensurePluginTables() has run in this request */
+    private $tablesChecked = false;
+
+    /**
+     * Create the plugin's tables (the counter tables and the analysis queue,
+     * see POST-INTERVIEW ANALYSIS) if they do not exist yet
+     */
+    private function ensurePluginTables(): void
+    {
+        if ($this->tablesChecked) {
+            return;
+        }
+        $this->tablesChecked = true;
+
+        $db = Yii::app()->db;
+        if ($db->schema->getTable(self::COUNTER_TABLE, true) === null) {
+            $db->createCommand()->createTable(self::COUNTER_TABLE, [
+                'id'        => 'pk',
+                'survey_id' => 'integer NOT NULL',
+                'name'      => 'string(128) NOT NULL',
+                'value'     => 'bigint NOT NULL DEFAULT 0',
+            ]);
+            $db->createCommand()->createIndex('aiinterview_counters_name', self::COUNTER_TABLE, 'survey_id, name', true);
+        }
+        if ($db->schema->getTable(self::INTERVIEW_TABLE, true) === null) {
+            $db->createCommand()->createTable(self::INTERVIEW_TABLE, [
+                'id'        => 'pk',
+                'survey_id' => 'integer NOT NULL',
+                'ip_hash'   => 'string(40) NOT NULL',
+                'interview' => 'string(40) NOT NULL',
+                'last_seen' => 'integer NOT NULL',
+            ]);
+            $db->createCommand()->createIndex('aiinterview_active_interview', self::INTERVIEW_TABLE, 'survey_id, ip_hash, interview', true);
+        }
+        if ($db->schema->getTable(self::ANALYSIS_QUEUE_TABLE, true) === null) {
+            $db->createCommand()->createTable(self::ANALYSIS_QUEUE_TABLE, [
+                'id'           => 'pk',
+                'survey_id'    => 'integer NOT NULL',
+                'response_id'  => 'integer NOT NULL',
+                'queued_at'    => 'integer NOT NULL',
+                'attempts'     => 'integer NOT NULL DEFAULT 0',
+                'leased_until' => 'integer NOT NULL DEFAULT 0',
+            ]);
+            $db->createCommand()->createIndex('aiinterview_analysis_queue_response', self::ANALYSIS_QUEUE_TABLE, 'survey_id, response_id', true);
+        } elseif ($db->schema->getTable(self::ANALYSIS_QUEUE_TABLE, true)->getColumn('leased_until') === null) {
+            // Queue created before entries were leased
+            $db->createCommand()->addColumn(self::ANALYSIS_QUEUE_TABLE, 'attempts', 'integer NOT NULL DEFAULT 0');
+            $db->createCommand()->addColumn(self::ANALYSIS_QUEUE_TABLE, 'leased_until', 'integer NOT NULL DEFAULT 0');
+        }
+    }
+
+    /**
+     * A counter's value (0 if it does not exist). $surveyId 0 holds counters
+     * that belong to no survey.
+     */
+    private function getCounter(int $surveyId, string $name): int
+    {
+        $this->ensurePluginTables();
+        return (int) Yii::app()->db->createCommand()
+            ->select('value')
+            ->from(self::COUNTER_TABLE)
+            ->where('survey_id = :sid AND name = :name', [':sid' => $surveyId, ':name' => $name])
+            ->queryScalar();
+    }
+
+    /**
+     * Add to a counter in a single statement, so that concurrent requests
+     * never overwrite each other's additions
+     *
+     * @return bool Whether the counter was created by this call
+     */
+    private function addToCounter(int $surveyId, string $name, int $amount): bool
+    {
+        // Nothing to add (MySQL would also report the UPDATE as 0 rows changed)
+        if ($amount === 0) {
+            return false;
+        }
+
+        $this->ensurePluginTables();
+        $db     = Yii::app()->db;
+        $params = [':sid' => $surveyId, ':name' => $name, ':amount' => $amount];
+        $update = 'UPDATE ' . self::COUNTER_TABLE . ' SET value = value + :amount WHERE survey_id = :sid AND name = :name';
+
+        if ($db->createCommand($update)->execute($params) > 0) {
+            return false;
+        }
+
+        try {
+            $db->createCommand()->insert(self::COUNTER_TABLE, ['survey_id' => $surveyId, 'name' => $name, 'value' => $amount]);
+            return true;
+        } catch (CDbException $e) {
+            // Another request created the counter in the meantime
+            $db->createCommand($update)->execute($params);
+            return false;
+        }
+    }
+
+    /**
+     * Set a counter to a value, creating it if need be
+     */
+    private function setCounter(int $surveyId, string $name, int $value): void
+    {
+        $this->ensurePluginTables();
+        $db    = Yii::app()->db;
+        $where = 'survey_id = :sid AND name = :name';
+        $key   = [':sid' => $surveyId, ':name' => $name];
+
+        if ($db->createCommand()->update(self::COUNTER_TABLE, ['value' => $value], $where, $key) > 0) {
+            return;
+        }
+        try {
+            $db->createCommand()->insert(self::COUNTER_TABLE, ['survey_id' => $surveyId, 'name' => $name, 'value' => $value]);
+        } catch (CDbException $e) {
+            // It exists: already at this value (MySQL counts an UPDATE that
+            // changes nothing as 0 rows) or created in the meantime
+            $db->createCommand()->update(self::COUNTER_TABLE, ['value' => $value], $where, $key);
+        }
+    }
+
+    /**
+     * Delete a survey's counters whose names start with $prefix, except $keep
+     */
+    private function deleteCounters(int $surveyId, string $prefix, string $keep = ''): void
+    {
+        $this->ensurePluginTables();
+        Yii::app()->db->createCommand()->delete(
+            self::COUNTER_TABLE,
+            'survey_id = :sid AND name LIKE :prefix AND name <> :keep',
+            [':sid' => $surveyId, ':prefix' => addcslashes($prefix, '%_\\') . '%', ':keep' => $keep]
+        );
+    }
+
+    // =========================================================================
+    // TRANSCRIPT FORMAT
+    //
+    // Answers are stored as a versioned JSON envelope written by the widget
+    // (see the "Transcript format" section of assets/ai-interview.js):
+    //   {"format":"aiinterview-transcript","version":1,"status":"concluded",
+    //    "endReason":"manual","startedAt":"...","updatedAt":"...","revision":17,"tokensUsed":1234,
+    //    "turns":[{"role":"assistant","text":"...","ts":"...","tokens":321}, ...]}
+    // The server adds "analysis" after a post-interview analysis has run
+    // (see analyseInterview()).
+    // Answers saved by earlier plugin versions are plain text with
+    // "Interviewer: " / "User: " prefixes and are still understood.
+    // =========================================================================
+
+    private const TRANSCRIPT_FORMAT  = 'aiinterview-transcript';
+    private const TRANSCRIPT_VERSION = 1;
+
+    /**
+     * Paradata the widget records on respondent turns ("paradata" object),
+     * in export column order
+     */
+    private const PARADATA_FIELDS = [
+        'shownAt', 'typingStartedAt', 'latencyMs', 'composeMs', 'keystrokes', 'pasted', 'pastedChars', 'idleMs', 'hiddenMs',
+    ];
+
+    /**
+     * Parse a stored answer into a normalised transcript array.
+     *
+     * @param  string $value  Raw answer column value (JSON envelope or legacy text)
+     * @return array          Envelope with 'status', 'endReason', 'tokensUsed',
+     *                        'turns' (each: role, text, ts, tokens) and 'legacy'
+     */
+    private function parseTranscript(string $value): array
+    {
+        $value      = trim($value);
+        $transcript = [
+            'format'     => self::TRANSCRIPT_FORMAT,
+            'version'    => self::TRANSCRIPT_VERSION,
+            'status'     => 'in_progress',
+            'endReason'  => null,
+            'startedAt'  => null,
+            'updatedAt'  => null,
+            'tokensUsed' => 0,
+            'turns'      => [],
+            'legacy'     => false,
+        ];
+
+        if (substr($value, 0, 1) === '{') {
+            $data = json_decode($value, true);
+            if (is_array($data)
+                && ($data['format'] ?? null) === self::TRANSCRIPT_FORMAT
+                && isset($data['turns']) && is_array($data['turns'])
+            ) {
+                foreach (['status', 'endReason', 'startedAt', 'updatedAt'] as $key) {
+                    if (isset($data[$key])) {
+                        $transcript[$key] = (string) $data[$key];
+                    }
+                }
+                $transcript['tokensUsed'] = (int) ($data['tokensUsed'] ?? 0);
+
+                // Optional fields (e.g. coverage) are kept as they are
+                $transcript += array_diff_key($data, $transcript);
+
+                foreach ($data['turns'] as $turn) {
+                    if (!is_array($turn) || !in_array($turn['role'] ?? null, ['assistant', 'user'], true)) continue;
+                    $transcript['turns'][] = array_merge($turn, [
+                        'role'   => $turn['role'],
+                        'text'   => (string) ($turn['text'] ?? ''),
+                        'ts'     => isset($turn['ts']) ? (string) $turn['ts'] : null,
+                        'tokens' => (int) ($turn['tokens'] ?? 0),
+                    ]);
+                }
+                return $transcript;
+            }
+        }
+
+        // Legacy plain-text format
+        $transcript['legacy'] = true;
+
+        if (strpos($value, '[Interview skipped') === 0) {
+            $transcript['status']    = 'skipped';
+            $transcript['endReason'] = 'unavailable';
+            return $transcript;
+        }
+
+        $current = null;
+        foreach (preg_split('/\r\n|\n/', $value) as $line) {
+            if (trim($line) === '--- Interview concluded ---') {
+                $transcript['status'] = 'concluded';
+                $current = null;
+                continue;
+            }
+            if (strpos($line, 'Interviewer: ') === 0) {
+                $transcript['turns'][] = ['role' => 'assistant', 'text' => substr($line, 13), 'ts' => null, 'tokens' => 0];
+                $current = count($transcript['turns']) - 1;
+            } elseif (strpos($line, 'User: ') === 0) {
+                $transcript['turns'][] = ['role' => 'user', 'text' => substr($line, 6), 'ts' => null, 'tokens' => 0];
+                $current = count($transcript['turns']) - 1;
+            } elseif ($current !== null) {
+                // Continuation of a multi-line message
+                $transcript['turns'][$current]['text'] .= "\n" . $line;
+            }
+        }
+
+        foreach ($transcript['turns'] as &$turn) {
+            $turn['text'] = rtrim($turn['text']);
+        }
+        unset($turn);
+
+        return $transcript;
+    }
+
+    /**
+     * Encode a transcript array (as returned by parseTranscript()) for storage
+     */
+    private function serializeTranscript(array $transcript): string
+    {
+        unset($transcript['legacy']);
+        return (string) json_encode($transcript, JSON_UNESCAPED_UNICODE);
+    }
+
+    /**
+     * Store the transcript the widget sent with a chat request as the
+     * question's draft answer for this survey session.
+     *
+     * Answers only reach LimeSurvey's session when the page is submitted, so
+     * without the draft a reload in the middle of an interview would lose it.
+     */
+    private function saveTranscriptDraft(int $surveyId, string $sgqa, string $json): void
+    {
+        if (!preg_match('/^' . $surveyId . 'X\d+X\d+$/', $sgqa) || $json === '' || strlen($json) > 500000) {
             return;
         }
 
-        // Security: verify an active survey session exists for this survey,
-        // OR that the requester is a logged-in LimeSurvey admin (for question preview).
-        // This prevents the endpoint from being used by anonymous users outside of a survey.
-        $isAdmin = false;
-        try {
-            $isAdmin = Permission::model()->hasGlobalPermission('surveys', 'read');
-        } catch (Exception $e) {
-            // Permission check failed — treat as non-admin
+        $transcript = $this->parseTranscript($json);
+        if ($transcript['legacy']) {
+            return;
         }
 
-        $hasSession = ($surveyId > 0 && isset($_SESSION['survey_' . $surveyId]));
+        $state = &$this->getSessionState($surveyId);
+        $state['drafts'][$sgqa] = $transcript;
+    }
 
-        if (!$hasSession && !$isAdmin) {
-            $this->sendJsonResponse(['error' => 'No active survey session. Please start the survey first.'], 403);
+    /**
+     * Append a turn to the draft saved by saveTranscriptDraft()
+     *
+     * @param array $turn   'role', 'text', 'tokens' and any extra per-turn fields
+     * @param array $fields Envelope-level fields to overwrite (e.g. 'coverage')
+     */
+    private function appendDraftTurn(int $surveyId, string $sgqa, array $turn, array $fields = []): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        if (!isset($state['drafts'][$sgqa])) {
             return;
         }
 
-        // Retrieve API credentials from plugin settings (server-side only — never in HTML/JS)
-        $apiKey = trim((string) $this->get('openai_api_key', null, null, ''));
-        $model  = trim((string) $this->get('openai_model',   null, null, 'gpt-4o'));
+        $now  = gmdate('Y-m-d\TH:i:s\Z');
+        $turn = array_merge($turn, ['ts' => $now]);
 
-        if (empty($apiKey)) {
-            $this->sendJsonResponse([
-                'error' => 'The AI service is not configured. Please contact the survey administrator.'
-            ], 503);
+        $state['drafts'][$sgqa]['turns'][] = $turn;
+        $state['drafts'][$sgqa]['tokensUsed'] += (int) ($turn['tokens'] ?? 0);
+        $state['drafts'][$sgqa]['updatedAt']   = $now;
+        $state['drafts'][$sgqa]['revision']    = (int) ($state['drafts'][$sgqa]['revision'] ?? 0) + 1;
+        foreach ($fields as $key => $value) {
+            $state['drafts'][$sgqa][$key] = $value;
+        }
+    }
+
+    /**
+     * Update the draft saved by saveTranscriptDraft() without adding a turn
+     *
+     * @param array $fields         Envelope-level fields to overwrite (e.g. 'moderation')
+     * @param array $lastUserFields Fields to set on the respondent's latest turn
+     */
+    private function annotateDraft(int $surveyId, string $sgqa, array $fields, array $lastUserFields = []): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        if (!isset($state['drafts'][$sgqa])) {
             return;
         }
 
-        // Sanitize and validate messages
-        $sanitizedMessages = $this->sanitizeMessages($messages);
+        foreach ($fields as $key => $value) {
+            $state['drafts'][$sgqa][$key] = $value;
+        }
 
-        if (empty($sanitizedMessages)) {
-            $this->sendJsonResponse(['error' => 'No valid messages provided'], 400);
-            return;
+        $turns = &$state['drafts'][$sgqa]['turns'];
+        for ($i = count($turns) - 1; $i >= 0 && !empty($lastUserFields); $i--) {
+            if ($turns[$i]['role'] === 'user') {
+                $turns[$i] = array_merge($turns[$i], $lastUserFields);
+                break;
+            }
         }
+        $state['drafts'][$sgqa]['updatedAt'] = gmdate('Y-m-d\TH:i:s\Z');
+    }
 
-        // Inject language instruction into the system message
-        $this->injectLanguageInstruction($sanitizedMessages, $language);
+    /**
+     * The answer to show when a question is rendered: the submitted answer from
+     * the survey session, or the unsubmitted draft if that is more recent.
+     * Recency goes by the transcripts' "revision", not by "updatedAt": the
+     * widget stamps the submitted answer with the respondent's clock, the
+     * draft's last turn carries the server's.
+     */
+    private function getStoredAnswer(int $surveyId, string $sgqa): string
+    {
+        $answer = (string) ($_SESSION['survey_' . $surveyId][$sgqa] ?? '');
 
-        // Call OpenAI API (server-side)
-        $result = $this->callOpenAI($apiKey, $model, $sanitizedMessages, $maxTokens);
+        $state = &$this->getSessionState($surveyId);
+        if (empty($state['drafts'][$sgqa])) {
+            return $answer;
+        }
+        $draft = $state['drafts'][$sgqa];
 
-        if (isset($result['error'])) {
-            $this->sendJsonResponse(['error' => $result['error']], 502);
-            return;
+        if (trim($answer) !== '') {
+            $saved = $this->parseTranscript($answer);
+            if (!$saved['legacy'] && (int) ($saved['revision'] ?? 0) >= (int) ($draft['revision'] ?? 0)) {
+                return $answer;
+            }
         }
 
-        $this->sendJsonResponse([
-            'reply'        => $result['content'],
-            'tokensUsed'   => $result['tokens_used'],
-            'finishReason' => $result['finish_reason'],
-        ]);
+        return $this->serializeTranscript($draft);
     }
 
     /**
-     * Sanitize the messages array — only allow known roles and cap content length
+     * Human-readable one-line summary of how an interview ended
      */
-    private function sanitizeMessages(array $messages): array
+    private function describeTranscriptStatus(array $transcript): string
     {
-        $allowed = ['system', 'user', 'assistant'];
-        $result  = [];
+        $labels = [
+            'in_progress' => 'In progress (not finished)',
+            'concluded'   => 'Concluded',
+            'skipped'     => 'Skipped',
+        ];
+        $reasons = [
+            'manual'      => 'respondent pressed Finish',
+            'ai'          => 'interviewer concluded the interview',
+            'budget'      => 'token budget or turn limit reached',
+            'turns'       => 'maximum number of answers reached',
+            'unavailable' => 'AI service unavailable',
+            'moderation'  => 'ended by content moderation',
+            'script'      => 'ended by the survey\'s script',
+            'pilot_cap'   => 'answer limit of the pilot run reached',
+        ];
 
-        foreach ($messages as $msg) {
-            if (!is_array($msg)) continue;
-            if (!isset($msg['role'], $msg['content'])) continue;
-            if (!in_array($msg['role'], $allowed, true)) continue;
+        $status = $labels[$transcript['status']] ?? (string) $transcript['status'];
+        if (!empty($transcript['endReason'])) {
+            $status .= ' — ' . ($reasons[$transcript['endReason']] ?? $transcript['endReason']);
+        }
+        return $status;
+    }
 
-            $result[] = [
-                'role'    => $msg['role'],
-                'content' => mb_substr(trim((string) $msg['content']), 0, 8000),
-            ];
+    /**
+     * Human-readable summary of a transcript's interview guide coverage
+     */
+    private function describeCoverage(array $coverage): string
+    {
+        $covered = array_map('intval', (array) ($coverage['covered'] ?? []));
+        $text    = count($covered) . ' of ' . (int) ($coverage['total'] ?? 0) . ' items';
+        if (!empty($covered)) {
+            $text .= ' (' . implode(', ', $covered) . ')';
+        }
+        if (!empty($coverage['mustCover'])) {
+            $text .= empty($coverage['complete'])
+                ? ' — must-cover items missing: ' . implode(', ', array_diff(array_map('intval', $coverage['mustCover']), $covered))
+                : ' — all must-cover items covered';
+        }
+        return $text;
+    }
+
+    /**
+     * Human-readable one-line version of a transcript's post-interview analysis
+     */
+    private function describeAnalysis(array $analysis): string
+    {
+        $parts = [];
+        if (!empty($analysis['sentiment'])) {
+            $parts[] = 'sentiment ' . $analysis['sentiment'];
+        }
+        if (!empty($analysis['codes'])) {
+            $parts[] = 'codes ' . implode('; ', (array) $analysis['codes']);
         }
+        if (!empty($analysis['summary'])) {
+            $parts[] = (string) $analysis['summary'];
+        }
+        return empty($parts) ? 'no result' : implode(' — ', $parts);
+    }
 
-        return $result;
+    /**
+     * Human-readable summary of a transcript's moderation hits
+     */
+    private function describeModeration(array $moderation): string
+    {
+        $text = 'flagged (' . implode(', ', (array) ($moderation['categories'] ?? [])) . ')';
+        if (!empty($moderation['blocked'])) {
+            $text .= ', ' . (int) $moderation['blocked'] . ' respondent message(s) blocked';
+        }
+        if (!empty($moderation['withheld'])) {
+            $text .= ', ' . (int) $moderation['withheld'] . ' interviewer reply(s) withheld';
+        }
+        return $text;
     }
 
     /**
-     * Prepend a language instruction to the first system message (or create one)
+     * " [flagged: self-harm]" for a turn with a moderation hit, " [not screened:
+     * service error]" for one the moderation service could not check, ''
+     * otherwise
      */
-    private function injectLanguageInstruction(array &$messages, string $language): void
+    private function describeTurnModeration(array $turn): string
     {
-        // Sanitise the language code to prevent injection
-        $lang = preg_replace('/[^a-zA-Z\-]/', '', $language);
-        if (empty($lang)) $lang = 'en';
+        if (empty($turn['moderation'])) {
+            return '';
+        }
+        if (isset($turn['moderation']['skipped'])) {
+            return ' [not screened: ' . str_replace('_', ' ', (string) $turn['moderation']['skipped']) . ']';
+        }
+        return ' [' . ($turn['moderation']['action'] ?? 'flagged') . ': '
+             . implode(', ', (array) ($turn['moderation']['categories'] ?? [])) . ']';
+    }
 
-        $instruction = "IMPORTANT: You must conduct this entire interview in the language with BCP-47 code '{$lang}'. "
-                     . "All your responses must be in that language, regardless of what language the user writes in.";
+    /**
+     * " [pasted 120 chars, 4.2 s to first key, 35 s idle]" for a respondent
+     * turn with paradata, '' otherwise
+     */
+    private function describeTurnParadata(array $turn): string
+    {
+        if (empty($turn['paradata']) || !is_array($turn['paradata'])) {
+            return '';
+        }
+        $paradata = $turn['paradata'];
 
-        foreach ($messages as &$msg) {
-            if ($msg['role'] === 'system') {
-                $msg['content'] = $instruction . "\n\n" . $msg['content'];
-                return;
-            }
+        $parts = [];
+        if (!empty($paradata['pasted'])) {
+            $parts[] = 'pasted ' . (int) ($paradata['pastedChars'] ?? 0) . ' chars';
         }
-        unset($msg);
+        if (isset($paradata['latencyMs'])) {
+            $parts[] = round($paradata['latencyMs'] / 1000, 1) . ' s to first key';
+        } else {
+            $parts[] = 'not typed';
+        }
+        if (!empty($paradata['idleMs'])) {
+            $parts[] = round($paradata['idleMs'] / 1000) . ' s idle';
+        }
+        return ' [' . implode(', ', $parts) . ']';
+    }
 
-        // No system message found — prepend one
-        array_unshift($messages, ['role' => 'system', 'content' => $instruction]);
+    /**
+     * " [masked: EMAIL, PHONE]" for a turn with redacted personal data, '' otherwise
+     */
+    private function describeTurnRedaction(array $turn): string
+    {
+        if (empty($turn['redacted'])) {
+            return '';
+        }
+        return ' [masked: ' . implode(', ', (array) $turn['redacted']) . ']';
     }
 
     /**
-     * Call the OpenAI Chat Completions API via cURL (server-side only)
+     * The versions the respondent took back with "Edit last answer" or
+     * "Rephrase question", and answers the server refused (the envelope's
+     * "discarded" list), for the transcript view
      *
-     * @param  string $apiKey
-     * @param  string $model
-     * @param  array  $messages
-     * @param  int    $maxTokens  Total token budget; half is reserved for completion
-     * @return array  On success: ['content', 'tokens_used', 'finish_reason']
-     *                On failure: ['error' => string]
+     * @return array List of ['label', 'at', 'turns' => [['role', 'text'], ...]]
      */
-    private function callOpenAI(string $apiKey, string $model, array $messages, int $maxTokens): array
+    private function getDiscardedVersions(array $transcript): array
     {
-        // Reserve roughly half the budget for the AI's reply
-        $maxCompletionTokens = max(256, (int) ($maxTokens / 2));
+        $labels  = [
+            'edit'     => 'Answer edited — discarded version',
+            'refused'  => 'Answer refused (wrong length) — discarded version',
+            'rephrase' => 'Question rephrased — discarded version',
+        ];
+        $entries = [];
+
+        foreach ((array) ($transcript['discarded'] ?? []) as $entry) {
+            if (!is_array($entry) || !isset($labels[$entry['action'] ?? ''])) continue;
 
-        $payload = json_encode([
-            'model'      => $model,
-            'messages'   => $messages,
-            'max_tokens' => $maxCompletionTokens,
-        ], JSON_UNESCAPED_UNICODE);
+            $turns = [];
+            foreach ((array) ($entry['turns'] ?? []) as $turn) {
+                if (!is_array($turn) || !in_array($turn['role'] ?? null, ['assistant', 'user'], true)) continue;
+                $turns[] = ['role' => $turn['role'], 'text' => (string) ($turn['text'] ?? '')];
+            }
 
-        if ($payload === false) {
-            return ['error' => 'Failed to encode request payload'];
+            $entries[] = [
+                'label' => $labels[$entry['action']],
+                'at'    => (string) ($entry['at'] ?? ''),
+                'turns' => $turns,
+            ];
         }
 
-        $ch = curl_init('https://api.openai.com/v1/chat/completions');
+        return $entries;
+    }
 
-        if ($ch === false) {
-            return ['error' => 'cURL initialisation failed'];
+    /**
+     * Render a transcript as plain text
+     */
+    private function renderTranscriptText(string $title, array $transcript): string
+    {
+        $lines   = [];
+        $lines[] = $title;
+        $lines[] = str_repeat('=', mb_strlen($title));
+        $lines[] = 'Status: ' . $this->describeTranscriptStatus($transcript);
+        $lines[] = 'Tokens used: ' . $transcript['tokensUsed'];
+        if (!empty($transcript['coverage'])) {
+            $lines[] = 'Guide coverage: ' . $this->describeCoverage($transcript['coverage']);
+        }
+        if (!empty($transcript['analysis'])) {
+            $lines[] = 'Analysis: ' . $this->describeAnalysis($transcript['analysis']);
+        }
+        if (!empty($transcript['moderation'])) {
+            $lines[] = 'Moderation: ' . $this->describeModeration($transcript['moderation']);
+        }
+        $lines[] = '';
+
+        foreach ($transcript['turns'] as $turn) {
+            $speaker = $turn['role'] === 'assistant' ? 'Interviewer' : 'Respondent';
+            $lines[] = ($turn['ts'] ? '[' . $turn['ts'] . '] ' : '') . $speaker . ':' . $this->describeTurnModeration($turn) . $this->describeTurnRedaction($turn)
+                     . $this->describeTurnParadata($turn);
+            foreach (preg_split('/\r\n|\n/', $turn['text']) as $textLine) {
+                $lines[] = '    ' . $textLine;
+            }
+            $lines[] = '';
         }
 
-        curl_setopt_array($ch, [
-            CURLOPT_RETURNTRANSFER => true,
-            CURLOPT_POST           => true,
-            CURLOPT_POSTFIELDS     => $payload,
-            CURLOPT_TIMEOUT        => 90,
-            CURLOPT_CONNECTTIMEOUT => 15,
-            CURLOPT_HTTPHEADER     => [
-                'Content-Type: application/json',
-                'Authorization: Bearer ' . $apiKey,
-                'User-Agent: LimeSurvey-AIInterview/1.0',
-            ],
-            // Verify SSL certificate (important for security)
-            CURLOPT_SSL_VERIFYPEER => true,
-            CURLOPT_SSL_VERIFYHOST => 2,
-        ]);
+        foreach ($this->getDiscardedVersions($transcript) as $entry) {
+            $lines[] = '--- ' . $entry['label'] . ($entry['at'] !== '' ? ' [' . $entry['at'] . ']' : '') . ' ---';
+            foreach ($entry['turns'] as $turn) {
+                $lines[] = ($turn['role'] === 'assistant' ? 'Interviewer' : 'Respondent') . ':';
+                foreach (preg_split('/\r\n|\n/', $turn['text']) as $textLine) {
+                    $lines[] = '    ' . $textLine;
+                }
+            }
+            $lines[] = '';
+        }
 
-        $response  = curl_exec($ch);
-        $httpCode  = curl_getinfo($ch, CURLINFO_HTTP_CODE);
-        $curlError = curl_error($ch);
-        curl_close($ch);
+        return rtrim(implode("\n", $lines));
+    }
 
-        if ($curlError) {
-            return ['error' => 'Network error contacting AI service: ' . $curlError];
+    /**
+     * Render a transcript as an HTML fragment (all text is escaped)
+     */
+    private function renderTranscriptHtml(string $title, array $transcript): string
+    {
+        $e = function (string $text): string {
+            return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+        };
+
+        $html  = '<section style="margin-bottom:2em;">';
+        $html .= '<h2>' . $e($title) . '</h2>';
+        $html .= '<p><strong>Status:</strong> ' . $e($this->describeTranscriptStatus($transcript))
+               . ' &middot; <strong>Tokens used:</strong> ' . (int) $transcript['tokensUsed'] . '</p>';
+        if (!empty($transcript['coverage'])) {
+            $html .= '<p><strong>Guide coverage:</strong> ' . $e($this->describeCoverage($transcript['coverage'])) . '</p>';
         }
-
-        if ($response === false || $response === '') {
-            return ['error' => 'Empty response from AI service'];
+        if (!empty($transcript['analysis'])) {
+            $html .= '<p><strong>Analysis:</strong> ' . $e($this->describeAnalysis($transcript['analysis'])) . '</p>';
+        }
+        if (!empty($transcript['moderation'])) {
+            $html .= '<p><strong>Moderation:</strong> ' . $e($this->describeModeration($transcript['moderation'])) . '</p>';
         }
 
-        $data = json_decode($response, true);
-
-        if ($httpCode !== 200) {
-            $errMsg = isset($data['error']['message'])
-                      ? $data['error']['message']
-                      : 'HTTP ' . $httpCode;
-            return ['error' => 'AI service error: ' . $errMsg];
+        foreach ($transcript['turns'] as $turn) {
+            $speaker = $turn['role'] === 'assistant' ? 'Interviewer' : 'Respondent';
+            $html .= '<div style="margin:0.75em 0;">'
+                   . '<strong>' . $e($speaker) . '</strong>'
+                   . ($turn['ts'] ? ' <small style="color:#6b7280;">' . $e($turn['ts']) . '</small>' : '')
+                   . (!empty($turn['moderation']) ? ' <small style="color:#dc2626;">' . $e(trim($this->describeTurnModeration($turn))) . '</small>' : '')
+                   . (!empty($turn['redacted']) ? ' <small style="color:#6b7280;">' . $e(trim($this->describeTurnRedaction($turn))) . '</small>' : '')
+                   . (!empty($turn['paradata']) ? ' <small style="color:#6b7280;">' . $e(trim($this->describeTurnParadata($turn))) . '</small>' : '')
+                   . '<div style="white-space:pre-wrap;">' . $e($turn['text']) . '</div>'
+                   . '</div>';
         }
 
-        if (empty($data['choices'][0]['message']['content'])) {
-            return ['error' => 'The AI returned an empty response. Please try again.'];
+        foreach ($this->getDiscardedVersions($transcript) as $entry) {
+            $html .= '<div style="margin:0.75em 0;padding-left:0.75em;border-left:3px solid #d1d5db;color:#6b7280;">'
+                   . '<small>' . $e($entry['label']) . ($entry['at'] !== '' ? ' &middot; ' . $e($entry['at']) : '') . '</small>';
+            foreach ($entry['turns'] as $turn) {
+                $html .= '<div><strong>' . ($turn['role'] === 'assistant' ? 'Interviewer' : 'Respondent') . '</strong>'
+                       . '<div style="white-space:pre-wrap;"><s>' . $e($turn['text']) . '</s></div></div>';
+            }
+            $html .= '</div>';
         }
 
-        return [
-            'content'      => $data['choices'][0]['message']['content'],
-            'tokens_used'  => (int) ($data['usage']['total_tokens'] ?? 0),
-            'finish_reason'=> (string) ($data['choices'][0]['finish_reason'] ?? 'stop'),
-        ];
+        return $html . '</section>';
     }
 
+    // =========================================================================
+    // PILOT RUNS
+    //
+    // handlePilotRequest() lets researchers try a question's interviewer on
+    // simulated respondents before real ones see it. A second model call plays
+    // each respondent from a persona the researcher describes; the interviewer
+    // side is built exactly as in handleChatRequest(): the same system prompt,
+    // guide, answer rules, turn limit instruction, control markers and token
+    // budget. What a pilot leaves out: Expression Manager values (unresolved
+    // placeholders are removed and listed in the report), interview threads,
+    // moderation, PII redaction and running summaries. Nothing is stored in
+    // the survey.
+    //
+    // A pilot is one synchronous request, so before every model call it checks
+    //   - a wall-clock deadline, PILOT_CALL_RESERVE seconds (the longest a
+    //     call with its retries may take) before PHP's time limit
+    //   - the survey's daily_token_cap, against the respondents' and pilots'
+    //     tokens of the day together
+    // and stops early when either is reached: the report then holds the runs
+    // so far and "truncated" names the reason. Pilot tokens are counted apart
+    // from the respondents' (see getDailyTokenUsage()), so a pilot on a
+    // fielding day never locks respondents out, and no pilot goes past the cap.
+    //
+    // A simulated respondent ends the interview by replying [[FINISH]], which
+    // it is offered once the answer rules would enable Finish Interview.
+    // Answers the chat endpoint would refuse for their length are counted in
+    // "refusedAnswers" and kept, cut to the maximum length, so the interview
+    // can go on. Without a maximum number of answers a run stops after
+    // PILOT_MAX_ANSWERS (endReason "pilot_cap").
+    //
+    // The methods are in the AIInterviewPilot trait (src/AIInterviewPilot.php).
+    // =========================================================================
+
+    private const PILOT_MAX_INTERVIEWS     = 20;
+    private const PILOT_DEFAULT_INTERVIEWS = 5;
+    private const PILOT_MAX_ANSWERS        = 15;
+    private const PILOT_ANSWER_TOKENS      = 400;
+    private const PILOT_TIME_LIMIT         = 900;
+    private const PILOT_CALL_RESERVE       = 240;
+
+    /** Marker a simulated respondent writes to press Finish Interview */
+    private const PILOT_MARKER_FINISH = 'FINISH';
+
+    private const PILOT_DEFAULT_PERSONA = 'Typical respondent: an ordinary member of the target group '
+        . 'who answers honestly, in a few sentences, without special knowledge of the topic.';
+
+    private const PILOT_RESPONDENT_PROMPT = "You are taking part in a research interview as this person:\n%s\n\n"
+        . 'Stay in character. Answer the interviewer\'s latest message as this person would type it into a survey: '
+        . 'usually one to four sentences, with their knowledge, opinions, mood and writing style. '
+        . 'Never mention that you are simulated or an AI, and never write the interviewer\'s part.';
+
+    // =========================================================================
+    // POST-INTERVIEW ANALYSIS
+    //
+    // A submitted response is queued (afterSurveyComplete()) and analysed
+    // later, so the respondent never waits for the model:
+    //   - by LimeSurvey's console cron, which fires the plugins' cron event
+    //   - or from the survey's analysis page (function=analyse), by hand
+    // Each run handles up to ANALYSIS_BATCH_SIZE responses. An entry is leased
+    // while it is analysed and only deleted once every answer has its
+    // analysis; a failed one goes back to the queue, and after
+    // ANALYSIS_MAX_ATTEMPTS the cron leaves it to the analysis page.
+    //
+    // The methods are in the AIInterviewAnalysis trait (src/AIInterviewAnalysis.php).
+    // =========================================================================
+
+    /** Sentiment labels the analysis may return */
+    private const ANALYSIS_SENTIMENTS = ['positive', 'neutral', 'negative', 'mixed'];
+
+    /** Longest result of one analysis call, in tokens */
+    private const ANALYSIS_MAX_TOKENS = 1500;
+
+    /** Responses analysed per run of the queue, and the seconds a run may take */
+    private const ANALYSIS_BATCH_SIZE = 20;
+    private const ANALYSIS_TIME_LIMIT = 240;
+
+    /** Seconds a queue entry stays claimed by a run (longer than any run takes) */
+    private const ANALYSIS_LEASE = 600;
+
+    /** Failed attempts after which only the analysis page retries a response */
+    private const ANALYSIS_MAX_ATTEMPTS = 3;
+
+    /** Submitted responses waiting for analysis (see ensurePluginTables()) */
+    private const ANALYSIS_QUEUE_TABLE = '{{aiinterview_analysis_queue}}';
+
     // =========================================================================
     // HELPERS
+    //
+    // Helpers that need neither the plugin's settings nor a database are
+    // static methods of AIInterviewHelpers (src/AIInterviewHelpers.php),
+    // which has unit tests.
     // =========================================================================
 
+    /**
+     * Return every AI Interview question in a survey, in survey order
+     *
+     * @return Question[]
+     */
+    private function getInterviewQuestions(int $surveyId): array
+    {
+        $questions = Question::model()->findAll([
+            'condition' => 'sid = :sid AND parent_qid = 0',
+            'params'    => [':sid' => $surveyId],
+        ]);
+
+        $result = [];
+        foreach ($questions as $oQuestion) {
+            if ($this->isInterviewQuestion($oQuestion)) {
+                $result[] = $oQuestion;
+            }
+        }
+
+        // Survey order: group order first, then question order within the group
+        usort($result, function ($a, $b) {
+            $groupA = (int) ($a->group->group_order ?? 0);
+            $groupB = (int) ($b->group->group_order ?? 0);
+            return $groupA === $groupB
+                ? (int) $a->question_order - (int) $b->question_order
+                : $groupA - $groupB;
+        });
+
+        return $result;
+    }
+
     /**
      * Return the default system prompt displayed in the question editor
      */
@@ -1189,7 +5409,7 @@ Guidelines:
 - Ask 5–7 open-ended questions, one at a time. Wait for the respondent's answer before asking the next question.
 - Follow up on interesting, unclear, or incomplete answers with probing questions (e.g. "Can you tell me more about that?").
 - Be warm, professional, and neutral — do not express personal opinions or judgements.
-- When you have gathered sufficient information on all your questions, thank the respondent warmly and explicitly instruct them: "Please press the Finish Interview button to save your responses."
+- When you have gathered sufficient information on all your questions, thank the respondent warmly and say goodbye. The interview then ends automatically.
 
 Start the interview now by introducing yourself and asking your first question.
 PROMPT;
@@ -1208,6 +5428,150 @@ PROMPT;
         return (string) Yii::app()->language;
     }
 
+    /**
+     * Per-respondent plugin state, returned by reference.
+     *
+     * Lives inside LimeSurvey's survey session so it starts fresh with every new
+     * response. Admins previewing a question have no survey session, so they
+     * get a separate slot instead.
+     */
+    private function &getSessionState(int $surveyId): array
+    {
+        if (isset($_SESSION['survey_' . $surveyId]) && is_array($_SESSION['survey_' . $surveyId])) {
+            $container = &$_SESSION['survey_' . $surveyId];
+        } else {
+            $container = &$_SESSION['aiinterview_preview_' . $surveyId];
+        }
+
+        if (!isset($container['aiinterview']) || !is_array($container['aiinterview'])) {
+            $container['aiinterview'] = [];
+        }
+        return $container['aiinterview'];
+    }
+
+    /**
+     * Tokens spent so far on a question in this survey session
+     */
+    private function getTokenLedger(int $surveyId, int $questionId): int
+    {
+        $state = &$this->getSessionState($surveyId);
+        return (int) ($state['tokens'][$questionId] ?? 0);
+    }
+
+    /**
+     * Add tokens to a question's ledger and return the new total
+     */
+    private function chargeTokenLedger(int $surveyId, int $questionId, int $tokens): int
+    {
+        $state = &$this->getSessionState($surveyId);
+        $state['tokens'][$questionId] = (int) ($state['tokens'][$questionId] ?? 0) + max(0, $tokens);
+        return $state['tokens'][$questionId];
+    }
+
+    /**
+     * Start a question's ledger again from zero (admin preview only)
+     */
+    private function resetTokenLedger(int $surveyId, int $questionId): void
+    {
+        $state = &$this->getSessionState($surveyId);
+        unset($state['tokens'][$questionId]);
+    }
+
+    /**
+     * Rough token count for a piece of text (about four characters per token
+     * for English with OpenAI tokenizers). Used where the provider reports
+     * no usage.
+     */
+    private function estimateTokens(string $text): int
+    {
+        return (int) ceil(mb_strlen($text) / 4);
+    }
+
+    /**
+     * Rough token count for a chat message list, including per-message overhead
+     */
+    private function estimateMessagesTokens(array $messages): int
+    {
+        $total = 0;
+        foreach ($messages as $msg) {
+            $total += 4 + $this->estimateTokens((string) $msg['content']);
+        }
+        return $total;
+    }
+
+    /**
+     * Whether streamed replies are enabled in the plugin settings
+     */
+    private function isStreamingEnabled(): bool
+    {
+        return (bool) $this->get('enable_streaming', null, null, 1) && function_exists('curl_init');
+    }
+
+    /**
+     * Start a server-sent events response.
+     *
+     * Output buffering (PHP's and any proxy's) must be switched off, otherwise
+     * the chunks only reach the browser once the whole reply is complete.
+     */
+    private function beginEventStream(): void
+    {
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+        @ini_set('zlib.output_compression', '0');
+
+        http_response_code(200);
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('X-Content-Type-Options: nosniff');
+        header('Cache-Control: no-store, no-cache, must-revalidate');
+        header('Pragma: no-cache');
+        // Tell nginx not to buffer this response
+        header('X-Accel-Buffering: no');
+    }
+
+    /**
+     * Write one server-sent event and flush it to the client
+     */
+    private function sendStreamEvent(string $event, array $data): void
+    {
+        echo 'event: ' . $event . "\n";
+        echo 'data: ' . json_encode($data, JSON_UNESCAPED_UNICODE) . "\n\n";
+        flush();
+    }
+
+    /**
+     * Send a non-JSON HTTP response (optionally as a download) and terminate execution
+     */
+    private function sendTextResponse(string $body, string $contentType, ?string $filename = null): void
+    {
+        http_response_code(200);
+        header('Content-Type: ' . $contentType . '; charset=utf-8');
+        header('X-Content-Type-Options: nosniff');
+        header('Cache-Control: no-store, no-cache, must-revalidate');
+        if ($filename !== null) {
+            header('Content-Disposition: attachment; filename="' . $filename . '"');
+        }
+        echo $body;
+        Yii::app()->end();
+    }
+
+    /**
+     * Start a file download whose body the caller writes to php://output
+     * (and then ends the request)
+     */
+    private function beginDownload(string $contentType, string $filename): void
+    {
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        http_response_code(200);
+        header('Content-Type: ' . $contentType . '; charset=utf-8');
+        header('X-Content-Type-Options: nosniff');
+        header('Cache-Control: no-store, no-cache, must-revalidate');
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+    }
+
     /**
      * Send a JSON HTTP response and terminate execution
      */
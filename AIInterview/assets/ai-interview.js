@@ -2,8 +2,9 @@
  * AI Interview Widget — LimeSurvey Plugin
  *
  * Manages the chat UI for each AI Interview question on the page.
- * Communicates with the server-side OpenAI proxy endpoint.
- * The API key is NEVER present in this file or in the page HTML.
+ * Communicates with the server-side AI proxy endpoint.
+ * The API key and the interviewer prompt are NEVER present in this file or
+ * in the page HTML — the proxy loads the prompt by question ID.
  *
  * @version 1.5.0
  */
@@ -11,6 +12,9 @@
 (function () {
     'use strict';
 
+    // Widget instances on the page by SGQA code (see window.AIInterview)
+    var instances = {};
+
     // =========================================================================
     // Initialise all widgets on the page
     // =========================================================================
@@ -36,14 +40,28 @@
         var ajaxUrl    = widget.dataset.ajaxUrl;
         var language   = widget.dataset.language || 'en';
         var mandatory  = widget.dataset.mandatory === '1';
+        var streaming  = widget.dataset.streaming === '1';
+        var autostart  = widget.dataset.autostart !== '0';
 
         // Survey ID — read from the hidden answer field's form or from data attribute
         var surveyId   = widget.dataset.surveyId || getSurveyIdFromPage();
 
-        // Prompt and token budget — read from data attributes (set by PHP/Twig)
-        // These are injected by the plugin's beforeQuestionRender or by the Twig template
-        var prompt     = widget.dataset.prompt || '';
+        // Question ID and token budget — read from data attributes (set by PHP)
+        // These are injected by the plugin's afterRenderQuestion / beforeQuestionRender
+        var questionId = parseInt(widget.dataset.questionId, 10) || 0;
         var maxTokens  = parseInt(widget.dataset.maxTokens, 10) || 6000;
+        var guideItems = parseInt(widget.dataset.guideItems, 10) || 0;
+
+        // Answer rules (0 = off) — the server enforces the number of answers
+        // and their length as well
+        var minTurns   = parseInt(widget.dataset.minTurns, 10)  || 0;
+        var maxTurns   = parseInt(widget.dataset.maxTurns, 10)  || 0;
+        var minLength  = parseInt(widget.dataset.minLength, 10) || 0;
+        var maxLength  = parseInt(widget.dataset.maxLength, 10) || 0;
+        var minWords   = parseInt(widget.dataset.minWords, 10)  || 0;
+
+        // Everything shown to the respondent, in the survey language (see t())
+        var strings    = parseStrings(widget.dataset.strings);
 
         console.log('AIInterview: Initialising widget', {
             sgqa: sgqa,
@@ -51,7 +69,9 @@
             surveyId: surveyId,
             language: language,
             maxTokens: maxTokens,
-            hasPrompt: !!prompt
+            streaming: streaming,
+            questionId: questionId,
+            answerRules: { minTurns: minTurns, maxTurns: maxTurns, minLength: minLength, maxLength: maxLength, minWords: minWords }
         });
 
         // DOM references — all keyed by SGQA code
@@ -65,6 +85,14 @@
         var finishBtn     = document.getElementById('ai-finish-'        + sgqa);
         var answerField   = document.getElementById('answer'            + sgqa);
         var tokensUsedEl  = document.getElementById('ai-tokens-used-'   + sgqa);
+        var progressEl    = document.getElementById('ai-progress-'      + sgqa);
+        var progressFill  = document.getElementById('ai-progress-fill-' + sgqa);
+        var progressLabel = document.getElementById('ai-progress-label-' + sgqa);
+        var supportEl     = document.getElementById('ai-support-'       + sgqa);
+        var editBtn       = document.getElementById('ai-edit-'          + sgqa);
+        var rephraseBtn   = document.getElementById('ai-rephrase-'      + sgqa);
+        var counterEl     = document.getElementById('ai-counter-'       + sgqa);
+        var statusEl      = document.getElementById('ai-status-'        + sgqa);
 
         // Validate required DOM elements
         if (!messagesEl || !inputEl || !sendBtn || !answerField) {
@@ -77,20 +105,12 @@
             return;
         }
 
-        // If no prompt is set on the widget, try to read it from the answer field's
-        // data attributes (injected by the PHP plugin via beforeQuestionRender)
-        if (!prompt && answerField) {
-            prompt = answerField.dataset.prompt || '';
-        }
-
-        // Conversation history sent to the API (includes system prompt)
+        // Conversation history sent to the API. The system prompt is added
+        // server-side, so this only ever holds assistant and user turns.
         var conversationHistory = [];
-        if (prompt) {
-            conversationHistory.push({ role: 'system', content: prompt });
-        }
 
-        // Plain-text transcript lines for the answer field
-        var transcriptLines = [];
+        // Structured transcript stored in the answer field (see serializeTranscript)
+        var transcript = createTranscript();
 
         // Running token count
         var tokensUsed = 0;
@@ -98,6 +118,53 @@
         // Whether the interview has been finished
         var finished = false;
 
+        // Whether a reply is in flight or still owed after a failed call
+        var awaitingReply = false;
+
+        // How the respondent's next message is being written: timing, key
+        // presses, pastes (see startParadata())
+        var paradata = null;
+
+        // The interviewer message the respondent asked to have rephrased,
+        // until the new version has arrived (kept for Retry)
+        var pendingRephrase = null;
+
+        // Interviewer replies "Edit last answer" has removed since the last
+        // reply arrived; the server forgets them when the next one does
+        var repliesTakenBack = 0;
+
+        // Whether the input box gets the focus back when the pending reply
+        // arrives — only when the respondent asked for it, never on page load
+        var returnFocus = false;
+
+        // Whether the interview waits for the survey's script to call start()
+        // (see the ai_interview_autostart attribute)
+        var waitingToStart = false;
+
+        // Survey authors' handle on this widget (see window.AIInterview)
+        instances[sgqa] = {
+            sgqa:          sgqa,
+            element:       widget,
+            getState:      getState,
+            getTranscript: function () {
+                return JSON.parse(serializeTranscript(transcript));
+            },
+            getTokenUsage: function () {
+                return { used: tokensUsed, max: maxTokens };
+            },
+            start:         startInterview,
+            finish:        function () {
+                if (finished) return false;
+                finishInterview('script');
+                return true;
+            },
+            skip:          function () {
+                if (finished) return false;
+                skipInterview('script');
+                return true;
+            }
+        };
+
         // -----------------------------------------------------------------------
         // Pre-populate the hidden answer field with a placeholder so that
         // LimeSurvey's mandatory-question validation does not block the Next
@@ -109,42 +176,41 @@
         }
 
         // -----------------------------------------------------------------------
-        // Check for existing answer (resume after back-navigation)
+        // Check for an existing answer (back-navigation or reload). Only an
+        // interview that was actually concluded is shown read-only; anything
+        // else is resumed so the respondent can carry on where they left off.
         // -----------------------------------------------------------------------
+        updateProgress(null);
+        updateCounter();
+
+        var savedTranscript = null;
         if (answerField && answerField.value.trim()
                 && answerField.value.trim() !== '[AI Interview in progress]') {
-            restoreFromTranscript(answerField.value.trim());
-            return; // Don't re-start the interview
+            savedTranscript = parseTranscript(answerField.value.trim());
+            if (savedTranscript.status === 'concluded') {
+                restoreFromTranscript(savedTranscript);
+                emit('ready', { state: getState() });
+                return; // Don't re-start the interview
+            }
         }
 
         // -----------------------------------------------------------------------
-        // Start the interview — fetch the AI's opening message
+        // Start the interview — fetch the AI's opening message, or pick up a
+        // previously started conversation
         // -----------------------------------------------------------------------
-        if (prompt) {
-            setLoading(true);
-            callAI(function (reply, newTokens, finishReason) {
-                setLoading(false);
-                tokensUsed += newTokens;
-                if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
-
-                appendMessage('assistant', reply);
-                conversationHistory.push({ role: 'assistant', content: reply });
-                transcriptLines.push('Interviewer: ' + reply);
-                updateAnswerField();
-
-                // Show finish button after the first AI message
-                if (finishBtn) finishBtn.style.display = 'inline-block';
-
-                checkTokenBudget();
-            }, function (errMsg) {
-                setLoading(false);
-                showError(errMsg);
-                // Even if the AI fails, allow the respondent to proceed
-                // by keeping the placeholder value in the answer field.
-            });
+        if (savedTranscript && savedTranscript.turns.length > 0) {
+            resumeFromTranscript(savedTranscript);
+        } else if (!questionId) {
+            // Widget rendered without a question ID — show a configuration error
+            showError(t('errorNotConfigured'), true, 'not_configured');
+        } else if (autostart) {
+            // Even if the AI fails, the placeholder value in the answer field
+            // still allows the respondent to proceed.
+            requestReply();
         } else {
-            // No prompt configured — show a configuration error
-            showError('AI Interview is not configured. Please contact the survey administrator.');
+            // The survey's own script starts the interview
+            waitingToStart = true;
+            if (inputAreaEl) inputAreaEl.style.display = 'none';
         }
 
         // -----------------------------------------------------------------------
@@ -164,37 +230,66 @@
             }
         });
 
+        // -----------------------------------------------------------------------
+        // Paradata — stored with each respondent turn for data-quality checks
+        // -----------------------------------------------------------------------
+        inputEl.addEventListener('keydown', function () {
+            if (paradata) paradata.keystrokes++;
+            noteActivity();
+        });
+        inputEl.addEventListener('input', function () {
+            if (paradata && paradata.typingStartedAt === null && inputEl.value !== '') {
+                paradata.typingStartedAt = Date.now();
+            }
+            noteActivity();
+            updateCounter();
+        });
+        inputEl.addEventListener('paste', function (e) {
+            if (!paradata) return;
+            var pastedText = e.clipboardData ? e.clipboardData.getData('text') : '';
+            paradata.pasted       = true;
+            paradata.pastedChars += pastedText.length;
+        });
+        document.addEventListener('visibilitychange', noteVisibility);
+
+        // -----------------------------------------------------------------------
+        // Edit last answer / Rephrase question
+        // -----------------------------------------------------------------------
+        if (editBtn) {
+            editBtn.addEventListener('click', function () {
+                editLastAnswer();
+            });
+        }
+        if (rephraseBtn) {
+            rephraseBtn.addEventListener('click', function () {
+                rephraseQuestion();
+            });
+        }
+
         // -----------------------------------------------------------------------
         // Finish Interview button
         // -----------------------------------------------------------------------
         if (finishBtn) {
             finishBtn.addEventListener('click', function () {
-                finishInterview();
+                if (!requirementsMet()) return;
+                finishInterview('manual');
             });
         }
 
         // -----------------------------------------------------------------------
-        // Retry button (inside error banner) — re-attempts the opening AI call
+        // Retry button (inside error banner) — re-requests the reply that
+        // failed. The conversation already holds the respondent's message, so
+        // nothing is sent or recorded twice.
         // -----------------------------------------------------------------------
         var retryBtn = document.getElementById('ai-retry-' + sgqa);
         if (retryBtn) {
             retryBtn.addEventListener('click', function () {
+                markFailedMessage(false);
+                returnFocus = true;
+                // setLoading() moves the focus to the input box before the
+                // banner, and this button, are hidden
+                requestReply();
                 if (errorEl) errorEl.style.display = 'none';
-                setLoading(true);
-                callAI(function (reply, newTokens, finishReason) {
-                    setLoading(false);
-                    tokensUsed += newTokens;
-                    if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
-                    appendMessage('assistant', reply);
-                    conversationHistory.push({ role: 'assistant', content: reply });
-                    transcriptLines.push('Interviewer: ' + reply);
-                    updateAnswerField();
-                    if (finishBtn) finishBtn.style.display = 'inline-block';
-                    checkTokenBudget();
-                }, function (errMsg) {
-                    setLoading(false);
-                    showError(errMsg);
-                });
             });
         }
 
@@ -209,15 +304,17 @@
         });
 
         // -----------------------------------------------------------------------
-        // Prevent form submission if mandatory and not started/finished
+        // Prevent form submission if mandatory and the answer rules' minimums
+        // have not been met (unless the interview has ended)
         // -----------------------------------------------------------------------
         if (mandatory) {
             var form = widget.closest('form');
             if (form) {
                 form.addEventListener('submit', function (e) {
-                    if (!finished && transcriptLines.length < 2) {
+                    if (!finished && !requirementsMet()) {
                         e.preventDefault();
                         e.stopPropagation();
+                        announce(t('finishHint', { missing: missingRequirements() }));
                         inputEl.focus();
                         inputEl.style.borderColor = '#dc2626';
                         setTimeout(function () {
@@ -228,50 +325,244 @@
             }
         }
 
+        emit('ready', { state: getState() });
+
         // =====================================================================
         // Core functions
         // =====================================================================
 
+        /**
+         * Start an interview that waits for the survey's script (autostart
+         * off). Returns false if it has already started.
+         */
+        function startInterview() {
+            if (!waitingToStart) return false;
+            waitingToStart = false;
+            if (inputAreaEl) inputAreaEl.style.display = '';
+            requestReply();
+            return true;
+        }
+
         function sendUserMessage() {
-            if (finished) return;
+            if (finished || awaitingReply) return;
 
             var text = inputEl.value.trim();
             if (!text) return;
 
+            // Too short or too long: the counter says why
+            if (lengthProblem(text)) {
+                updateCounter();
+                inputEl.focus();
+                return;
+            }
+
             // Append user message to UI
             appendMessage('user', text);
             conversationHistory.push({ role: 'user', content: text });
-            transcriptLines.push('User: ' + text);
-            updateAnswerField();
+            var turnParadata = takeParadata();
+            recordTurn('user', text, 0, turnParadata ? { paradata: turnParadata } : null);
 
             inputEl.value = '';
-            setLoading(true);
+            updateCounter();
 
             // Get AI response
-            callAI(function (reply, newTokens, finishReason) {
+            returnFocus = true;
+            requestReply();
+        }
+
+        /**
+         * Ask the interviewer for its next turn and record it.
+         * With streaming enabled the assistant bubble is created on the first
+         * chunk and grows as text arrives; history and transcript are only
+         * updated once the complete reply is known, so they never contain a
+         * partial message.
+         */
+        function requestReply() {
+            var streamBubble = null;
+
+            awaitingReply = true;
+            setLoading(true);
+            callAI(function (reply, newTokens, finishReason, data) {
+                awaitingReply    = false;
+                pendingRephrase  = null;
+                repliesTakenBack = 0;
                 setLoading(false);
-                tokensUsed += newTokens;
+                // The server keeps the authoritative running total
+                tokensUsed = typeof data.totalTokensUsed === 'number'
+                    ? data.totalTokensUsed
+                    : tokensUsed + newTokens;
                 if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
 
-                appendMessage('assistant', reply);
-                conversationHistory.push({ role: 'assistant', content: reply });
-                transcriptLines.push('Interviewer: ' + reply);
-                updateAnswerField();
+                applyRedaction(data.redaction);
+                if (data.previewWarning) showPreviewWarning(data.previewWarning);
 
-                checkTokenBudget();
-            }, function (errMsg) {
+                // Content moderation: record hits and show the researcher's
+                // support resources when the server sends them
+                applyModeration(data.moderation);
+                if (data.supportResources) showSupportResources(data.supportResources);
+
+                // The respondent's message was blocked and never reached the
+                // interviewer — the interview ends here
+                if (data.moderationBlocked === true) {
+                    finishInterview('moderation');
+                    return;
+                }
+
+                if (!reply) {
+                    // Nothing but a control marker (e.g. interview complete)
+                    if (streamBubble) messagesEl.removeChild(streamBubble.parentNode);
+                } else if (streamBubble) {
+                    // The server's final text is authoritative. The bubble was
+                    // hidden from screen readers while it grew, so the whole
+                    // reply is announced once
+                    streamBubble.textContent = reply;
+                    streamBubble.parentNode.classList.remove('ai-message-streaming');
+                    streamBubble.parentNode.removeAttribute('aria-hidden');
+                    announce(t('announceMessage', { name: t('interviewer'), text: reply }));
+                } else {
+                    appendMessage('assistant', reply);
+                }
+                // Interview guide coverage is tracked by the server
+                if (data.coverage) {
+                    transcript.coverage = data.coverage;
+                    updateProgress(data.coverage);
+                }
+
+                if (reply) {
+                    var extra = {};
+                    if (data.turnCoverage) extra.covered = data.turnCoverage;
+                    if (data.moderation && data.moderation.output) extra.moderation = data.moderation.output;
+                    conversationHistory.push({ role: 'assistant', content: reply });
+                    recordTurn('assistant', reply, newTokens, extra);
+                    startParadata();
+                }
+                updateReviseButtons();
+
+                // Show finish button after the first AI message
+                if (finishBtn) finishBtn.style.display = 'inline-block';
+                restoreFocus();
+
+                // That was the last answer the question allows
+                if (data.turnLimitReached === true) {
+                    finishInterview('turns');
+                    return;
+                }
+
+                // The interviewer said goodbye — end without waiting for the
+                // respondent to press Finish
+                if (data.interviewComplete === true) {
+                    finishInterview('ai');
+                    return;
+                }
+
+                checkTokenBudget(data.budgetExhausted === true);
+            }, function (errMsg, data) {
+                // Drop any partially streamed reply — it is not part of the interview
+                if (streamBubble) {
+                    messagesEl.removeChild(streamBubble.parentNode);
+                    streamBubble = null;
+                }
                 setLoading(false);
-                showError(errMsg);
+
+                // A withheld reply is recorded like any other moderation hit
+                applyRedaction(data.redaction);
+                applyModeration(data.moderation);
+                if (data.redaction || data.moderation) updateAnswerField();
+                if (data.supportResources) showSupportResources(data.supportResources);
+
+                // The server refused the call because the budget is used up —
+                // this is the normal end of a long interview, not an error
+                if (data.code === 'budget_exhausted') {
+                    awaitingReply = false;
+                    if (typeof data.tokensUsed === 'number') tokensUsed = data.tokensUsed;
+                    if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
+                    checkTokenBudget(true);
+                    return;
+                }
+
+                // The answer rules were broken, which the widget normally
+                // prevents: past the last answer the interview is over, an
+                // answer of the wrong length goes back into the input box
+                if (data.code === 'turn_limit') {
+                    awaitingReply = false;
+                    finishInterview('turns');
+                    return;
+                }
+                if (data.code === 'answer_length') {
+                    editLastAnswer('refused');
+                    showError(errMsg, false, data.code);
+                    return;
+                }
+
+                // The server has no copy of the message left to reword: it
+                // comes back, to be answered as it is
+                if (data.code === 'rephrase_unavailable') {
+                    awaitingReply = false;
+                    restoreRephrased();
+                    showError(errMsg, false, data.code);
+                    return;
+                }
+
+                // Throttled by the server's abuse protection. The turn limit
+                // ends the interview like a used-up budget; the other limits
+                // are explained in the error banner (the server's message is
+                // meant for respondents).
+                var rateLimited = data.code === 'rate_limited';
+                if (rateLimited && data.reason === 'turns_per_question') {
+                    awaitingReply = false;
+                    checkTokenBudget(true);
+                    return;
+                }
+
+                // The reply is still owed: keep the respondent's message and
+                // wait for Retry rather than letting a second message pile up
+                // behind it. A failed opening message is owed too, so the
+                // input stays locked until Retry (or Skip) even then.
+                sendBtn.disabled = true;
+                inputEl.disabled = true;
+                if (conversationHistory.length > 0) markFailedMessage(true);
+                showError(errMsg, rateLimited ? data.reason !== 'daily_cap' : data.retryable !== false, data.code);
+                if (rateLimited && data.retryAfter) {
+                    pauseRetry(data.retryAfter);
+                }
+                updateReviseButtons();
+            }, function (text) {
+                if (!streamBubble) {
+                    if (typingEl) typingEl.style.display = 'none';
+                    streamBubble = appendMessage('assistant', '');
+                    streamBubble.parentNode.classList.add('ai-message-streaming');
+                    streamBubble.parentNode.setAttribute('aria-hidden', 'true');
+                }
+                streamBubble.textContent += text;
+                messagesEl.scrollTop = messagesEl.scrollHeight;
             });
         }
 
-        function callAI(onSuccess, onError) {
+        /**
+         * POST the conversation to the server-side proxy.
+         *
+         * onDelta is optional: when given and streaming is enabled, the server
+         * relays the reply as server-sent events and onDelta receives each text
+         * chunk before onSuccess fires with the full reply. If the server
+         * answers with plain JSON instead (streaming disabled, or an error before
+         * the first chunk), this behaves exactly like a one-shot request.
+         */
+        function callAI(onSuccess, onError, onDelta) {
             var sid = surveyId ? parseInt(surveyId, 10) : 0;
+            var useStream = streaming && typeof onDelta === 'function';
             var jsonPayload = JSON.stringify({
-                surveyId:  sid,
-                messages:  conversationHistory,
-                maxTokens: maxTokens,
-                language:  language
+                surveyId:   sid,
+                questionId: questionId,
+                sgqa:       sgqa,
+                // Saved server-side so a reload can resume the interview
+                // even though the page has not been submitted yet
+                transcript: serializeTranscript(transcript),
+                messages:   conversationHistory,
+                language:   language,
+                stream:     useStream,
+                // The server rewords its own copy of the message, not this one
+                rephrase:   pendingRephrase !== null,
+                edits:      repliesTakenBack
             });
 
             console.log('AIInterview: Sending request to', ajaxUrl, 'surveyId=', sid);
@@ -291,83 +582,178 @@
             xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest');
             xhr.timeout = 90000; // 90 second timeout
 
+            // Guards against reporting both an error and a success for one request
+            var settled = false;
+            function succeed(data) {
+                if (settled) return;
+                settled = true;
+                onSuccess(data.reply, data.tokensUsed || 0, data.finishReason || 'stop', data);
+            }
+            // data is the server's error object, if any — callers check data.code
+            // for machine-readable conditions such as 'budget_exhausted'.
+            // Known conditions are described in the survey language rather
+            // than with the server's English message.
+            function fail(msg, data) {
+                if (settled) return;
+                settled = true;
+                data = data || {};
+                var key = ERROR_STRINGS[data.code === 'rate_limited' ? data.reason : data.code];
+                onError(key ? t(key) : msg, data);
+            }
+
+            // Incremental server-sent event parser over xhr.responseText
+            var streamOffset = 0;
+            var streamBuffer = '';
+            function consumeStream() {
+                streamBuffer += xhr.responseText.substring(streamOffset);
+                streamOffset = xhr.responseText.length;
+
+                var boundary;
+                while ((boundary = streamBuffer.indexOf('\n\n')) !== -1) {
+                    var block = streamBuffer.substring(0, boundary);
+                    streamBuffer = streamBuffer.substring(boundary + 2);
+
+                    var eventName = 'message';
+                    var dataText = '';
+                    block.split('\n').forEach(function (line) {
+                        if (line.indexOf('event:') === 0) eventName = line.substring(6).trim();
+                        else if (line.indexOf('data:') === 0) dataText += line.substring(5).trim();
+                    });
+
+                    var data;
+                    try {
+                        data = JSON.parse(dataText);
+                    } catch (e) {
+                        console.warn('AIInterview: Ignoring malformed stream event', block);
+                        continue;
+                    }
+
+                    if (eventName === 'delta' && !settled) {
+                        onDelta(data.text || '');
+                    } else if (eventName === 'done') {
+                        succeed(data);
+                    } else if (eventName === 'error') {
+                        fail(data.error || t('errorService'), data);
+                    }
+                }
+            }
+
+            function isEventStream() {
+                var contentType = xhr.getResponseHeader('Content-Type') || '';
+                return contentType.indexOf('text/event-stream') !== -1;
+            }
+
+            if (useStream) {
+                xhr.onprogress = function () {
+                    if (xhr.status === 200 && isEventStream()) consumeStream();
+                };
+            }
+
             xhr.onload = function () {
                 console.log('AIInterview: Response status', xhr.status, 'body:', xhr.responseText.substring(0, 200));
+                if (xhr.status === 200 && isEventStream()) {
+                    consumeStream();
+                    // Stream closed without a final event — the connection was cut
+                    fail(t('errorInterrupted'));
+                    return;
+                }
                 if (xhr.status === 200) {
                     try {
                         var data = JSON.parse(xhr.responseText);
                         if (data.error) {
-                            onError(data.error);
+                            fail(data.error, data);
                         } else {
-                            onSuccess(data.reply, data.tokensUsed || 0, data.finishReason || 'stop');
+                            succeed(data);
                         }
                     } catch (e) {
                         console.error('AIInterview: JSON parse error', e, xhr.responseText.substring(0, 500));
-                        onError('Unexpected response from server. Check browser console for details.');
+                        fail(t('errorUnexpected'));
                     }
                 } else {
                     try {
                         var errData = JSON.parse(xhr.responseText);
-                        onError(errData.error || 'Server error (' + xhr.status + ')');
+                        fail(errData.error || t('errorServer', { status: xhr.status }), errData);
                     } catch (e) {
                         console.error('AIInterview: Non-JSON error response', xhr.status, xhr.responseText.substring(0, 500));
-                        onError('Server error (' + xhr.status + '). Check browser console for details.');
+                        fail(t('errorServerDetails', { status: xhr.status }));
                     }
                 }
             };
 
             xhr.onerror = function () {
                 console.error('AIInterview: Network error');
-                onError('Network error. Please check your connection and try again.');
+                fail(t('errorNetwork'));
             };
 
             xhr.ontimeout = function () {
                 console.error('AIInterview: Request timed out');
-                onError('The request timed out. The AI service may be slow or unavailable.');
+                fail(t('errorTimeout'));
             };
 
             xhr.send(body);
         }
 
-        function checkTokenBudget() {
-            if (tokensUsed >= maxTokens) {
+        /**
+         * End the interview once the token budget is used up. The server's
+         * verdict (exhausted) is authoritative; the local comparison only
+         * covers replies from servers that do not report it.
+         */
+        function checkTokenBudget(exhausted) {
+            if (exhausted || tokensUsed >= maxTokens) {
                 // Auto-finish when token budget is exhausted
                 if (tokenWarnEl) tokenWarnEl.style.display = 'block';
-                finishInterview(true);
+                finishInterview('budget');
             }
         }
 
-        function finishInterview(auto) {
+        /**
+         * Lock the interview. reason is recorded as the transcript's endReason:
+         *   'manual' — the respondent pressed Finish Interview
+         *   'budget' — the token budget was used up
+         *   'ai'     — the interviewer signalled that the interview is complete
+         *   'turns'  — the respondent gave the last answer the question allows
+         *   'moderation' — a message was blocked by content moderation
+         *   'script' — the survey's own script called finish()
+         */
+        function finishInterview(reason) {
             if (finished) return;
             finished = true;
 
+            // The controls are about to disappear: keep the focus in the widget
+            var hadFocus = widget.contains(document.activeElement);
+
             // Disable input
             inputEl.disabled = true;
             sendBtn.disabled = true;
             if (finishBtn) finishBtn.style.display = 'none';
+            if (editBtn) editBtn.style.display = 'none';
+            if (rephraseBtn) rephraseBtn.style.display = 'none';
 
             // Add a finished notice
-            var notice = document.createElement('div');
-            notice.className = 'ai-interview-finished-notice';
-            notice.textContent = auto
-                ? 'The interview has been automatically concluded.'
-                : 'Interview complete. Thank you for your responses.';
-            if (inputAreaEl) {
-                inputAreaEl.parentNode.insertBefore(notice, inputAreaEl);
-                inputAreaEl.style.display = 'none';
-            }
+            var notice = addNotice(t(FINISH_NOTICES[reason] || FINISH_NOTICES.manual), 'ai-interview-finished-' + reason);
+            if (inputAreaEl) inputAreaEl.style.display = 'none';
+            announceNotice(notice, hadFocus);
 
             widget.classList.add('ai-interview-finished');
 
-            // Append a separator to the transcript
-            transcriptLines.push('');
-            transcriptLines.push('--- Interview concluded ---');
+            transcript.status    = 'concluded';
+            transcript.endReason = reason;
             updateAnswerField();
+            emitFinished();
         }
 
-        function skipInterview() {
+        /**
+         * Leave the question without an interview. reason is 'unavailable'
+         * when the respondent skips after an error, 'script' when the
+         * survey's own script called skip().
+         */
+        function skipInterview(reason) {
+            var hadFocus = widget.contains(document.activeElement);
             finished = true;
-            if (answerField) answerField.value = '[Interview skipped — AI service unavailable]';
+            // Keep whatever was said before the service failed
+            transcript.status    = 'skipped';
+            transcript.endReason = reason || 'unavailable';
+            updateAnswerField();
             inputEl.disabled = true;
             sendBtn.disabled = true;
             if (finishBtn) finishBtn.style.display = 'none';
@@ -375,11 +761,205 @@
             if (inputAreaEl) inputAreaEl.style.display = 'none';
             widget.classList.add('ai-interview-finished');
 
-            var notice = document.createElement('div');
-            notice.className = 'ai-interview-finished-notice';
-            notice.textContent = 'This question has been skipped.';
-            if (inputAreaEl) {
-                inputAreaEl.parentNode.insertBefore(notice, inputAreaEl);
+            announceNotice(addNotice(t('skipped')), hadFocus);
+            emitFinished();
+        }
+
+        /**
+         * Take back the respondent's last message: the conversation is rewound
+         * to before it (dropping the interviewer's reply to it, if any) and the
+         * text is put back into the input box to be corrected and sent again.
+         * action is recorded in the `discarded` list: 'edit' (the default)
+         * when the respondent asked for it, 'refused' when the server turned
+         * the answer down.
+         */
+        function editLastAnswer(action) {
+            if (finished) return;
+            var last = transcript.turns.length - 1;
+            var from = last >= 0 && transcript.turns[last].role === 'user' ? last : last - 1;
+            if (from < 0 || transcript.turns[from].role !== 'user') return;
+
+            // The bubble shows the message as typed, even if the transcript
+            // keeps a masked version
+            var userMessages = messagesEl.querySelectorAll('.ai-message-user .ai-message-bubble');
+            var typed = userMessages.length > 0
+                ? userMessages[userMessages.length - 1].textContent
+                : transcript.turns[from].text;
+
+            if (from < last) repliesTakenBack++;
+            discardTurns(from, action || 'edit');
+
+            awaitingReply   = false;
+            pendingRephrase = null;
+            if (errorEl) errorEl.style.display = 'none';
+            sendBtn.disabled = false;
+            inputEl.disabled = false;
+            inputEl.value    = typed;
+            updateCounter();
+            startParadata();
+            inputEl.focus();
+            updateReviseButtons();
+        }
+
+        /**
+         * Ask the interviewer to put its last message differently
+         */
+        function rephraseQuestion() {
+            if (finished || awaitingReply) return;
+            var last = transcript.turns.length - 1;
+            if (last < 0 || transcript.turns[last].role !== 'assistant') return;
+
+            pendingRephrase = transcript.turns[last].text;
+            discardTurns(last, 'rephrase');
+            updateReviseButtons();
+            // The button disappears with the message; keep keyboard users in the input box
+            inputEl.focus();
+            returnFocus = true;
+            requestReply();
+        }
+
+        /**
+         * Put back the message a refused rephrase request removed
+         */
+        function restoreRephrased() {
+            pendingRephrase = null;
+            var discarded = transcript.discarded || [];
+            var entry = discarded[discarded.length - 1];
+            if (!entry || entry.action !== 'rephrase') return;
+
+            discarded.pop();
+            entry.turns.forEach(function (turn) {
+                transcript.turns.push(turn);
+                conversationHistory.push({ role: turn.role, content: turn.text });
+                appendMessage(turn.role, turn.text);
+            });
+            updateAnswerField();
+            updateReviseButtons();
+            if (rephraseBtn) rephraseBtn.style.display = 'none';
+        }
+
+        /**
+         * Remove the turns from index `from` onwards from the conversation,
+         * the transcript and the screen. They are kept in the transcript's
+         * `discarded` list so the stored data shows what was taken back.
+         */
+        function discardTurns(from, action) {
+            var removed = transcript.turns.splice(from);
+            conversationHistory.splice(from);
+
+            var rendered = messagesEl.querySelectorAll('.ai-message');
+            for (var i = rendered.length - removed.length; i < rendered.length; i++) {
+                if (i >= 0) messagesEl.removeChild(rendered[i]);
+            }
+
+            if (!Array.isArray(transcript.discarded)) transcript.discarded = [];
+            transcript.discarded.push({
+                action: action,
+                at:     new Date().toISOString(),
+                turns:  removed
+            });
+            updateAnswerField();
+        }
+
+        /**
+         * Offer "Edit last answer" once the respondent has sent something,
+         * and "Rephrase question" while an interviewer message awaits an answer
+         */
+        function updateReviseButtons() {
+            var last    = transcript.turns[transcript.turns.length - 1];
+            var lastTwo = transcript.turns.slice(-2).map(function (turn) { return turn.role; }).join(',');
+
+            if (editBtn) {
+                editBtn.style.display = !finished && (lastTwo === 'user,assistant' || (last && last.role === 'user'))
+                    ? '' : 'none';
+            }
+            if (rephraseBtn) {
+                rephraseBtn.style.display = !finished && !awaitingReply && last && last.role === 'assistant' ? '' : 'none';
+            }
+        }
+
+        // =====================================================================
+        // Answer rules
+        // =====================================================================
+
+        /**
+         * Why an answer of this text cannot be sent, or null if it can
+         */
+        function lengthProblem(text) {
+            if (minLength > 0 && text.length < minLength) {
+                return t('lengthMin', { min: minLength, missing: minLength - text.length });
+            }
+            if (maxLength > 0 && text.length > maxLength) {
+                return t('lengthMax', { max: maxLength });
+            }
+            return null;
+        }
+
+        /**
+         * The respondent's answers so far, as sent to the interviewer
+         */
+        function respondentAnswers() {
+            return conversationHistory.filter(function (msg) {
+                return msg.role === 'user';
+            });
+        }
+
+        /**
+         * What the respondent still has to write before Finish is enabled,
+         * or null once the minimum answers and words are reached. Without
+         * rules that is a single answer.
+         */
+        function missingRequirements() {
+            var answers   = respondentAnswers();
+            var turnsLeft = Math.max(1, minTurns) - answers.length;
+            var wordsLeft = minWords - answers.reduce(function (sum, msg) {
+                return sum + countWords(msg.content);
+            }, 0);
+
+            var answersText = turnsLeft > 0 ? t(turnsLeft === 1 ? 'answersMissingOne' : 'answersMissing', { n: turnsLeft }) : null;
+            var wordsText   = wordsLeft > 0 ? t(wordsLeft === 1 ? 'wordsMissingOne' : 'wordsMissing', { n: wordsLeft }) : null;
+            if (answersText && wordsText) return t('missingBoth', { answers: answersText, words: wordsText });
+            return answersText || wordsText;
+        }
+
+        function requirementsMet() {
+            return missingRequirements() === null;
+        }
+
+        /**
+         * Refresh the character counter under the input box and whether
+         * Finish may be pressed yet
+         */
+        function updateCounter() {
+            var text    = inputEl.value.trim();
+            var problem = text !== '' ? lengthProblem(text) : null;
+            var missing = missingRequirements();
+
+            if (counterEl) {
+                var hintEl  = counterEl.querySelector('.ai-counter-hint');
+                var countEl = counterEl.querySelector('.ai-counter-count');
+                if (hintEl) {
+                    hintEl.textContent = problem
+                        || (missing && (minTurns > 0 || minWords > 0) ? t('finishHint', { missing: missing }) : '');
+                }
+                if (countEl) {
+                    countEl.textContent = maxLength > 0
+                        ? t('charactersOfMax', { n: text.length, max: maxLength })
+                        : t(text.length === 1 ? 'charactersOne' : 'characters', { n: text.length });
+                }
+                counterEl.classList.toggle('ai-counter-invalid', problem !== null);
+            }
+            if (problem) {
+                inputEl.setAttribute('aria-invalid', 'true');
+            } else {
+                inputEl.removeAttribute('aria-invalid');
+            }
+
+            // aria-disabled rather than disabled keeps Finish focusable, so
+            // keyboard and screen-reader users can find out what is missing
+            if (finishBtn) {
+                finishBtn.setAttribute('aria-disabled', missing !== null ? 'true' : 'false');
+                finishBtn.title = missing ? t('finishTitle', { missing: missing }) : '';
             }
         }
 
@@ -387,13 +967,26 @@
         // UI helpers
         // =====================================================================
 
+        /**
+         * A widget string in the survey language, with {name} placeholders
+         * filled in from params. The server always sends the full set, so the
+         * key itself only shows up when a string is missing.
+         */
+        function t(key, params) {
+            var text = Object.prototype.hasOwnProperty.call(strings, key) ? strings[key] : key;
+            if (!params) return text;
+            return text.replace(/\{(\w+)\}/g, function (match, name) {
+                return Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match;
+            });
+        }
+
         function appendMessage(role, text) {
             var wrapper = document.createElement('div');
             wrapper.className = 'ai-message ai-message-' + role;
 
             var label = document.createElement('div');
             label.className = 'ai-message-label';
-            label.textContent = role === 'assistant' ? 'Interviewer' : 'You';
+            label.textContent = role === 'assistant' ? t('interviewer') : t('you');
 
             var bubble = document.createElement('div');
             bubble.className = 'ai-message-bubble';
@@ -405,47 +998,429 @@
 
             // Scroll to bottom
             messagesEl.scrollTop = messagesEl.scrollHeight;
+
+            return bubble;
         }
 
+        /**
+         * Show or hide the typing indicator and lock the controls while a
+         * reply is awaited. The input box is made read-only rather than
+         * disabled so that it keeps the keyboard focus; a focused button
+         * hands the focus to it before being disabled.
+         */
         function setLoading(isLoading) {
             if (typingEl) typingEl.style.display = isLoading ? 'flex' : 'none';
+            if (isLoading && [sendBtn, editBtn, rephraseBtn, retryBtn].indexOf(document.activeElement) !== -1) {
+                inputEl.disabled = false;
+                inputEl.focus();
+            }
             sendBtn.disabled  = isLoading;
-            inputEl.disabled  = isLoading;
+            inputEl.disabled  = false;
+            inputEl.readOnly  = isLoading;
+            inputEl.setAttribute('aria-busy', isLoading ? 'true' : 'false');
+            if (editBtn) editBtn.disabled = isLoading;
+            if (rephraseBtn) rephraseBtn.disabled = isLoading;
             if (isLoading) {
+                announce(t('typing'));
                 messagesEl.scrollTop = messagesEl.scrollHeight;
             }
         }
 
-        function showError(msg) {
+        /**
+         * Have screen readers announce a status message. The region is
+         * cleared first so that the same text is announced again.
+         */
+        function announce(text) {
+            if (!statusEl) return;
+            statusEl.textContent = '';
+            setTimeout(function () {
+                statusEl.textContent = text;
+            }, 50);
+        }
+
+        /**
+         * Give the input box the focus back after a reply the respondent
+         * asked for
+         */
+        function restoreFocus() {
+            if (!returnFocus) return;
+            returnFocus = false;
+            if (!finished && !inputEl.disabled) inputEl.focus();
+        }
+
+        /**
+         * Add a notice above the (hidden) input area
+         */
+        function addNotice(text, className) {
+            var notice = document.createElement('div');
+            notice.className = 'ai-interview-finished-notice' + (className ? ' ' + className : '');
+            notice.setAttribute('role', 'status');
+            notice.textContent = text;
+            if (inputAreaEl) {
+                inputAreaEl.parentNode.insertBefore(notice, inputAreaEl);
+            } else {
+                widget.appendChild(notice);
+            }
+            return notice;
+        }
+
+        /**
+         * Announce the notice that ends the interview, and move the focus to
+         * it if the focus was in the widget's controls that just disappeared
+         */
+        function announceNotice(notice, hadFocus) {
+            announce(notice.textContent);
+            if (hadFocus) {
+                notice.setAttribute('tabindex', '-1');
+                notice.focus();
+            }
+        }
+
+        /**
+         * Update the interview guide progress bar from a coverage summary
+         * ({ total, covered: [...], mustCover: [...], complete }). Hidden when
+         * the question has no guide.
+         */
+        function updateProgress(coverage) {
+            if (!progressEl || guideItems <= 0) return;
+
+            var covered = coverage && Array.isArray(coverage.covered) ? coverage.covered.length : 0;
+            var percent = Math.min(100, Math.round(covered / guideItems * 100));
+
+            progressEl.style.display = 'flex';
+            if (progressFill) progressFill.style.width = percent + '%';
+            if (progressLabel) {
+                progressLabel.textContent = t('topicsCovered', { covered: covered, total: guideItems });
+            }
+            var bar = progressEl.querySelector('[role="progressbar"]');
+            if (bar) bar.setAttribute('aria-valuenow', String(covered));
+        }
+
+        /**
+         * Show the error banner. The Retry button is hidden when the server
+         * says the failure is permanent (e.g. a bad API key). code is the
+         * server's error code, if any, for the aiinterview:error event.
+         */
+        function showError(msg, retryable, code) {
             console.error('AIInterview: Error:', msg);
+            emit('error', { message: msg, code: code || null, retryable: retryable !== false });
             if (errorEl) {
                 var errText = errorEl.querySelector('.ai-error-text');
-                if (errText) errText.textContent = msg;
+                if (retryBtn) retryBtn.style.display = retryable === false ? 'none' : '';
                 errorEl.style.display = 'flex';
+                // Set after showing the banner, so the alert is announced
+                if (errText) errText.textContent = msg;
+
+                // With the input locked until Retry, keyboard users are taken
+                // to the banner's buttons
+                if (inputEl.disabled && (returnFocus || widget.contains(document.activeElement))) {
+                    returnFocus = false;
+                    var target = retryBtn && retryBtn.style.display !== 'none' && !retryBtn.disabled
+                        ? retryBtn
+                        : errorEl.querySelector('.ai-btn-skip');
+                    if (target) target.focus();
+                }
+            }
+        }
+
+        /**
+         * Record the server's moderation result: the hit on the respondent's
+         * latest message and the running summary. A hit on the interviewer's
+         * reply is stored with that turn by the caller.
+         */
+        function applyModeration(moderation) {
+            if (!moderation) return;
+            if (moderation.input) {
+                for (var i = transcript.turns.length - 1; i >= 0; i--) {
+                    if (transcript.turns[i].role === 'user') {
+                        transcript.turns[i].moderation = moderation.input;
+                        break;
+                    }
+                }
+            }
+            if (moderation.summary) transcript.moderation = moderation.summary;
+        }
+
+        /**
+         * Record what the server masked in the respondent's latest message.
+         * When the question stores masked text, the transcript and the
+         * history sent with later requests take the masked version; the
+         * message on screen stays as typed. In the admin preview the masked
+         * text is shown under the message.
+         */
+        function applyRedaction(redaction) {
+            if (!redaction) return;
+            for (var i = transcript.turns.length - 1; i >= 0; i--) {
+                if (transcript.turns[i].role === 'user') {
+                    transcript.turns[i].redacted = redaction.labels;
+                    if (redaction.stored === 'redacted') transcript.turns[i].text = redaction.text;
+                    break;
+                }
+            }
+            for (var j = conversationHistory.length - 1; j >= 0; j--) {
+                if (conversationHistory[j].role === 'user') {
+                    if (redaction.stored === 'redacted') conversationHistory[j].content = redaction.text;
+                    break;
+                }
+            }
+
+            if (!redaction.preview) return;
+            var userMessages = messagesEl.querySelectorAll('.ai-message-user');
+            var last = userMessages[userMessages.length - 1];
+            if (!last) return;
+            var note = last.querySelector('.ai-message-redaction');
+            if (!note) {
+                note = document.createElement('div');
+                note.className = 'ai-message-redaction';
+                last.appendChild(note);
             }
+            note.textContent = t('redactionPreview', { text: redaction.text });
+        }
+
+        /**
+         * Show the researcher's support resources (plain text, kept visible
+         * for the rest of the interview)
+         */
+        function showSupportResources(text) {
+            if (!supportEl) return;
+            supportEl.textContent = text;
+            supportEl.style.display = 'block';
+        }
+
+        /**
+         * Admin preview: tell the researcher which placeholders the model
+         * received as markers (one notice above the conversation, kept up to date)
+         */
+        function showPreviewWarning(text) {
+            var warning = widget.querySelector('.ai-interview-preview-warning');
+            if (!warning) {
+                warning = document.createElement('div');
+                warning.className = 'ai-interview-preview-warning';
+                warning.setAttribute('role', 'status');
+                messagesEl.parentNode.insertBefore(warning, messagesEl);
+            }
+            warning.textContent = text;
+        }
+
+        /**
+         * Disable the Retry button until a rate limit has passed (at most two
+         * minutes; longer waits are left to the respondent)
+         */
+        function pauseRetry(seconds) {
+            if (!retryBtn || seconds > 120) return;
+            retryBtn.disabled = true;
+            setTimeout(function () {
+                retryBtn.disabled = false;
+            }, seconds * 1000);
+        }
+
+        /**
+         * Flag the respondent's last message as still waiting for a reply
+         */
+        function markFailedMessage(failed) {
+            var userMessages = messagesEl.querySelectorAll('.ai-message-user');
+            var last = userMessages[userMessages.length - 1];
+            if (!last) return;
+            if (failed && conversationHistory[conversationHistory.length - 1].role === 'user') {
+                last.classList.add('ai-message-failed');
+            } else {
+                last.classList.remove('ai-message-failed');
+            }
+        }
+
+        /**
+         * Start the paradata of the respondent's next message, from the moment
+         * the interviewer's message is on screen
+         */
+        function startParadata() {
+            var now = Date.now();
+            paradata = {
+                shownAt:         now,
+                typingStartedAt: null,
+                lastActivity:    now,
+                keystrokes:      0,
+                pasted:          false,
+                pastedChars:     0,
+                idleMs:          0,
+                hiddenMs:        0,
+                hiddenSince:     document.hidden ? now : null
+            };
+        }
+
+        /**
+         * Count a pause of more than IDLE_THRESHOLD_MS since the message
+         * appeared or the last key press as idle time
+         */
+        function noteActivity() {
+            if (!paradata) return;
+            var now = Date.now();
+            if (now - paradata.lastActivity > IDLE_THRESHOLD_MS) {
+                paradata.idleMs += now - paradata.lastActivity;
+            }
+            paradata.lastActivity = now;
+        }
+
+        /**
+         * Add up the time the page spends in a background tab
+         */
+        function noteVisibility() {
+            if (!paradata) return;
+            if (document.hidden) {
+                paradata.hiddenSince = Date.now();
+            } else if (paradata.hiddenSince !== null) {
+                paradata.hiddenMs   += Date.now() - paradata.hiddenSince;
+                paradata.hiddenSince = null;
+            }
+        }
+
+        /**
+         * Close the paradata of the message being sent, in the form stored on
+         * the turn. Null when the interviewer's message was not timed (e.g.
+         * the message is sent before any reply arrived).
+         */
+        function takeParadata() {
+            if (!paradata) return null;
+            var now = Date.now();
+            noteActivity();
+            if (paradata.hiddenSince !== null) paradata.hiddenMs += now - paradata.hiddenSince;
+
+            var p = paradata;
+            paradata = null;
+            var typed = p.typingStartedAt !== null;
+            return {
+                shownAt:         new Date(p.shownAt).toISOString(),
+                typingStartedAt: typed ? new Date(p.typingStartedAt).toISOString() : null,
+                latencyMs:       typed ? p.typingStartedAt - p.shownAt : null,
+                composeMs:       typed ? now - p.typingStartedAt : null,
+                keystrokes:      p.keystrokes,
+                pasted:          p.pasted,
+                pastedChars:     p.pastedChars,
+                idleMs:          p.idleMs,
+                hiddenMs:        p.hiddenMs
+            };
+        }
+
+        /**
+         * Add a turn to the transcript. extra holds optional per-turn fields
+         * (e.g. covered guide items) and may be omitted.
+         */
+        function recordTurn(role, text, tokens, extra) {
+            // A resumed interview that had been skipped is live again
+            if (transcript.status === 'skipped') {
+                transcript.status    = 'in_progress';
+                transcript.endReason = null;
+            }
+            var turn = {
+                role:   role,
+                text:   text,
+                ts:     new Date().toISOString(),
+                tokens: tokens || 0
+            };
+            if (extra) {
+                Object.keys(extra).forEach(function (key) {
+                    turn[key] = extra[key];
+                });
+            }
+            transcript.turns.push(turn);
+            updateAnswerField();
+            emit('message', { role: role, text: text, index: transcript.turns.length - 1 });
         }
 
         function updateAnswerField() {
+            transcript.tokensUsed = tokensUsed;
+            transcript.updatedAt  = new Date().toISOString();
+            transcript.revision   = (transcript.revision || 0) + 1;
             if (answerField) {
-                answerField.value = transcriptLines.join('\n');
+                answerField.value = serializeTranscript(transcript);
             }
+            // Answers were added or taken back: Finish may have changed
+            updateCounter();
+        }
+
+        // =====================================================================
+        // State and events for survey authors (see window.AIInterview)
+        // =====================================================================
+
+        function getState() {
+            return {
+                status:          transcript.status,
+                endReason:       transcript.endReason,
+                started:         !waitingToStart,
+                finished:        finished,
+                awaitingReply:   awaitingReply,
+                turns:           transcript.turns.length,
+                answers:         transcript.turns.filter(function (turn) { return turn.role === 'user'; }).length,
+                tokensUsed:      tokensUsed,
+                maxTokens:       maxTokens,
+                requirementsMet: requirementsMet()
+            };
+        }
+
+        /**
+         * Dispatch an aiinterview:<name> CustomEvent on the widget element.
+         * It bubbles, so one listener on the document hears every widget.
+         */
+        function emit(name, detail) {
+            detail = detail || {};
+            detail.sgqa = sgqa;
+            widget.dispatchEvent(new CustomEvent('aiinterview:' + name, { bubbles: true, detail: detail }));
+        }
+
+        function emitFinished() {
+            emit('finished', {
+                status:     transcript.status,
+                endReason:  transcript.endReason,
+                transcript: JSON.parse(serializeTranscript(transcript))
+            });
         }
 
         // =====================================================================
-        // Restore from existing transcript (back-navigation)
+        // Restore from existing transcript (back-navigation / reload)
         // =====================================================================
 
-        function restoreFromTranscript(transcript) {
+        /**
+         * Continue an unfinished interview: redraw the conversation, rebuild
+         * the API history and token count, and leave the input enabled.
+         * If the last turn is the respondent's, its reply never arrived
+         * (reload or network failure mid-request), so ask for it again.
+         */
+        function resumeFromTranscript(saved) {
+            // Legacy plain-text answers are upgraded to the structured format
+            // the next time the answer field is written.
+            transcript = saved;
+            tokensUsed = transcript.tokensUsed;
+            if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
+            updateProgress(transcript.coverage);
+
+            transcript.turns.forEach(function (turn) {
+                appendMessage(turn.role, turn.text);
+                conversationHistory.push({ role: turn.role, content: turn.text });
+            });
+            updateCounter();
+
+            if (finishBtn) finishBtn.style.display = 'inline-block';
+
+            var lastTurn = transcript.turns[transcript.turns.length - 1];
+            if (lastTurn.role === 'user') {
+                requestReply();
+            } else {
+                startParadata();
+                checkTokenBudget();
+                updateReviseButtons();
+            }
+        }
+
+        function restoreFromTranscript(saved) {
             finished = true;
             widget.classList.add('ai-interview-finished');
 
-            var lines = transcript.split('\n');
-            lines.forEach(function (line) {
-                if (line.startsWith('Interviewer: ')) {
-                    appendMessage('assistant', line.replace('Interviewer: ', ''));
-                } else if (line.startsWith('User: ')) {
-                    appendMessage('user', line.replace('User: ', ''));
-                }
+            transcript = saved;
+            tokensUsed = transcript.tokensUsed;
+            if (tokensUsedEl) tokensUsedEl.value = tokensUsed;
+            updateProgress(transcript.coverage);
+
+            transcript.turns.forEach(function (turn) {
+                appendMessage(turn.role, turn.text);
             });
 
             inputEl.disabled = true;
@@ -453,19 +1428,183 @@
             if (finishBtn) finishBtn.style.display = 'none';
             if (inputAreaEl) inputAreaEl.style.display = 'none';
 
-            var notice = document.createElement('div');
-            notice.className = 'ai-interview-finished-notice';
-            notice.textContent = 'Interview complete. Your responses have been recorded.';
-            if (inputAreaEl) {
-                inputAreaEl.parentNode.insertBefore(notice, inputAreaEl);
+            addNotice(t('finishedRestored'));
+        }
+    }
+
+    // =========================================================================
+    // Transcript format
+    //
+    // The answer field holds a versioned JSON envelope:
+    //   {
+    //     "format": "aiinterview-transcript", "version": 1,
+    //     "status": "in_progress" | "concluded" | "skipped",
+    //     "endReason": null | "manual" | "budget" | "ai" | "turns" | "moderation" | "script" | "unavailable",
+    //     "startedAt": ISO-8601, "updatedAt": ISO-8601, "revision": 0, "tokensUsed": 0,
+    //     "turns": [{ "role": "assistant" | "user", "text": "...",
+    //                 "ts": ISO-8601 | null, "tokens": 0 }],
+    //     "coverage": { "total", "covered", "mustCover", "complete" }  (optional)
+    //   }
+    // Interviewer turns of a question with an interview guide also carry
+    // "covered": [item numbers addressed by the preceding answer].
+    // "revision" counts the changes to the transcript; the server counts an
+    // interviewer turn it adds to its draft copy the same way, so the newer of
+    // the two has the higher revision, whatever the clocks say.
+    // Fields this version does not know about are preserved on a round trip.
+    // Turn text is stored verbatim, so multi-line answers and respondents who
+    // type "Interviewer: ..." themselves survive a round trip. AIInterview.php
+    // has a matching parser (parseTranscript) for the admin views.
+    // =========================================================================
+
+    // Pauses longer than this while a respondent message is written count as
+    // idle time in its paradata
+    var IDLE_THRESHOLD_MS = 10000;
+
+    // Notice shown when the interview ends, by finishInterview() reason
+    // (keys of the widget strings)
+    var FINISH_NOTICES = {
+        manual:     'finishedManual',
+        budget:     'finishedBudget',
+        ai:         'finishedAi',
+        turns:      'finishedTurns',
+        moderation: 'finishedModeration',
+        script:     'finishedManual'
+    };
+
+    // Widget strings for server errors, by error code or rate-limit reason.
+    // Other errors show the server's own message.
+    var ERROR_STRINGS = {
+        ai_unavailable:        'errorAiUnavailable',
+        reply_withheld:        'errorReplyWithheld',
+        answer_length:         'errorAnswerLength',
+        requests_per_minute:   'errorTooFast',
+        concurrent_interviews: 'errorTooManyInterviews',
+        daily_cap:             'errorDailyCap'
+    };
+
+    var TRANSCRIPT_FORMAT  = 'aiinterview-transcript';
+    var TRANSCRIPT_VERSION = 1;
+
+    // Marker the plain-text format (plugin versions before the envelope) wrote
+    // at the end of a finished interview.
+    var LEGACY_CONCLUDED_MARKER = '--- Interview concluded ---';
+    var LEGACY_SKIPPED_PREFIX   = '[Interview skipped';
+
+    function createTranscript() {
+        return {
+            format:     TRANSCRIPT_FORMAT,
+            version:    TRANSCRIPT_VERSION,
+            status:     'in_progress',
+            endReason:  null,
+            startedAt:  new Date().toISOString(),
+            updatedAt:  null,
+            revision:   0,
+            tokensUsed: 0,
+            turns:      []
+        };
+    }
+
+    function serializeTranscript(transcript) {
+        return JSON.stringify(transcript);
+    }
+
+    /**
+     * Parse a stored answer into a transcript object.
+     * Accepts the JSON envelope (any version up to TRANSCRIPT_VERSION) and the
+     * legacy "Interviewer: " / "User: " plain-text format.
+     */
+    function parseTranscript(value) {
+        var text = (value || '').trim();
+        var transcript = createTranscript();
+        transcript.startedAt = null;
+
+        if (text.charAt(0) === '{') {
+            try {
+                var data = JSON.parse(text);
+                if (data && data.format === TRANSCRIPT_FORMAT && Array.isArray(data.turns)) {
+                    Object.keys(data).forEach(function (key) {
+                        if (data[key] !== undefined) transcript[key] = data[key];
+                    });
+                    transcript.version = TRANSCRIPT_VERSION;
+                    transcript.turns = data.turns.filter(function (turn) {
+                        return turn && (turn.role === 'assistant' || turn.role === 'user');
+                    }).map(function (turn) {
+                        var normalised = {};
+                        Object.keys(turn).forEach(function (key) {
+                            normalised[key] = turn[key];
+                        });
+                        normalised.text   = String(turn.text || '');
+                        normalised.ts     = turn.ts || null;
+                        normalised.tokens = parseInt(turn.tokens, 10) || 0;
+                        return normalised;
+                    });
+                    transcript.tokensUsed = parseInt(transcript.tokensUsed, 10) || 0;
+                    return transcript;
+                }
+            } catch (e) {
+                // Not JSON after all — fall through to the legacy parser
             }
         }
+
+        return parseLegacyTranscript(text, transcript);
+    }
+
+    function parseLegacyTranscript(text, transcript) {
+        if (text.indexOf(LEGACY_SKIPPED_PREFIX) === 0) {
+            transcript.status    = 'skipped';
+            transcript.endReason = 'unavailable';
+            return transcript;
+        }
+
+        var current = null;
+        text.split('\n').forEach(function (line) {
+            if (line.trim() === LEGACY_CONCLUDED_MARKER) {
+                transcript.status = 'concluded';
+                current = null;
+                return;
+            }
+            if (line.indexOf('Interviewer: ') === 0) {
+                current = { role: 'assistant', text: line.substring(13), ts: null, tokens: 0 };
+                transcript.turns.push(current);
+            } else if (line.indexOf('User: ') === 0) {
+                current = { role: 'user', text: line.substring(6), ts: null, tokens: 0 };
+                transcript.turns.push(current);
+            } else if (current) {
+                // Continuation of a multi-line message
+                current.text += '\n' + line;
+            }
+        });
+
+        // The blank separator line before the marker is not part of the message
+        transcript.turns.forEach(function (turn) {
+            turn.text = turn.text.replace(/\s+$/, '');
+        });
+
+        return transcript;
     }
 
     // =========================================================================
     // Helper: extract survey ID from the page
     // =========================================================================
 
+    // The widget strings from the data-strings attribute (see
+    // getWidgetStrings() in AIInterview.php)
+    function parseStrings(value) {
+        try {
+            var parsed = JSON.parse(value || '{}');
+            return parsed && typeof parsed === 'object' ? parsed : {};
+        } catch (e) {
+            console.warn('AIInterview: Ignoring malformed widget strings');
+            return {};
+        }
+    }
+
+    // Words in a respondent message, for the minimum-words rule
+    function countWords(text) {
+        var words = String(text).trim().split(/\s+/);
+        return words[0] === '' ? 0 : words.length;
+    }
+
     function getSurveyIdFromPage() {
         // Try to get survey ID from the form action URL or a hidden field
         var form = document.querySelector('form[action*="survey"]');
@@ -513,6 +1652,21 @@
     // dynamically inserting the widget HTML into the DOM.
     window.AIInterviewInitAll = initAllWidgets;
 
+    // Public API for survey authors' scripts — see "JavaScript API" in the
+    // README. Each instance offers getState(), getTranscript(),
+    // getTokenUsage(), start(), finish() and skip().
+    window.AIInterview = {
+        get: function (sgqa) {
+            return instances[sgqa] || null;
+        },
+        all: function () {
+            return Object.keys(instances).map(function (sgqa) {
+                return instances[sgqa];
+            });
+        },
+        init: initAllWidgets
+    };
+
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', initAllWidgets);
     } else {
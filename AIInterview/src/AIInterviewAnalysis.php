@@ -0,0 +1,419 @@
+<?php
+/**
+ * AIInterview - post-interview analysis and its queue
+ *
+ * Part of the AIInterview plugin class (AIInterview.php). The overview and
+ * the constants these methods use are in its POST-INTERVIEW ANALYSIS
+ * section, as traits cannot declare constants before PHP 8.2.
+ *
+ * @license     GPL v2
+ */
+
+trait AIInterviewAnalysis
+{
+    /**
+     * Once a response is submitted, queue it for analysis if any of the
+     * survey's AI Interview questions has an analysis prompt. The analysis
+     * itself is a model call per answer, too slow for the respondent's submit
+     * request; processAnalysisQueue() runs it later.
+     */
+    public function afterSurveyComplete()
+    {
+        $event      = $this->getEvent();
+        $surveyId   = (int) $event->get('surveyId');
+        $responseId = (int) $event->get('responseId');
+
+        if ($surveyId <= 0 || $responseId <= 0) {
+            return;
+        }
+
+        $this->maskStoredTranscripts($surveyId, $responseId);
+
+        if (empty($this->getAnalysedQuestions($surveyId))) {
+            return;
+        }
+
+        $this->ensurePluginTables();
+        try {
+            Yii::app()->db->createCommand()->insert(self::ANALYSIS_QUEUE_TABLE, [
+                'survey_id'   => $surveyId,
+                'response_id' => $responseId,
+                'queued_at'   => time(),
+            ]);
+        } catch (CDbException $e) {
+            // Already waiting
+        }
+    }
+
+    /**
+     * LimeSurvey's console cron (php application/commands/console.php plugin cron)
+     * works through the analysis queue of every survey
+     */
+    public function cron()
+    {
+        $this->processAnalysisQueue(null);
+    }
+
+    /**
+     * Analyse queued responses, oldest first, until ANALYSIS_BATCH_SIZE have
+     * been tried or ANALYSIS_TIME_LIMIT has passed.
+     *
+     * Failures are logged and never reach the respondent: the response is
+     * already saved, and an interview without analysis is still usable.
+     * A failed response stays queued for the next run (answers analysed
+     * already are skipped then); the cron gives up on it after
+     * ANALYSIS_MAX_ATTEMPTS, a run for one survey (the analysis page) always
+     * tries it again. Responses of a survey whose AI service is not
+     * configured stay queued.
+     *
+     * @param  int|null $surveyId Only this survey's queue; null for all surveys
+     * @return array ['analysed' => responses analysed, 'failed' => responses
+     *               that failed in this run, 'pending' => the survey's
+     *               responses still queued, or null for all surveys]
+     */
+    private function processAnalysisQueue(?int $surveyId): array
+    {
+        $this->ensurePluginTables();
+        $db        = Yii::app()->db;
+        $deadline  = microtime(true) + self::ANALYSIS_TIME_LIMIT;
+        $providers = [];
+        $analysed  = 0;
+        $failed    = 0;
+        $lastId    = 0;
+
+        while ($analysed + $failed < self::ANALYSIS_BATCH_SIZE && microtime(true) < $deadline) {
+            $query = $db->createCommand()
+                ->select('id, survey_id, response_id, attempts')
+                ->from(self::ANALYSIS_QUEUE_TABLE)
+                ->where('id > :lastId AND leased_until < :now', [':lastId' => $lastId, ':now' => time()])
+                ->order('id ASC')
+                ->limit(1);
+            if ($surveyId !== null) {
+                $query->andWhere('survey_id = :sid', [':sid' => $surveyId]);
+            } else {
+                $query->andWhere('attempts < :max', [':max' => self::ANALYSIS_MAX_ATTEMPTS]);
+            }
+            $item = $query->queryRow();
+            if ($item === false) {
+                break;
+            }
+            $lastId = (int) $item['id'];
+            $sid    = (int) $item['survey_id'];
+
+            if (!isset($providers[$sid])) {
+                $providers[$sid] = $this->getProviderConfig($sid);
+                if (isset($providers[$sid]['error'])) {
+                    Yii::log('AIInterview: Interview analysis of survey ' . $sid . ' waits — ' . $providers[$sid]['error'], CLogger::LEVEL_WARNING);
+                }
+            }
+            if (isset($providers[$sid]['error'])) {
+                continue;
+            }
+
+            // Leasing the entry claims it, so parallel runs never analyse a
+            // response twice; a run that dies leaves it to the next one once
+            // the lease has run out
+            $claimed = $db->createCommand()->update(
+                self::ANALYSIS_QUEUE_TABLE,
+                ['leased_until' => time() + self::ANALYSIS_LEASE, 'attempts' => new CDbExpression('attempts + 1')],
+                'id = :id AND leased_until < :now',
+                [':id' => $lastId, ':now' => time()]
+            );
+            if ($claimed === 0) {
+                continue;
+            }
+
+            $done = true;
+            foreach ($this->getAnalysedQuestions($sid) as $oQuestion) {
+                try {
+                    $done = $this->analyseInterview($sid, (int) $item['response_id'], $oQuestion, $providers[$sid]) && $done;
+                } catch (Exception $e) {
+                    $done = false;
+                    Yii::log(
+                        'AIInterview: Analysis of response ' . $item['response_id'] . ', question ' . $oQuestion->title
+                        . ' failed: ' . $e->getMessage(),
+                        CLogger::LEVEL_ERROR
+                    );
+                }
+            }
+
+            if ($done) {
+                $db->createCommand()->delete(self::ANALYSIS_QUEUE_TABLE, 'id = :id', [':id' => $lastId]);
+                $analysed++;
+                continue;
+            }
+
+            $db->createCommand()->update(self::ANALYSIS_QUEUE_TABLE, ['leased_until' => 0], 'id = :id', [':id' => $lastId]);
+            $failed++;
+            if ((int) $item['attempts'] + 1 >= self::ANALYSIS_MAX_ATTEMPTS) {
+                Yii::log(
+                    'AIInterview: Analysis of response ' . $item['response_id'] . ' of survey ' . $sid . ' failed '
+                    . ($item['attempts'] + 1) . ' times; run it from the survey\'s analysis page once the cause is fixed',
+                    CLogger::LEVEL_ERROR
+                );
+            }
+        }
+
+        return [
+            'analysed' => $analysed,
+            'failed'   => $failed,
+            'pending'  => $surveyId !== null ? $this->countQueuedAnalyses($surveyId) : null,
+        ];
+    }
+
+    /**
+     * Responses of a survey waiting for analysis; with $givenUp only those
+     * the cron no longer tries (see ANALYSIS_MAX_ATTEMPTS)
+     */
+    private function countQueuedAnalyses(int $surveyId, bool $givenUp = false): int
+    {
+        $this->ensurePluginTables();
+        $query = Yii::app()->db->createCommand()
+            ->select('COUNT(*)')
+            ->from(self::ANALYSIS_QUEUE_TABLE)
+            ->where('survey_id = :sid', [':sid' => $surveyId]);
+        if ($givenUp) {
+            $query->andWhere('attempts >= :max', [':max' => self::ANALYSIS_MAX_ATTEMPTS]);
+        }
+        return (int) $query->queryScalar();
+    }
+
+    /**
+     * The survey's AI Interview questions that have an analysis prompt
+     *
+     * @return Question[]
+     */
+    private function getAnalysedQuestions(int $surveyId): array
+    {
+        return array_values(array_filter($this->getInterviewQuestions($surveyId), function ($oQuestion) {
+            return trim((string) $this->getQuestionAttribute((int) $oQuestion->qid, 'ai_interview_analysis_prompt', '')) !== '';
+        }));
+    }
+
+    /**
+     * Analyse one interview answer and store the results.
+     *
+     * Runs once per answer: the result is also recorded in the transcript
+     * envelope ("analysis"), and an answer that already has one is skipped.
+     * Interviews without a single respondent message are not analysed.
+     *
+     * @return bool false when the analysis failed and should be tried again
+     */
+    private function analyseInterview(int $surveyId, int $responseId, Question $oQuestion, array $provider): bool
+    {
+        $questionId = (int) $oQuestion->qid;
+        $sgqa       = $surveyId . 'X' . $oQuestion->gid . 'X' . $questionId;
+
+        $oResponse = SurveyDynamic::model($surveyId)->findByPk($responseId);
+        if (empty($oResponse)) {
+            return true;
+        }
+
+        $value = (string) ($oResponse->getAttribute($sgqa) ?? '');
+        if (trim($value) === '') {
+            return true;
+        }
+
+        $transcript = $this->parseTranscript($value);
+        if (!empty($transcript['analysis'])) {
+            return true;
+        }
+
+        $respondentTurns = array_filter($transcript['turns'], function ($turn) {
+            return $turn['role'] === 'user';
+        });
+        if (empty($respondentTurns)) {
+            return true;
+        }
+
+        // The analysis model sees masked text, whatever the stored transcript
+        // keeps (the transcript itself is saved again below, so mask a copy)
+        $analysed = $transcript;
+        if ($this->getRedactionMode($questionId) !== 'off') {
+            foreach ($analysed['turns'] as &$turn) {
+                if ($turn['role'] === 'user') {
+                    $turn['text'] = $this->redactText($turn['text'], $surveyId, $questionId)['text'];
+                }
+            }
+            unset($turn);
+        }
+
+        $codebook = $this->getCodebook($questionId);
+        $messages = [
+            ['role' => 'system', 'content' => $this->buildAnalysisPrompt(
+                (string) $this->getQuestionAttribute($questionId, 'ai_interview_analysis_prompt', ''),
+                $codebook
+            )],
+            ['role' => 'user', 'content' => $this->renderTranscriptForAnalysis($analysed)],
+        ];
+
+        $result = $this->requestCompletion(
+            $provider,
+            $messages,
+            $this->getCompletionTokens($provider, $messages, self::ANALYSIS_MAX_TOKENS)
+        );
+        if (isset($result['error'])) {
+            Yii::log('AIInterview: Analysis of response ' . $responseId . ' failed: ' . $result['error'], CLogger::LEVEL_ERROR);
+            return false;
+        }
+        // Analysis counts towards the survey's daily cap but is never refused
+        // by it; providers that report no usage are charged an estimate
+        $tokensUsed = $result['tokens_used'] > 0
+            ? $result['tokens_used']
+            : $this->estimateMessagesTokens($messages) + $this->estimateTokens($result['content']);
+        $this->chargeDailyTokenUsage($surveyId, $tokensUsed);
+
+        $analysis = $this->parseAnalysisResult($result['content'], $codebook);
+        if ($analysis === null) {
+            Yii::log(
+                'AIInterview: Analysis of response ' . $responseId . ' returned no usable JSON: ' . substr($result['content'], 0, 200),
+                CLogger::LEVEL_ERROR
+            );
+            return false;
+        }
+
+        $targets = [
+            'summary'   => 'ai_interview_summary_field',
+            'codes'     => 'ai_interview_codes_field',
+            'sentiment' => 'ai_interview_sentiment_field',
+        ];
+
+        $attributes = [];
+        foreach ($targets as $key => $attribute) {
+            $code = trim((string) $this->getQuestionAttribute($questionId, $attribute, ''));
+            if ($code === '') continue;
+
+            $column = $this->getResponseColumn($surveyId, $code);
+            if ($column === null) {
+                Yii::log('AIInterview: ' . $attribute . ' of question ' . $oQuestion->title . ' names unknown question "' . $code . '"', CLogger::LEVEL_WARNING);
+                continue;
+            }
+            $attributes[$column] = $key === 'codes' ? implode('; ', $analysis['codes']) : $analysis[$key];
+        }
+
+        $transcript['analysis'] = $analysis + [
+            'model'      => $result['model'],
+            'tokensUsed' => $tokensUsed,
+            'analysedAt' => gmdate('Y-m-d\TH:i:s\Z'),
+        ];
+        $attributes[$sgqa] = $this->serializeTranscript($transcript);
+
+        SurveyDynamic::model($surveyId)->updateByPk($responseId, $attributes);
+        return true;
+    }
+
+    /**
+     * Parse a question's ai_interview_codebook attribute: one "CODE: description"
+     * per line (the description is optional), blank lines ignored.
+     *
+     * @return array Map of code => description
+     */
+    private function getCodebook(int $questionId): array
+    {
+        $raw      = (string) $this->getQuestionAttribute($questionId, 'ai_interview_codebook', '');
+        $codebook = [];
+
+        foreach (preg_split('/\r\n|\n|\r/', $raw) as $line) {
+            $parts = explode(':', $line, 2);
+            $code  = trim($parts[0]);
+            if ($code === '') continue;
+            $codebook[$code] = trim($parts[1] ?? '');
+        }
+
+        return $codebook;
+    }
+
+    /**
+     * Build the system prompt for the analysis call: the researcher's analysis
+     * prompt, the codebook (if any) and the JSON output contract.
+     */
+    private function buildAnalysisPrompt(string $prompt, array $codebook): string
+    {
+        $sections = [
+            "You are analysing the transcript of a research interview.\n\n" . $prompt,
+        ];
+
+        if (!empty($codebook)) {
+            $lines = ['CODEBOOK (only use these codes):'];
+            foreach ($codebook as $code => $description) {
+                $lines[] = '- ' . $code . ($description !== '' ? ': ' . $description : '');
+            }
+            $sections[] = implode("\n", $lines);
+        }
+
+        $sections[] = "OUTPUT FORMAT: reply with a single JSON object and nothing else:\n"
+                    . '{"summary": "<concise summary of the respondent\'s answers>", '
+                    . '"codes": [' . (empty($codebook) ? '"<short theme label>", ...' : '"<code>", ...') . '], '
+                    . '"sentiment": "' . implode('" | "', self::ANALYSIS_SENTIMENTS) . '"}';
+
+        return implode("\n\n", $sections);
+    }
+
+    /**
+     * Render a transcript as the user message of the analysis call
+     */
+    private function renderTranscriptForAnalysis(array $transcript): string
+    {
+        $lines = [];
+        foreach ($transcript['turns'] as $turn) {
+            $lines[] = ($turn['role'] === 'assistant' ? 'Interviewer: ' : 'Respondent: ') . $turn['text'];
+        }
+        return implode("\n\n", $lines);
+    }
+
+    /**
+     * Extract the analysis from the model's reply. Tolerates code fences and
+     * text around the JSON object; drops codes that are not in the codebook
+     * and sentiments outside ANALYSIS_SENTIMENTS.
+     *
+     * @return array|null ['summary' => string, 'codes' => string[], 'sentiment' => string],
+     *                    or null if the reply contains no JSON object
+     */
+    private function parseAnalysisResult(string $content, array $codebook): ?array
+    {
+        $start = strpos($content, '{');
+        $end   = strrpos($content, '}');
+        if ($start === false || $end === false || $end < $start) {
+            return null;
+        }
+
+        $data = json_decode(substr($content, $start, $end - $start + 1), true);
+        if (!is_array($data)) {
+            return null;
+        }
+
+        $codes = [];
+        foreach ((array) ($data['codes'] ?? []) as $code) {
+            if (!is_scalar($code)) continue;
+            $code = trim((string) $code);
+            if ($code === '' || (!empty($codebook) && !array_key_exists($code, $codebook))) continue;
+            $codes[] = $code;
+        }
+
+        $sentiment = strtolower(trim((string) ($data['sentiment'] ?? '')));
+
+        return [
+            'summary'   => trim((string) (is_scalar($data['summary'] ?? null) ? $data['summary'] : '')),
+            'codes'     => array_values(array_unique($codes)),
+            'sentiment' => in_array($sentiment, self::ANALYSIS_SENTIMENTS, true) ? $sentiment : '',
+        ];
+    }
+
+    /**
+     * Map a question code to its column in the survey's response table
+     *
+     * @return string|null SGQA column name, or null if no such top-level question exists
+     */
+    private function getResponseColumn(int $surveyId, string $questionCode): ?string
+    {
+        $oQuestion = Question::model()->findByAttributes([
+            'sid'        => $surveyId,
+            'title'      => $questionCode,
+            'parent_qid' => 0,
+        ]);
+        if (empty($oQuestion)) {
+            return null;
+        }
+        return $surveyId . 'X' . $oQuestion->gid . 'X' . $oQuestion->qid;
+    }
+}
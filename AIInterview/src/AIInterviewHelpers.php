@@ -0,0 +1,168 @@
+<?php
+/**
+ * AIInterview - helpers without LimeSurvey dependencies
+ *
+ * Parsing and formatting functions of the AIInterview plugin that need
+ * neither the plugin's settings nor a database, kept apart so that they can
+ * be unit tested (see tests/).
+ *
+ * @license     GPL v2
+ */
+
+final class AIInterviewHelpers
+{
+    /** Built-in PII patterns, applied in this order (label => regex) */
+    public const PII_PATTERNS = [
+        'EMAIL'   => '/[\w.+\-]+@[\w\-]+(?:\.[\w\-]+)+/u',
+        'IBAN'    => '/\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/',
+        'CARD'    => '/(?<!\d)\d(?:[ \-]?\d){12,18}(?!\d)/',
+        'PHONE'   => '/(?<![\w+])(?:\+|00)?\(?\d[\d\s().\-\/]{5,}\d(?!\w)/',
+        'ADDRESS' => '/\b\d{1,5}[a-z]?\s+(?:[\p{L}.\'\-]+\s+){1,4}(?:street|st|road|rd|avenue|ave|lane|ln|drive|dr|boulevard|blvd|way|court|ct|place|pl|close|crescent)\b\.?'
+                   . '|\b[\p{L}\-]+(?:straße|strasse|str\.|weg|gasse|platz|allee|ring)\s+\d{1,4}[a-z]?\b/iu',
+    ];
+
+    /**
+     * Turn the value of a [[COVERED: ...]] marker into valid item numbers
+     *
+     * @param  string $value The marker's value, e.g. "1, 3"
+     * @param  int    $total Number of items in the interview guide
+     * @return int[]  Item numbers between 1 and $total, ascending, no duplicates
+     */
+    public static function parseCoveredItems(string $value, int $total): array
+    {
+        preg_match_all('/\d+/', $value, $m);
+        $items = array_map('intval', $m[0]);
+        $items = array_filter($items, function ($i) use ($total) {
+            return $i >= 1 && $i <= $total;
+        });
+        $items = array_values(array_unique($items));
+        sort($items);
+        return $items;
+    }
+
+    /**
+     * Write one CSV line of the turn-level export (RFC 4180 quoting). Text that
+     * a spreadsheet would run as a formula (=, +, -, @, tab or carriage return
+     * first) gets a leading apostrophe.
+     *
+     * @param resource $handle
+     */
+    public static function writeExportCsvRow($handle, array $row): void
+    {
+        fputcsv($handle, array_map(function ($value) {
+            // Flags as 1/0 rather than PHP's "1"/""
+            if (is_bool($value)) {
+                return (int) $value;
+            }
+            if (is_string($value) && preg_match('/^[=+\-@\t\r]/', $value)) {
+                return "'" . $value;
+            }
+            return $value;
+        }, array_values($row)), ',', '"', '');
+    }
+
+    /**
+     * Mask personal data in a text with "[LABEL]" placeholders
+     *
+     * @param  array $patterns label => regex, e.g. PII_PATTERNS
+     * @return array ['text' => masked text, 'labels' => labels found, in order]
+     */
+    public static function maskPii(string $text, array $patterns): array
+    {
+        $labels = [];
+        foreach ($patterns as $label => $pattern) {
+            $text = (string) preg_replace_callback($pattern, function (array $m) use ($label, &$labels) {
+                if (!self::isRedactionMatch($label, $m[0])) {
+                    return $m[0];
+                }
+                $labels[] = $label;
+                return '[' . $label . ']';
+            }, $text);
+        }
+
+        return ['text' => $text, 'labels' => array_values(array_unique($labels))];
+    }
+
+    /**
+     * Parse the pii_patterns setting: one "LABEL: regex" per line, the regex
+     * without delimiters and matched case-insensitively
+     *
+     * @return array ['patterns' => label => regex, 'invalid' => lines whose regex does not compile]
+     */
+    public static function parseRedactionPatterns(string $setting): array
+    {
+        $patterns = [];
+        $invalid  = [];
+        foreach (preg_split('/\r\n|\n|\r/', trim($setting)) as $line) {
+            $parts = explode(':', $line, 2);
+            if (count($parts) < 2 || trim($parts[0]) === '' || trim($parts[1]) === '') continue;
+
+            $pattern = '/' . str_replace('/', '\/', trim($parts[1])) . '/iu';
+            if (@preg_match($pattern, '') === false) {
+                $invalid[] = trim($line);
+                continue;
+            }
+            $patterns[self::normaliseRedactionLabel($parts[0])] = $pattern;
+        }
+
+        return ['patterns' => $patterns, 'invalid' => $invalid];
+    }
+
+    /**
+     * Reject pattern matches that are not what the label promises: card
+     * numbers must pass the Luhn check, and phone numbers need 7-15 digits and
+     * must not look like a date.
+     */
+    public static function isRedactionMatch(string $label, string $value): bool
+    {
+        $digits = preg_replace('/\D/', '', $value);
+
+        if ($label === 'CARD') {
+            $sum = 0;
+            foreach (array_reverse(str_split($digits)) as $i => $digit) {
+                $digit = (int) $digit * ($i % 2 ? 2 : 1);
+                $sum  += $digit > 9 ? $digit - 9 : $digit;
+            }
+            return $sum % 10 === 0;
+        }
+
+        if ($label === 'PHONE') {
+            // Dates and year ranges ("2010-2015", "1998 / 2004") are not numbers to mask
+            return strlen($digits) >= 7 && strlen($digits) <= 15
+                && !preg_match('/^\d{4}[\-\/.]\d{1,2}[\-\/.]\d{1,2}$|^\d{1,2}[\-\/.]\d{1,2}[\-\/.]\d{2,4}$/', trim($value))
+                && !preg_match('/^\(?(?:1[89]|20)\d{2}\)?\s*[\-\/.]\s*\(?(?:1[89]|20)\d{2}\)?$/', trim($value));
+        }
+
+        return true;
+    }
+
+    /**
+     * "phone number" => "PHONE_NUMBER"; an empty label becomes "PII"
+     */
+    public static function normaliseRedactionLabel(string $label): string
+    {
+        $label = trim(preg_replace('/[^A-Z0-9]+/', '_', strtoupper(trim($label))), '_');
+        return $label !== '' ? $label : 'PII';
+    }
+
+    /**
+     * Why a pilot must not make another model call, if it must not. Running
+     * out of time wins over the daily cap; a cap of 0 means no cap.
+     *
+     * @param  float  $now       Current time (microtime(true))
+     * @param  float  $deadline  When the pilot's time budget runs out
+     * @param  int    $dailyCap  The survey's daily token cap
+     * @param  int    $usedToday Tokens used today, interviews and analyses
+     * @return string|null 'time_limit', 'daily_cap' or null
+     */
+    public static function getPilotStopReason(float $now, float $deadline, int $dailyCap, int $usedToday): ?string
+    {
+        if ($now >= $deadline) {
+            return 'time_limit';
+        }
+        if ($dailyCap > 0 && $usedToday >= $dailyCap) {
+            return 'daily_cap';
+        }
+        return null;
+    }
+}
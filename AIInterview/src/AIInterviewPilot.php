@@ -0,0 +1,467 @@
+<?php
+/**
+ * AIInterview - pilot runs with simulated respondents
+ *
+ * Part of the AIInterview plugin class (AIInterview.php). The overview and
+ * the constants these methods use are in its PILOT RUNS section, as traits
+ * cannot declare constants before PHP 8.2.
+ *
+ * @license     GPL v2
+ */
+
+trait AIInterviewPilot
+{
+    /**
+     * Run the pilot interviews and build the report
+     *
+     * @param  array $settings From handlePilotRequest(), with 'deadline' (microtime)
+     * @return array ['surveyId', 'questionId', 'questionCode', 'settings', 'unresolvedPlaceholders',
+     *               'truncated' => null, 'time_limit' or 'daily_cap' when the pilot stopped early,
+     *               'summary' (see summarisePilotRuns()), 'runs' (see runPilotInterview(), plus 'persona')]
+     */
+    private function runPilot(int $surveyId, Question $oQuestion, array $provider, array $settings): array
+    {
+        $questionId = (int) $oQuestion->qid;
+        $piped      = $this->pipePrompt($settings['prompt'], $surveyId, false);
+        $personas   = $this->parsePilotPersonas($settings['personas']);
+
+        $respondent = $provider;
+        if ($settings['respondentModel'] !== '') {
+            $respondent = ['model' => $settings['respondentModel'], 'fallbackModels' => []] + $provider;
+        }
+
+        $runs      = [];
+        $truncated = null;
+        for ($i = 0; $i < $settings['interviews'] && $truncated === null; $i++) {
+            $persona   = $personas[$i % count($personas)];
+            $run       = $this->runPilotInterview($surveyId, $questionId, $provider, $respondent, $piped['prompt'], $settings, $persona);
+            $runs[]    = ['persona' => $persona['name']] + $run;
+            $truncated = $run['stopped'];
+        }
+
+        return [
+            'surveyId'               => $surveyId,
+            'questionId'             => $questionId,
+            'questionCode'           => (string) $oQuestion->title,
+            'settings'               => [
+                'provider'        => $provider['provider'],
+                'model'           => $provider['model'],
+                'respondentModel' => $respondent['model'],
+                'prompt'          => $settings['prompt'],
+                'maxTokens'       => $settings['maxTokens'],
+                'language'        => $settings['language'],
+                'personas'        => $personas,
+            ],
+            'unresolvedPlaceholders' => $piped['unresolved'],
+            'truncated'              => $truncated,
+            'summary'                => $this->summarisePilotRuns($runs, $settings['maxTokens']),
+            'runs'                   => $runs,
+        ];
+    }
+
+    /**
+     * Why a pilot must not make another model call, if it must not (see
+     * AIInterviewHelpers::getPilotStopReason())
+     *
+     * @return string|null 'time_limit', 'daily_cap' or null
+     */
+    private function getPilotStopReason(int $surveyId, array $settings): ?string
+    {
+        $dailyCap = $this->getLimitSetting('daily_token_cap', $surveyId, 0);
+        $usedToday = $dailyCap > 0
+            ? $this->getDailyTokenUsage($surveyId) + $this->getDailyTokenUsage($surveyId, true)
+            : 0;
+        return AIInterviewHelpers::getPilotStopReason(microtime(true), $settings['deadline'], $dailyCap, $usedToday);
+    }
+
+    /**
+     * Parse the personas field: one "name: description" per line. A line
+     * without a name is numbered; an empty field gives the default persona.
+     *
+     * @return array List of ['name', 'description']
+     */
+    private function parsePilotPersonas(string $text): array
+    {
+        if (trim($text) === '') {
+            $text = self::PILOT_DEFAULT_PERSONA;
+        }
+
+        $personas = [];
+        foreach (preg_split('/\r\n|\n|\r/', $text) as $line) {
+            $line = trim($line);
+            if ($line === '') continue;
+
+            $parts = explode(':', $line, 2);
+            if (count($parts) === 2 && trim($parts[0]) !== '' && trim($parts[1]) !== '') {
+                $personas[] = ['name' => trim($parts[0]), 'description' => trim($parts[1])];
+            } else {
+                $personas[] = ['name' => 'Persona ' . (count($personas) + 1), 'description' => $line];
+            }
+        }
+        return $personas;
+    }
+
+    /**
+     * Run one simulated interview
+     *
+     * @param  array  $provider   Interviewer provider, from getProviderConfig()
+     * @param  array  $respondent Provider that plays the respondent
+     * @param  string $prompt     The interviewer prompt, placeholders already piped
+     * @param  array  $persona    From parsePilotPersonas()
+     * @return array  ['endReason' => string|null, 'error' => string|null, 'stopped' (see
+     *                 getPilotStopReason()), 'answers', 'tokensUsed', 'respondentTokens',
+     *                 'refusedAnswers', 'transcript' (as parseTranscript())]
+     */
+    private function runPilotInterview(
+        int $surveyId,
+        int $questionId,
+        array $provider,
+        array $respondent,
+        string $prompt,
+        array $settings,
+        array $persona
+    ): array {
+        $rules  = $this->getAnswerRules($questionId);
+        $guide  = $this->getInterviewGuide($questionId);
+        $system = [['role' => 'system', 'content' => $this->buildSystemPrompt($prompt, $guide)]];
+        $this->injectLanguageInstruction($system, $settings['language']);
+
+        $run = [
+            'endReason'        => null,
+            'error'            => null,
+            'stopped'          => null,
+            'answers'          => 0,
+            'tokensUsed'       => 0,
+            'respondentTokens' => 0,
+            'refusedAnswers'   => 0,
+        ];
+        $startedAt    = gmdate('Y-m-d\TH:i:s\Z');
+        $conversation = [];
+        $turns        = [];
+        $covered      = [];
+        $words        = 0;
+
+        while (true) {
+            // The interviewer's turn, as handleChatRequest() builds it
+            $closing  = $rules['maxTurns'] > 0 && $run['answers'] >= $rules['maxTurns'];
+            $messages = array_merge($system, $conversation);
+            if ($closing) {
+                $messages[0]['content'] .= "\n\n" . self::LAST_ANSWER_INSTRUCTION;
+            }
+            $run['stopped'] = $this->getPilotStopReason($surveyId, $settings);
+            if ($run['stopped'] !== null) {
+                break;
+            }
+
+            $interviewer = $provider;
+            if ($provider['provider'] === 'mock') {
+                $interviewer['mock'] = $this->getMockScript($questionId, $settings['language']) + [
+                    'answers'  => $run['answers'],
+                    'closing'  => $closing,
+                    'rephrase' => '',
+                ];
+            }
+
+            $result = $this->requestCompletion($interviewer, $messages, $this->getCompletionTokens($provider, $messages));
+            if (isset($result['error'])) {
+                $run['error'] = $result['error'];
+                break;
+            }
+
+            $reply   = $this->parseControlMarkers($result['content']);
+            $refused = 0;
+            if (isset($reply['markers'][self::MARKER_COMPLETE]) && !$closing) {
+                $kept    = $this->continueOpenGuide($interviewer, $messages, $guide, $covered, $result, $reply);
+                $result  = $kept['result'];
+                $reply   = $kept['reply'];
+                $refused = $kept['tokensUsed'];
+            }
+            $tokens = $refused + ($result['tokens_used'] > 0
+                ? $result['tokens_used']
+                : $this->estimateMessagesTokens($messages) + $this->estimateTokens($result['content']));
+            $run['tokensUsed'] += $tokens;
+            $this->chargeDailyTokenUsage($surveyId, $tokens, true);
+
+            $turn = ['role' => 'assistant', 'text' => $reply['text'], 'ts' => gmdate('Y-m-d\TH:i:s\Z'), 'tokens' => $tokens];
+            if (!empty($guide)) {
+                $turn['covered'] = AIInterviewHelpers::parseCoveredItems($reply['markers'][self::MARKER_COVERED] ?? '', count($guide));
+                $covered         = array_values(array_unique(array_merge($covered, $turn['covered'])));
+            }
+            $turns[]        = $turn;
+            $conversation[] = ['role' => 'assistant', 'content' => $reply['text']];
+
+            // Endings in the order the widget checks them
+            if ($closing) {
+                $run['endReason'] = 'turns';
+            } elseif (isset($reply['markers'][self::MARKER_COMPLETE])) {
+                $run['endReason'] = 'ai';
+            } elseif ($run['tokensUsed'] >= $settings['maxTokens']) {
+                $run['endReason'] = 'budget';
+            } elseif ($run['answers'] >= self::PILOT_MAX_ANSWERS) {
+                $run['endReason'] = 'pilot_cap';
+            }
+            if ($run['endReason'] !== null) {
+                break;
+            }
+
+            // The respondent's turn
+            $run['stopped'] = $this->getPilotStopReason($surveyId, $settings);
+            if ($run['stopped'] !== null) {
+                break;
+            }
+            $canFinish = $run['answers'] >= $rules['minTurns'] && $words >= $rules['minWords'];
+            $answer    = $this->askPilotRespondent($respondent, $persona, $conversation, $settings['language'], $canFinish);
+            if (isset($answer['error'])) {
+                $run['error'] = 'Simulated respondent: ' . $answer['error'];
+                break;
+            }
+            $run['respondentTokens'] += $answer['tokens'];
+            $this->chargeDailyTokenUsage($surveyId, $answer['tokens'], true);
+
+            if ($answer['finish'] && $canFinish) {
+                $run['endReason'] = 'manual';
+                break;
+            }
+            if ($answer['text'] === '') {
+                $run['error'] = 'The simulated respondent gave no answer';
+                break;
+            }
+
+            $text = $answer['text'];
+            if ($this->checkAnswerRules($rules, [['role' => 'user', 'content' => $text]], $run['answers'] + 1) !== null) {
+                $run['refusedAnswers']++;
+                $text = mb_substr($text, 0, $rules['maxLength'] > 0 ? $rules['maxLength'] : self::MAX_ANSWER_LENGTH);
+            }
+            $words += preg_match_all('/\S+/u', $text);
+            $run['answers']++;
+
+            $turns[]        = ['role' => 'user', 'text' => $text, 'ts' => gmdate('Y-m-d\TH:i:s\Z'), 'tokens' => 0];
+            $conversation[] = ['role' => 'user', 'content' => $text];
+        }
+
+        $run['transcript'] = [
+            'format'     => self::TRANSCRIPT_FORMAT,
+            'version'    => self::TRANSCRIPT_VERSION,
+            'status'     => $run['endReason'] !== null ? 'concluded' : 'in_progress',
+            'endReason'  => $run['endReason'],
+            'startedAt'  => $startedAt,
+            'updatedAt'  => gmdate('Y-m-d\TH:i:s\Z'),
+            'tokensUsed' => $run['tokensUsed'],
+            'turns'      => $turns,
+        ];
+        if (!empty($guide)) {
+            $run['transcript']['coverage'] = $this->summariseCoverage($guide, $covered);
+        }
+
+        return $run;
+    }
+
+    /**
+     * Have the respondent model answer the interviewer's latest message in
+     * character. It sees the conversation from the respondent's side, so the
+     * interviewer's messages are its "user" turns.
+     *
+     * @param  bool  $canFinish Offer the FINISH marker (the answer rules allow finishing)
+     * @return array ['text', 'finish' => bool, 'tokens'] or ['error' => string]
+     */
+    private function askPilotRespondent(array $provider, array $persona, array $conversation, string $language, bool $canFinish): array
+    {
+        $instructions = sprintf(self::PILOT_RESPONDENT_PROMPT, $persona['description']);
+        if ($canFinish) {
+            $instructions .= "\n\nYou may stop the interview whenever this person would lose interest or has nothing to add: "
+                . 'then reply with only [[' . self::PILOT_MARKER_FINISH . ']].';
+        }
+
+        $messages = [['role' => 'system', 'content' => $instructions]];
+        foreach ($conversation as $msg) {
+            $messages[] = ['role' => $msg['role'] === 'assistant' ? 'user' : 'assistant', 'content' => $msg['content']];
+        }
+        $this->injectLanguageInstruction($messages, $language);
+
+        if ($provider['provider'] === 'mock') {
+            // Offline, the respondent repeats the interviewer's question back
+            $provider['mock'] = [
+                'mode'     => 'echo',
+                'lines'    => [],
+                'answers'  => count($conversation),
+                'closing'  => false,
+                'rephrase' => '',
+            ];
+        }
+
+        $result = $this->requestCompletion($provider, $messages, $this->getCompletionTokens($provider, $messages, self::PILOT_ANSWER_TOKENS));
+        if (isset($result['error'])) {
+            return ['error' => $result['error']];
+        }
+
+        $answer = $this->parseControlMarkers($result['content']);
+        return [
+            'text'   => $answer['text'],
+            'finish' => isset($answer['markers'][self::PILOT_MARKER_FINISH]),
+            'tokens' => $result['tokens_used'] > 0
+                ? $result['tokens_used']
+                : $this->estimateMessagesTokens($messages) + $this->estimateTokens($result['content']),
+        ];
+    }
+
+    /**
+     * Totals over a pilot's runs
+     *
+     * @return array ['interviews', 'endReasons' => [reason => count] ("error" for failed runs,
+     *               "stopped" for a run the pilot cut short),
+     *               'answers' and 'tokensUsed' => ['min', 'max', 'mean'], 'overBudget' (runs that reached
+     *               the budget), 'respondentTokens' and 'refusedAnswers' (sums)]
+     */
+    private function summarisePilotRuns(array $runs, int $maxTokens): array
+    {
+        $stats = function (array $values): array {
+            return [
+                'min'  => empty($values) ? 0 : min($values),
+                'max'  => empty($values) ? 0 : max($values),
+                'mean' => empty($values) ? 0 : round(array_sum($values) / count($values), 1),
+            ];
+        };
+
+        $endReasons = [];
+        foreach ($runs as $run) {
+            $reason = $run['error'] !== null ? 'error' : ($run['stopped'] !== null ? 'stopped' : $run['endReason']);
+            $endReasons[$reason] = ($endReasons[$reason] ?? 0) + 1;
+        }
+
+        return [
+            'interviews'       => count($runs),
+            'endReasons'       => $endReasons,
+            'answers'          => $stats(array_column($runs, 'answers')),
+            'tokensUsed'       => $stats(array_column($runs, 'tokensUsed')),
+            'overBudget'       => count(array_filter(array_column($runs, 'tokensUsed'), function ($tokens) use ($maxTokens) {
+                return $tokens >= $maxTokens;
+            })),
+            'respondentTokens' => array_sum(array_column($runs, 'respondentTokens')),
+            'refusedAnswers'   => array_sum(array_column($runs, 'refusedAnswers')),
+        ];
+    }
+
+    /**
+     * The pilot form, prefilled with the question's prompt and budget
+     */
+    private function renderPilotForm(int $surveyId, Question $oQuestion, array $settings): string
+    {
+        $e = function (string $text): string {
+            return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+        };
+        $request = Yii::app()->request;
+        $field   = 'display:block;width:100%;box-sizing:border-box;margin:0.25em 0 1em;';
+
+        return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>AI Interview pilot</title></head>'
+            . '<body style="font-family:sans-serif;max-width:800px;margin:2em auto;">'
+            . '<h1>Pilot ' . $e((string) $oQuestion->title) . '</h1>'
+            . '<p>Runs simulated interviews with the survey\'s AI provider. Each interview costs tokens and takes a while; '
+            . 'nothing is saved in the survey.</p>'
+            . '<form method="post">'
+            . '<input type="hidden" name="' . $e($request->csrfTokenName) . '" value="' . $e($request->csrfToken) . '">'
+            . '<input type="hidden" name="surveyId" value="' . $surveyId . '">'
+            . '<input type="hidden" name="questionId" value="' . (int) $oQuestion->qid . '">'
+            . '<label>Personas — one "name: description" per line'
+            . '<textarea name="personas" rows="5" style="' . $field . '" placeholder="' . $e(self::PILOT_DEFAULT_PERSONA) . '">'
+            . $e($settings['personas']) . '</textarea></label>'
+            . '<label>Interviews (1–' . self::PILOT_MAX_INTERVIEWS . ', personas taken in turn)'
+            . '<input type="number" name="interviews" min="1" max="' . self::PILOT_MAX_INTERVIEWS . '" value="'
+            . (int) $settings['interviews'] . '" style="' . $field . '"></label>'
+            . '<label>Interviewer prompt'
+            . '<textarea name="prompt" rows="10" style="' . $field . '">' . $e($settings['prompt']) . '</textarea></label>'
+            . '<label>Token budget'
+            . '<input type="number" name="maxTokens" min="1" value="' . (int) $settings['maxTokens'] . '" style="' . $field . '"></label>'
+            . '<label>Respondent model (empty: the interviewer\'s model)'
+            . '<input type="text" name="respondentModel" value="' . $e($settings['respondentModel']) . '" style="' . $field . '"></label>'
+            . '<label>Language'
+            . '<input type="text" name="language" value="' . $e($settings['language']) . '" style="' . $field . '"></label>'
+            . '<label>Report'
+            . '<select name="format" style="' . $field . '"><option value="html">Web page</option><option value="json">JSON</option></select></label>'
+            . '<button type="submit">Run pilot</button>'
+            . '</form></body></html>';
+    }
+
+    /**
+     * The pilot report as a web page: settings, totals, one row per run and
+     * the transcripts (all text is escaped)
+     */
+    private function renderPilotReport(array $report): string
+    {
+        $e = function (string $text): string {
+            return htmlspecialchars($text, ENT_QUOTES, 'UTF-8');
+        };
+        $settings = $report['settings'];
+        $summary  = $report['summary'];
+        $cell     = 'style="border:1px solid #d1d5db;padding:0.25em 0.5em;text-align:left;"';
+
+        $html = '<h1>Pilot ' . $e($report['questionCode']) . '</h1>'
+              . '<p><strong>Interviewer:</strong> ' . $e($settings['provider'] . ' / ' . $settings['model'])
+              . ' &middot; <strong>Respondents:</strong> ' . $e($settings['respondentModel'])
+              . ' &middot; <strong>Token budget:</strong> ' . (int) $settings['maxTokens']
+              . ' &middot; <strong>Language:</strong> ' . $e($settings['language']) . '</p>'
+              . '<details><summary>Interviewer prompt</summary><div style="white-space:pre-wrap;">' . $e($settings['prompt']) . '</div></details>';
+
+        if (!empty($report['unresolvedPlaceholders'])) {
+            $html .= '<p style="color:#b45309;">Placeholders removed from the prompt (they are filled in from a respondent\'s session): '
+                   . $e(implode(', ', $report['unresolvedPlaceholders'])) . '</p>';
+        }
+
+        $reasons = [];
+        foreach ($summary['endReasons'] as $reason => $count) {
+            $labels    = ['error' => 'failed', 'stopped' => 'cut short'];
+            $reasons[] = $count . ' × ' . ($labels[$reason]
+                ?? $this->describeTranscriptStatus(['status' => 'concluded', 'endReason' => $reason]));
+        }
+        if ($report['truncated'] !== null) {
+            $html .= '<p style="color:#b91c1c;"><strong>The pilot stopped early</strong> — '
+                   . ($report['truncated'] === 'daily_cap'
+                       ? 'the survey\'s daily token cap has been reached.'
+                       : 'it ran out of time. Run fewer interviews at a time.')
+                   . ' The report covers the interviews run so far.</p>';
+        }
+
+        $html .= '<h2>Summary</h2><ul>'
+               . '<li><strong>Interviews:</strong> ' . (int) $summary['interviews'] . '</li>'
+               . '<li><strong>Endings:</strong> ' . $e(implode('; ', $reasons)) . '</li>'
+               . '<li><strong>Answers:</strong> ' . $e($summary['answers']['mean'] . ' on average ('
+                   . $summary['answers']['min'] . '–' . $summary['answers']['max'] . ')') . '</li>'
+               . '<li><strong>Interviewer tokens:</strong> ' . $e($summary['tokensUsed']['mean'] . ' on average ('
+                   . $summary['tokensUsed']['min'] . '–' . $summary['tokensUsed']['max'] . '); '
+                   . $summary['overBudget'] . ' reached the budget') . '</li>'
+               . '<li><strong>Respondent tokens:</strong> ' . (int) $summary['respondentTokens'] . ' in total</li>'
+               . '<li><strong>Answers the length rules would refuse:</strong> ' . (int) $summary['refusedAnswers'] . '</li>'
+               . '</ul>';
+
+        $html .= '<table style="border-collapse:collapse;"><tr>';
+        foreach (['#', 'Persona', 'Ended', 'Answers', 'Tokens', 'Respondent tokens', 'Refused answers'] as $heading) {
+            $html .= '<th ' . $cell . '>' . $e($heading) . '</th>';
+        }
+        $html .= '</tr>';
+        foreach ($report['runs'] as $index => $run) {
+            if ($run['error'] !== null) {
+                $ended = 'Failed: ' . $run['error'];
+            } elseif ($run['stopped'] !== null) {
+                $ended = 'Cut short: ' . ($run['stopped'] === 'daily_cap' ? 'daily token cap reached' : 'time limit reached');
+            } else {
+                $ended = $this->describeTranscriptStatus($run['transcript']);
+            }
+            $html .= '<tr>'
+                   . '<td ' . $cell . '>' . ($index + 1) . '</td>'
+                   . '<td ' . $cell . '>' . $e($run['persona']) . '</td>'
+                   . '<td ' . $cell . '>' . $e($ended) . '</td>'
+                   . '<td ' . $cell . '>' . (int) $run['answers'] . '</td>'
+                   . '<td ' . $cell . '>' . (int) $run['tokensUsed'] . '</td>'
+                   . '<td ' . $cell . '>' . (int) $run['respondentTokens'] . '</td>'
+                   . '<td ' . $cell . '>' . (int) $run['refusedAnswers'] . '</td>'
+                   . '</tr>';
+        }
+        $html .= '</table>';
+
+        foreach ($report['runs'] as $index => $run) {
+            $html .= $this->renderTranscriptHtml('Interview ' . ($index + 1) . ' — ' . $run['persona'], $run['transcript']);
+        }
+
+        return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>AI Interview pilot</title></head>'
+            . '<body style="font-family:sans-serif;max-width:800px;margin:2em auto;">' . $html . '</body></html>';
+    }
+}
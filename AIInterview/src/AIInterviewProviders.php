@@ -0,0 +1,464 @@
+<?php
+/**
+ * AIInterview - LLM provider adapters
+ *
+ * Part of the AIInterview plugin class (AIInterview.php). The overview and
+ * the constants these methods use are in its LLM PROVIDERS section, as traits
+ * cannot declare constants before PHP 8.2.
+ *
+ * @license     GPL v2
+ */
+
+trait AIInterviewProviders
+{
+    /**
+     * Resolve the provider configuration for a survey: the survey's own
+     * settings where set, the global plugin settings otherwise, then the
+     * adapter defaults.
+     *
+     * When a survey selects a different provider than the global one, the
+     * global API key and base URL are not inherited, so the global key is never
+     * sent to another service. Neither is it when the survey sets its own base
+     * URL or authentication scheme: whoever may edit a survey's settings must
+     * not be able to point the global key at a host of their choosing.
+     *
+     * @param  int   $surveyId 0 for the global configuration only
+     * @return array ['provider', 'apiKey', 'model', 'fallbackModels', 'baseUrl', 'authScheme', 'apiVersion', 'contextWindow'],
+     *               or ['error' => string] when the configuration is incomplete
+     */
+    private function getProviderConfig(int $surveyId = 0): array
+    {
+        $global = [];
+        $survey = [];
+        foreach (self::SURVEY_PROVIDER_SETTINGS as $name) {
+            $global[$name] = trim((string) $this->get($name, null, null, ''));
+            $survey[$name] = $surveyId > 0 ? trim((string) $this->get($name, 'Survey', $surveyId, '')) : '';
+        }
+
+        $globalProvider = $global['provider'] !== '' ? $global['provider'] : 'openai';
+        $provider       = $survey['provider'] !== '' ? $survey['provider'] : $globalProvider;
+
+        if (!isset(self::PROVIDERS[$provider])) {
+            return ['error' => 'Unknown AI provider "' . $provider . '"'];
+        }
+
+        // Connection settings of the global provider only apply to that provider
+        $inherit = $provider === $globalProvider;
+        $value   = function (string $name) use ($survey, $global, $inherit): string {
+            if ($survey[$name] !== '') {
+                return $survey[$name];
+            }
+            return $inherit || $name === 'azure_api_version' ? $global[$name] : '';
+        };
+
+        // ... and the global key only to the global endpoint
+        $ownEndpoint = ($survey['provider_base_url'] !== '' && rtrim($survey['provider_base_url'], '/') !== rtrim($global['provider_base_url'], '/'))
+            || ($survey['provider_auth_scheme'] !== '' && $survey['provider_auth_scheme'] !== $global['provider_auth_scheme']);
+        $apiKey      = $survey['openai_api_key'] !== '' || !$ownEndpoint ? $value('openai_api_key') : '';
+
+        $defaults = self::PROVIDERS[$provider];
+        $config   = [
+            'provider'       => $provider,
+            'apiKey'         => $apiKey,
+            'model'          => $value('openai_model'),
+            'fallbackModels' => array_values(array_filter(array_map('trim', explode(',', $value('fallback_models'))), 'strlen')),
+            'baseUrl'        => rtrim($value('provider_base_url'), '/'),
+            'authScheme'     => $value('provider_auth_scheme'),
+            'apiVersion'     => $value('azure_api_version'),
+            'contextWindow'  => (int) $value('context_window'),
+        ];
+
+        if ($config['authScheme'] === '') {
+            // A local server usually needs no key; send none rather than an empty one
+            $config['authScheme'] = $provider === 'openai_compatible' && $config['apiKey'] === ''
+                ? 'none'
+                : $defaults['authScheme'];
+        }
+        if ($config['model'] === '')       $config['model']         = $defaults['model'];
+        if ($config['baseUrl'] === '')     $config['baseUrl']       = $defaults['baseUrl'];
+        if ($config['apiVersion'] === '')  $config['apiVersion']    = self::AZURE_DEFAULT_API_VERSION;
+        if ($config['contextWindow'] <= 0) $config['contextWindow'] = $defaults['contextWindow'];
+
+        if ($provider === 'mock') {
+            // Nothing is sent anywhere, so there is no URL or key to check
+            $config['authScheme'] = 'none';
+            return $config;
+        }
+
+        if (!isset(self::AUTH_SCHEMES[$config['authScheme']])) {
+            return ['error' => 'Unknown authentication scheme "' . $config['authScheme'] . '"'];
+        }
+        if ($config['baseUrl'] === '' || !preg_match('#^https?://#i', $config['baseUrl'])) {
+            return ['error' => self::PROVIDERS[$provider]['label'] . ' needs an http(s) base URL'];
+        }
+        if ($config['model'] === '') {
+            return ['error' => self::PROVIDERS[$provider]['label'] . ' needs a model' . ($provider === 'azure' ? ' (deployment name)' : '')];
+        }
+        if ($config['authScheme'] !== 'none' && $config['apiKey'] === '') {
+            return ['error' => 'No API key configured for ' . self::PROVIDERS[$provider]['label']];
+        }
+
+        return $config;
+    }
+
+    /**
+     * Build the HTTP request for a chat call in the provider's format
+     *
+     * @param  array $provider   From getProviderConfig()
+     * @param  array $messages   OpenAI-style messages, system message first
+     * @param  int   $maxTokens  Maximum completion tokens
+     * @return array ['url', 'headers' => string[], 'body' => array]
+     */
+    private function buildProviderRequest(array $provider, array $messages, int $maxTokens, bool $stream): array
+    {
+        $headers = ['Content-Type: application/json'];
+        if ($stream) {
+            $headers[] = 'Accept: text/event-stream';
+        }
+        switch ($provider['authScheme']) {
+            case 'bearer':    $headers[] = 'Authorization: Bearer ' . $provider['apiKey']; break;
+            case 'api-key':   $headers[] = 'api-key: ' . $provider['apiKey']; break;
+            case 'x-api-key': $headers[] = 'x-api-key: ' . $provider['apiKey']; break;
+        }
+        $headers[] = 'User-Agent: LimeSurvey-AIInterview/1.0';
+
+        if ($provider['provider'] === 'anthropic') {
+            // The system prompt is a top-level field, and the conversation must
+            // open with a user turn — our interviews open with the interviewer
+            $system = [];
+            $turns  = [];
+            foreach ($messages as $msg) {
+                if ($msg['role'] === 'system') {
+                    $system[] = $msg['content'];
+                } else {
+                    $turns[] = ['role' => $msg['role'], 'content' => $msg['content']];
+                }
+            }
+            if (empty($turns) || $turns[0]['role'] !== 'user') {
+                array_unshift($turns, ['role' => 'user', 'content' => 'Please begin the interview.']);
+            }
+
+            $headers[] = 'anthropic-version: ' . self::ANTHROPIC_API_VERSION;
+
+            return [
+                'url'     => $provider['baseUrl'] . '/messages',
+                'headers' => $headers,
+                'body'    => [
+                    'model'      => $provider['model'],
+                    'system'     => implode("\n\n", $system),
+                    'messages'   => $turns,
+                    'max_tokens' => $maxTokens,
+                    'stream'     => $stream,
+                ],
+            ];
+        }
+
+        $body = [
+            'model'      => $provider['model'],
+            'messages'   => $messages,
+            'max_tokens' => $maxTokens,
+        ];
+        if ($stream) {
+            $body['stream'] = true;
+            // Ask for a final usage chunk so the token budget stays accurate.
+            // Not every compatible server knows this option, so only the hosted
+            // APIs get it; the others are charged an estimate.
+            if ($provider['provider'] !== 'openai_compatible') {
+                $body['stream_options'] = ['include_usage' => true];
+            }
+        }
+
+        $url = $provider['provider'] === 'azure'
+            ? $provider['baseUrl'] . '/openai/deployments/' . rawurlencode($provider['model'])
+              . '/chat/completions?api-version=' . rawurlencode($provider['apiVersion'])
+            : $provider['baseUrl'] . '/chat/completions';
+
+        return ['url' => $url, 'headers' => $headers, 'body' => $body];
+    }
+
+    /**
+     * Read a complete (non-streamed) reply
+     *
+     * @return array ['content', 'tokens_used', 'finish_reason'] or ['error' => string]
+     */
+    private function parseProviderResponse(array $provider, array $data): array
+    {
+        if ($provider['provider'] === 'anthropic') {
+            $content = '';
+            foreach ((array) ($data['content'] ?? []) as $block) {
+                if (($block['type'] ?? '') === 'text') {
+                    $content .= (string) $block['text'];
+                }
+            }
+            $usage = (int) ($data['usage']['input_tokens'] ?? 0) + (int) ($data['usage']['output_tokens'] ?? 0);
+            $finishReason = $this->normaliseFinishReason((string) ($data['stop_reason'] ?? ''));
+        } else {
+            $content      = (string) ($data['choices'][0]['message']['content'] ?? '');
+            $usage        = (int) ($data['usage']['total_tokens'] ?? 0);
+            $finishReason = (string) ($data['choices'][0]['finish_reason'] ?? 'stop');
+        }
+
+        if ($content === '') {
+            return ['error' => 'The AI returned an empty response. Please try again.'];
+        }
+
+        return [
+            'content'       => $content,
+            'tokens_used'   => $usage,
+            'finish_reason' => $finishReason,
+        ];
+    }
+
+    /**
+     * Read one server-sent event of a streamed reply
+     *
+     * @return array ['delta' => string, 'input_tokens' => ?int, 'output_tokens' => ?int,
+     *                'total_tokens' => ?int, 'finish_reason' => ?string, 'error' => ?string]
+     */
+    private function parseProviderStreamEvent(array $provider, array $json): array
+    {
+        $event = [
+            'delta'         => '',
+            'input_tokens'  => null,
+            'output_tokens' => null,
+            'total_tokens'  => null,
+            'finish_reason' => null,
+            'error'         => null,
+        ];
+
+        if ($provider['provider'] === 'anthropic') {
+            switch ($json['type'] ?? '') {
+                case 'message_start':
+                    $event['input_tokens'] = (int) ($json['message']['usage']['input_tokens'] ?? 0);
+                    break;
+                case 'content_block_delta':
+                    $event['delta'] = (string) ($json['delta']['text'] ?? '');
+                    break;
+                case 'message_delta':
+                    $event['output_tokens'] = (int) ($json['usage']['output_tokens'] ?? 0);
+                    if (!empty($json['delta']['stop_reason'])) {
+                        $event['finish_reason'] = $this->normaliseFinishReason((string) $json['delta']['stop_reason']);
+                    }
+                    break;
+                case 'error':
+                    $event['error'] = (string) ($json['error']['message'] ?? 'Unknown error');
+                    break;
+            }
+            return $event;
+        }
+
+        if (isset($json['usage']['total_tokens'])) {
+            $event['total_tokens'] = (int) $json['usage']['total_tokens'];
+        }
+        if (!empty($json['choices'][0]['finish_reason'])) {
+            $event['finish_reason'] = (string) $json['choices'][0]['finish_reason'];
+        }
+        if (isset($json['error']['message'])) {
+            $event['error'] = (string) $json['error']['message'];
+        }
+        $event['delta'] = (string) ($json['choices'][0]['delta']['content'] ?? '');
+
+        return $event;
+    }
+
+    /**
+     * Map Anthropic stop reasons onto the OpenAI finish_reason values the widget knows
+     */
+    private function normaliseFinishReason(string $reason): string
+    {
+        return $reason === 'max_tokens' ? 'length' : 'stop';
+    }
+
+    /**
+     * Error message from a provider's error document (OpenAI, Azure and
+     * Anthropic all use {"error": {"message": "..."}})
+     */
+    private function describeProviderError($data, int $httpCode): string
+    {
+        $errMsg = isset($data['error']['message'])
+                  ? $data['error']['message']
+                  : 'HTTP ' . $httpCode;
+        return 'AI service error: ' . $errMsg;
+    }
+
+    /**
+     * Call the configured provider via cURL (server-side only)
+     *
+     * @param  array  $provider            From getProviderConfig()
+     * @param  array  $messages            OpenAI-style messages, system message first
+     * @param  int    $maxCompletionTokens Longest reply (see getCompletionTokens())
+     * @return array  On success: ['content', 'tokens_used', 'finish_reason']
+     *                On failure: ['error' => string, 'status' => provider HTTP status, 0 for network errors]
+     */
+    private function callProvider(array $provider, array $messages, int $maxCompletionTokens): array
+    {
+        $request = $this->buildProviderRequest($provider, $messages, $maxCompletionTokens, false);
+        $payload = json_encode($request['body'], JSON_UNESCAPED_UNICODE);
+
+        if ($payload === false) {
+            return ['error' => 'Failed to encode request payload'];
+        }
+
+        $ch = curl_init($request['url']);
+
+        if ($ch === false) {
+            return ['error' => 'cURL initialisation failed'];
+        }
+
+        curl_setopt_array($ch, [
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_POST           => true,
+            CURLOPT_POSTFIELDS     => $payload,
+            CURLOPT_TIMEOUT        => 90,
+            CURLOPT_CONNECTTIMEOUT => 15,
+            CURLOPT_HTTPHEADER     => $request['headers'],
+            // Verify SSL certificate (important for security)
+            CURLOPT_SSL_VERIFYPEER => true,
+            CURLOPT_SSL_VERIFYHOST => 2,
+        ]);
+
+        $response  = curl_exec($ch);
+        $httpCode  = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curlError = curl_error($ch);
+        curl_close($ch);
+
+        if ($curlError) {
+            return ['error' => 'Network error contacting AI service: ' . $curlError, 'status' => 0];
+        }
+
+        if ($response === false || $response === '') {
+            return ['error' => 'Empty response from AI service', 'status' => (int) $httpCode];
+        }
+
+        $data = json_decode($response, true);
+
+        if ($httpCode !== 200) {
+            return ['error' => $this->describeProviderError($data, $httpCode), 'status' => (int) $httpCode];
+        }
+
+        if (!is_array($data)) {
+            return ['error' => 'Unexpected response from AI service'];
+        }
+
+        return $this->parseProviderResponse($provider, $data);
+    }
+
+    /**
+     * Call the configured provider in streaming mode and relay each content
+     * chunk through $onDelta as it arrives.
+     *
+     * The event stream to the browser is only opened when the first chunk is
+     * relayed, so failures before that point (bad key, quota, network) come back
+     * as an ordinary error result and the caller can still answer with JSON.
+     *
+     * @param  array    $provider            From getProviderConfig()
+     * @param  array    $messages            OpenAI-style messages, system message first
+     * @param  int      $maxCompletionTokens Longest reply (see getCompletionTokens())
+     * @param  callable $onDelta             Receives each text chunk (string)
+     * @return array    Same shape as callProvider(), plus 'streamed' => true once
+     *                  the event stream has been opened
+     */
+    private function streamProvider(array $provider, array $messages, int $maxCompletionTokens, callable $onDelta): array
+    {
+        $request = $this->buildProviderRequest($provider, $messages, $maxCompletionTokens, true);
+        $payload = json_encode($request['body'], JSON_UNESCAPED_UNICODE);
+
+        if ($payload === false) {
+            return ['error' => 'Failed to encode request payload'];
+        }
+
+        $ch = curl_init($request['url']);
+
+        if ($ch === false) {
+            return ['error' => 'cURL initialisation failed'];
+        }
+
+        $buffer       = '';
+        $errorBody    = '';
+        $content      = '';
+        $usage        = ['input' => 0, 'output' => 0, 'total' => 0];
+        $finishReason = 'stop';
+        $streamError  = null;
+        $streamed     = false;
+
+        $onChunk = function ($ch, string $chunk) use (&$buffer, &$errorBody, &$content, &$usage, &$finishReason, &$streamError, &$streamed, $provider, $onDelta) {
+            // A non-200 response is a regular JSON error document — collect it whole
+            if ((int) curl_getinfo($ch, CURLINFO_HTTP_CODE) !== 200) {
+                $errorBody .= $chunk;
+                return strlen($chunk);
+            }
+
+            // SSE lines may be split across chunks; only parse complete lines
+            $buffer .= $chunk;
+            while (($pos = strpos($buffer, "\n")) !== false) {
+                $line   = trim(substr($buffer, 0, $pos));
+                $buffer = (string) substr($buffer, $pos + 1);
+
+                if (strpos($line, 'data:') !== 0) continue;
+                $data = trim(substr($line, 5));
+                if ($data === '' || $data === '[DONE]') continue;
+
+                $json = json_decode($data, true);
+                if (!is_array($json)) continue;
+
+                $event = $this->parseProviderStreamEvent($provider, $json);
+                if ($event['input_tokens'] !== null)  $usage['input']  = $event['input_tokens'];
+                if ($event['output_tokens'] !== null) $usage['output'] = $event['output_tokens'];
+                if ($event['total_tokens'] !== null)  $usage['total']  = $event['total_tokens'];
+                if ($event['finish_reason'] !== null) $finishReason    = $event['finish_reason'];
+                if ($event['error'] !== null)         $streamError     = $event['error'];
+
+                if ($event['delta'] === '') continue;
+
+                if (!$streamed) {
+                    $this->beginEventStream();
+                    $streamed = true;
+                }
+                $content .= $event['delta'];
+                $onDelta($event['delta']);
+            }
+
+            return strlen($chunk);
+        };
+
+        curl_setopt_array($ch, [
+            CURLOPT_POST           => true,
+            CURLOPT_POSTFIELDS     => $payload,
+            CURLOPT_WRITEFUNCTION  => $onChunk,
+            CURLOPT_TIMEOUT        => 90,
+            CURLOPT_CONNECTTIMEOUT => 15,
+            CURLOPT_HTTPHEADER     => $request['headers'],
+            CURLOPT_SSL_VERIFYPEER => true,
+            CURLOPT_SSL_VERIFYHOST => 2,
+        ]);
+
+        curl_exec($ch);
+        $httpCode  = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $curlError = curl_error($ch);
+        curl_close($ch);
+
+        if ($curlError) {
+            return ['error' => 'Network error contacting AI service: ' . $curlError, 'status' => 0, 'streamed' => $streamed];
+        }
+
+        if ($httpCode !== 200) {
+            return ['error' => $this->describeProviderError(json_decode($errorBody, true), $httpCode), 'status' => (int) $httpCode];
+        }
+
+        if ($streamError !== null) {
+            // The provider gave up mid-response (e.g. overloaded)
+            return ['error' => 'AI service error: ' . $streamError, 'status' => 500, 'streamed' => $streamed];
+        }
+
+        if ($content === '') {
+            return ['error' => 'The AI returned an empty response. Please try again.'];
+        }
+
+        return [
+            'content'       => $content,
+            'tokens_used'   => $usage['total'] > 0 ? $usage['total'] : $usage['input'] + $usage['output'],
+            'finish_reason' => $finishReason,
+            'streamed'      => $streamed,
+        ];
+    }
+}
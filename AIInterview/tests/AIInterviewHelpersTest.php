@@ -0,0 +1,169 @@
+<?php
+
+use PHPUnit\Framework\TestCase;
+
+class AIInterviewHelpersTest extends TestCase
+{
+    // =========================================================================
+    // INTERVIEW GUIDE & COVERAGE
+    // =========================================================================
+
+    /**
+     * @dataProvider coveredItemsProvider
+     */
+    public function testParseCoveredItems(string $value, int $total, array $expected): void
+    {
+        $this->assertSame($expected, AIInterviewHelpers::parseCoveredItems($value, $total));
+    }
+
+    public function coveredItemsProvider(): array
+    {
+        return [
+            'list'                => ['1, 3', 4, [1, 3]],
+            'sorted, no repeats'  => ['3,1,3', 4, [1, 3]],
+            'other separators'    => ['2 and 4; 1', 4, [1, 2, 4]],
+            'out of range'        => ['0, 2, 5, 12', 4, [2]],
+            'no numbers'          => ['none', 4, []],
+            'empty'               => ['', 4, []],
+            'no guide'            => ['1', 0, []],
+        ];
+    }
+
+    // =========================================================================
+    // TURN-LEVEL EXPORT
+    // =========================================================================
+
+    /**
+     * The CSV line writeExportCsvRow() writes for a row
+     */
+    private function csvLine(array $row): string
+    {
+        $handle = fopen('php://memory', 'w+');
+        AIInterviewHelpers::writeExportCsvRow($handle, $row);
+        rewind($handle);
+        $line = stream_get_contents($handle);
+        fclose($handle);
+        return $line;
+    }
+
+    /**
+     * @dataProvider formulaProvider
+     */
+    public function testFormulasAreWrittenAsText(string $cell, string $expected): void
+    {
+        $this->assertSame($expected . "\n", $this->csvLine([$cell]));
+    }
+
+    public function formulaProvider(): array
+    {
+        return [
+            'equals'          => ['=SUM(A1:A2)', "'=SUM(A1:A2)"],
+            'plus'            => ['+1+2', "'+1+2"],
+            'minus'           => ['-1', "'-1"],
+            'at'              => ['@cmd', "'@cmd"],
+            'tab'             => ["\tx", "\"'\tx\""],
+            'carriage return' => ["\rx", "\"'\rx\""],
+            'with a comma'    => ['=A1,B1', "\"'=A1,B1\""],
+            'formula later'   => ['a=1', 'a=1'],
+            'plain text'      => ['I agree', '"I agree"'],
+        ];
+    }
+
+    public function testFlagsAndNumbersAreNotEscaped(): void
+    {
+        $this->assertSame("1,0,42,-3,\n", $this->csvLine([true, false, 42, -3, null]));
+    }
+
+    public function testQuotesAndLineBreaks(): void
+    {
+        $this->assertSame("\"say \"\"hi\"\"\",\"two\nlines\",back\\slash\n", $this->csvLine(['say "hi"', "two\nlines", 'back\\slash']));
+    }
+
+    // =========================================================================
+    // PII REDACTION
+    // =========================================================================
+
+    /**
+     * @dataProvider piiProvider
+     */
+    public function testBuiltInPatterns(string $text, string $masked, array $labels): void
+    {
+        $this->assertSame(
+            ['text' => $masked, 'labels' => $labels],
+            AIInterviewHelpers::maskPii($text, AIInterviewHelpers::PII_PATTERNS)
+        );
+    }
+
+    public function piiProvider(): array
+    {
+        return [
+            'email'             => ['Write to jane.doe+survey@example.co.uk.', 'Write to [EMAIL].', ['EMAIL']],
+            'phone'             => ['Call me on +44 20 7946 0958 tonight', 'Call me on [PHONE] tonight', ['PHONE']],
+            'phone in brackets' => ['Office: (030) 1234567', 'Office: [PHONE]', ['PHONE']],
+            'card'              => ['Card 4111 1111 1111 1111 expired', 'Card [CARD] expired', ['CARD']],
+            'not a card'        => ['Order 4111 1111 1111 1112 arrived', 'Order 4111 1111 1111 1112 arrived', []],
+            'iban'              => ['Pay to DE89 3704 0044 0532 0130 00', 'Pay to [IBAN]', ['IBAN']],
+            'street address'    => ['I live at 221b Baker Street now', 'I live at [ADDRESS] now', ['ADDRESS']],
+            'german address'    => ['Wir wohnen in der Hauptstraße 5.', 'Wir wohnen in der [ADDRESS].', ['ADDRESS']],
+            'date'              => ['Since 2024-03-15 I work from home', 'Since 2024-03-15 I work from home', []],
+            'year range'        => ['I was there 2010-2015', 'I was there 2010-2015', []],
+            'spaced year range' => ['From 1998 / 2004 on', 'From 1998 / 2004 on', []],
+            'short number'      => ['We are 12 people in 3 teams', 'We are 12 people in 3 teams', []],
+            'labels once each'  => ['a@example.org or b@example.org', '[EMAIL] or [EMAIL]', ['EMAIL']],
+            'labels in order'   => ['Mail a@example.org, call 0171 2345678', 'Mail [EMAIL], call [PHONE]', ['EMAIL', 'PHONE']],
+        ];
+    }
+
+    public function testCustomPatterns(): void
+    {
+        $parsed = AIInterviewHelpers::parseRedactionPatterns(
+            "employee id: EMP-\\d{5}\n"
+            . "broken: (unclosed\n"
+            . "no label here\n"
+            . ": no label\n"
+            . "Website:https?://\\S+\n"
+        );
+
+        $this->assertSame(
+            ['EMPLOYEE_ID' => '/EMP-\\d{5}/iu', 'WEBSITE' => '/https?:\\/\\/\\S+/iu'],
+            $parsed['patterns']
+        );
+        $this->assertSame(['broken: (unclosed'], $parsed['invalid']);
+        $this->assertSame(
+            ['text' => 'See [WEBSITE] or ask [EMPLOYEE_ID]', 'labels' => ['EMPLOYEE_ID', 'WEBSITE']],
+            AIInterviewHelpers::maskPii('See https://example.org/me or ask emp-12345', $parsed['patterns'])
+        );
+    }
+
+    public function testRedactionLabels(): void
+    {
+        $this->assertSame('PHONE_NUMBER', AIInterviewHelpers::normaliseRedactionLabel(' phone number '));
+        $this->assertSame('NHS_NO', AIInterviewHelpers::normaliseRedactionLabel('NHS-no.'));
+        $this->assertSame('PII', AIInterviewHelpers::normaliseRedactionLabel('--'));
+    }
+
+    // =========================================================================
+    // PILOT RUNS
+    // =========================================================================
+
+    /**
+     * @dataProvider pilotStopProvider
+     */
+    public function testPilotStopReason(float $now, int $dailyCap, int $usedToday, ?string $expected): void
+    {
+        $this->assertSame($expected, AIInterviewHelpers::getPilotStopReason($now, 100.0, $dailyCap, $usedToday));
+    }
+
+    public function pilotStopProvider(): array
+    {
+        return [
+            'time and tokens left' => [99.5, 1000, 999, null],
+            'no daily cap'         => [99.5, 0, 50000, null],
+            'deadline reached'     => [100.0, 0, 0, 'time_limit'],
+            'deadline passed'      => [130.0, 1000, 0, 'time_limit'],
+            'daily cap reached'    => [50.0, 1000, 1000, 'daily_cap'],
+            'daily cap exceeded'   => [50.0, 1000, 1200, 'daily_cap'],
+            'time before the cap'  => [100.0, 1000, 1200, 'time_limit'],
+        ];
+    }
+}
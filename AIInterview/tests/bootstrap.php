@@ -0,0 +1,6 @@
+<?php
+/**
+ * The unit tests cover AIInterviewHelpers, which runs without LimeSurvey
+ */
+
+require_once __DIR__ . '/../src/AIInterviewHelpers.php';